@@ -0,0 +1,172 @@
+/**
+ * instagram.js — Extraction adapter for Instagram Direct (instagram.com/direct/).
+ *
+ * Threads are keyed by the id in their `/direct/t/<id>/` URL. Instagram prints
+ * no author on 1:1 bubbles, so direction is inferred from layout: the user's
+ * bubbles hug the right edge of the message grid, the contact's the left.
+ * Group threads name the author once, above the first bubble of a run; later
+ * bubbles of the run inherit it. An incoming bubble whose run starts above
+ * the rendered rows gets an empty sender, which the content script fills with
+ * the contact for 1:1 threads (see applyConversation).
+ * Shared posts/reels become `shared_post` entries; reaction pills under a
+ * bubble are read by the shared message-state helper.
+ */
+
+/* global registerAdapter, queryWithFallback, queryAllWithFallback */
+
+(() => {
+  'use strict';
+
+  const OPEN_TIMEOUT = 4000;
+  const MAX_TIME_HEADER_LENGTH = 40;
+
+  const THREAD_PATH = /\/direct\/t\/([^/?#]+)/;
+
+  /**
+   * Extract the thread id from a /direct/t/<id>/ href or path.
+   * @param {string} href
+   * @returns {string} Thread id, or '' if none
+   */
+  function threadIdFromHref(href) {
+    const match = THREAD_PATH.exec(href || '');
+    return match ? match[1] : '';
+  }
+
+  function parseChatItem(itemEl, SEL, helpers) {
+    const nameEl = queryWithFallback(itemEl, SEL.conversationItemName);
+    const previewEl = queryWithFallback(itemEl, SEL.conversationItemPreview);
+    const timeEl = queryWithFallback(itemEl, SEL.conversationItemTime);
+    const link = itemEl.matches('a') ? itemEl : queryWithFallback(itemEl, SEL.conversationItemLink);
+
+    const displayName = helpers.cleanText(nameEl?.textContent);
+    if (!displayName) return null;
+
+    const threadId = threadIdFromHref(link?.getAttribute('href'));
+    const chatKey = threadId || 'chat_' + displayName.replace(/\s+/g, '_').toLowerCase();
+
+    return {
+      chatKey,
+      displayName,
+      lastPreview: helpers.cleanText(previewEl?.textContent) || '',
+      lastActivityHint: helpers.cleanText(timeEl?.getAttribute('aria-label') || timeEl?.textContent) || '',
+      profileUrl: threadId ? `${location.origin}/direct/t/${threadId}/` : '',
+    };
+  }
+
+  async function openChat(chatKey, SEL, helpers) {
+    if (threadIdFromHref(location.pathname) === chatKey) return true;
+
+    const links = queryAllWithFallback(document, SEL.conversationItemLink);
+    const link = links.find(el => threadIdFromHref(el.getAttribute('href')) === chatKey);
+
+    if (link) {
+      link.click();
+    } else if (!chatKey.startsWith('chat_')) {
+      // Route in-page so the content script (and the pending request) survives
+      history.pushState(null, '', `/direct/t/${chatKey}/`);
+      window.dispatchEvent(new PopStateEvent('popstate'));
+    } else {
+      return false;
+    }
+
+    const deadline = Date.now() + OPEN_TIMEOUT;
+    while (Date.now() < deadline) {
+      await helpers.sleep(250);
+      if (threadIdFromHref(location.pathname) === chatKey) {
+        await helpers.sleep(600);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * True when the bubble sits closer to the right edge of the grid.
+   */
+  function isOutgoingByLayout(bubble, gridRect) {
+    const rect = bubble.getBoundingClientRect();
+    if (!rect.width || !gridRect.width) return false;
+    const leftGap = rect.left - gridRect.left;
+    const rightGap = gridRect.right - rect.right;
+    return rightGap < leftGap;
+  }
+
+  function readSharedPost(row, SEL, helpers) {
+    const link = queryWithFallback(row, SEL.messageSharedPost);
+    if (!link) return null;
+    const url = link.href;
+    const title = helpers.cleanText(link.getAttribute('aria-label') || link.textContent);
+    return { kind: 'shared_post', filename: '', mime: '', url, title, duration: '' };
+  }
+
+  // Only group threads name authors above bubbles
+  function readConversation(chatKey, SEL) {
+    const grid = queryWithFallback(document, SEL.messageList);
+    return { isGroup: !!(grid && queryWithFallback(grid, SEL.messageSenderName)) };
+  }
+
+  function collectMessages(ctx, SEL, helpers) {
+    const { senderName, contactName, chatKey } = ctx;
+    const grid = queryWithFallback(document, SEL.messageList);
+    if (!grid) return [];
+    const gridRect = grid.getBoundingClientRect();
+
+    const messages = [];
+    let timeHeader = '';
+    let runAuthor = ''; // group threads: author of the current run of incoming bubbles
+
+    for (const row of queryAllWithFallback(grid, SEL.messageRow)) {
+      const authorLabel = helpers.cleanText(queryWithFallback(row, SEL.messageSenderName)?.textContent);
+      if (authorLabel) runAuthor = authorLabel;
+
+      const cell = queryWithFallback(row, SEL.messageItem);
+      const bodyEl = cell && queryWithFallback(cell, SEL.messageBody);
+      const sharedPost = readSharedPost(row, SEL, helpers);
+      // A shared post's thumbnail and link are part of the post, not separate attachments
+      const media = helpers.readAttachments(cell || row, bodyEl)
+        .filter(a => !sharedPost || (a.kind !== 'image' && a.url !== sharedPost.url));
+
+      if (!bodyEl && !sharedPost && media.length === 0) {
+        if (authorLabel) continue;
+        // Centered rows between bubbles are time headers ("Mar 4, 2024, 3:42 PM")
+        const label = helpers.cleanText(row.textContent);
+        if (label && label.length <= MAX_TIME_HEADER_LENGTH) {
+          timeHeader = label;
+          runAuthor = '';
+        }
+        continue;
+      }
+
+      const bubble = queryWithFallback(cell || row, SEL.messageBubble) || bodyEl || cell;
+      const isMine = isOutgoingByLayout(bubble, gridRect);
+      if (isMine) runAuthor = '';
+
+      const state = helpers.readMessageState(row);
+
+      const timeEl = queryWithFallback(row, SEL.messageTimestamp);
+      const messageDateRaw = timeEl?.getAttribute('datetime') || timeHeader;
+
+      let text = helpers.readBodyText(bodyEl);
+      if (!text && sharedPost) text = sharedPost.title || sharedPost.url;
+      const attachments = sharedPost ? [sharedPost, ...media] : media;
+      if (!text && attachments.length === 0) continue;
+
+      messages.push({
+        messageDateRaw,
+        dayLabel: timeHeader,
+        sender: isMine ? senderName : runAuthor,
+        receiver: isMine ? contactName : senderName,
+        text,
+        chatKey,
+        direction: isMine ? 'out' : 'in',
+        type: sharedPost ? 'shared_post' : helpers.messageTypeOf(text, attachments),
+        attachments,
+        ...state,
+      });
+    }
+
+    return messages;
+  }
+
+  registerAdapter('instagram', { parseChatItem, openChat, readConversation, collectMessages, threadIdFromHref });
+})();
@@ -0,0 +1,186 @@
+/**
+ * telegram.js — Extraction adapters for Telegram Web K (/k/) and Web A (/a/).
+ *
+ * Both clients identify chats by the peer id in the URL hash ("#123456",
+ * "#-1001234567890", or "#@username" in K), which is used as the chatKey.
+ * The DOM differs completely between clients, so each gets its own selector
+ * set in selectors.js; the walking logic below is shared:
+ * date group → (sender group →) message or service line.
+ * Negative peer ids are groups and channels.
+ */
+
+/* global registerAdapter, queryWithFallback, queryAllWithFallback, matchesWithFallback, closestWithFallback */
+
+(() => {
+  'use strict';
+
+  const OPEN_TIMEOUT = 3000;
+
+  /**
+   * Extract the peer id from a URL hash or href.
+   * @param {string} hashOrHref - e.g. "#-100123", "https://web.telegram.org/a/#123"
+   * @returns {string} Peer id, or '' if none
+   */
+  function peerIdFromHash(hashOrHref) {
+    const hash = String(hashOrHref || '').split('#')[1] || '';
+    // Web A appends "_<threadId>" for forum topics; K may append "?start=..."
+    return decodeURIComponent(hash.split(/[?_]/)[0]).trim();
+  }
+
+  function peerIdOfItem(itemEl, SEL) {
+    if (itemEl.dataset?.peerId) return itemEl.dataset.peerId;
+    const link = itemEl.matches('a') ? itemEl : queryWithFallback(itemEl, SEL.conversationItemLink);
+    return peerIdFromHash(link?.getAttribute('href'));
+  }
+
+  function parseChatItem(itemEl, SEL, helpers) {
+    const nameEl = queryWithFallback(itemEl, SEL.conversationItemName);
+    const previewEl = queryWithFallback(itemEl, SEL.conversationItemPreview);
+    const timeEl = queryWithFallback(itemEl, SEL.conversationItemTime);
+
+    const displayName = helpers.cleanText(nameEl?.textContent);
+    const peerId = peerIdOfItem(itemEl, SEL);
+    if (!displayName || !peerId) return null;
+
+    return {
+      chatKey: peerId,
+      displayName,
+      lastPreview: helpers.cleanText(previewEl?.textContent) || '',
+      lastActivityHint: helpers.cleanText(timeEl?.textContent) || '',
+      profileUrl: location.origin + location.pathname + '#' + peerId,
+    };
+  }
+
+  // Headers show a member count, not names — the roster comes from message authors
+  function readConversation(chatKey) {
+    return { isGroup: chatKey.startsWith('-') };
+  }
+
+  async function openChat(chatKey, SEL, helpers) {
+    if (peerIdFromHash(location.hash) === chatKey) return true;
+
+    const item = queryAllWithFallback(document, SEL.conversationItem)
+      .find(el => peerIdOfItem(el, SEL) === chatKey);
+    if (item) {
+      (queryWithFallback(item, SEL.conversationItemLink) || item).click();
+    } else {
+      // Both clients route on hash changes, so chats outside the rendered list still open
+      location.hash = '#' + chatKey;
+    }
+
+    const deadline = Date.now() + OPEN_TIMEOUT;
+    while (Date.now() < deadline) {
+      await helpers.sleep(200);
+      if (peerIdFromHash(location.hash) === chatKey) {
+        await helpers.sleep(600);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Message text without the time, reactions, reply and sender-name chrome
+   * that both clients nest inside the text container.
+   */
+  function readBody(el, SEL, helpers) {
+    return helpers.readBodyText(el, [SEL.messageChrome]);
+  }
+
+  // K: data-mid; A: data-message-id or id="message-123"
+  function readMessageId(item) {
+    return item.dataset.mid || item.dataset.messageId || (item.id || '').replace(/^message-/, '');
+  }
+
+  function readTimestamp(item, dayLabel, SEL, helpers) {
+    const timeEl = queryWithFallback(item, SEL.messageTimestamp);
+    // Hover titles carry the full date ("4 March 2024, 10:32:05")
+    const full = timeEl?.getAttribute('title') || timeEl?.closest('[title]')?.getAttribute('title');
+    if (full) return helpers.cleanText(full);
+    const time = helpers.cleanText(timeEl?.textContent);
+    return [time, dayLabel].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Messages and service lines of a date group, in thread order. Each kind
+   * falls back on its own, so one renamed class does not drop the other.
+   */
+  function queryItems(dateGroup, SEL) {
+    const items = new Set([
+      ...queryAllWithFallback(dateGroup, SEL.messageItem),
+      ...queryAllWithFallback(dateGroup, SEL.messageService),
+    ]);
+    return [...items].sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+  }
+
+  function collectMessages(ctx, SEL, helpers) {
+    const { senderName, contactName, chatKey } = ctx;
+    const messages = [];
+
+    for (const dateGroup of queryAllWithFallback(document, SEL.messageDateGroup)) {
+      const dayLabel = helpers.cleanText(queryWithFallback(dateGroup, SEL.messageDateHeader)?.textContent);
+
+      for (const item of queryItems(dateGroup, SEL)) {
+        const messageDateRaw = readTimestamp(item, dayLabel, SEL, helpers);
+
+        if (matchesWithFallback(item, SEL.messageService)) {
+          const text = helpers.cleanText(helpers.readText(item));
+          if (!text || text === dayLabel) continue;
+          messages.push({
+            platformMessageId: readMessageId(item),
+            messageDateRaw,
+            dayLabel,
+            sender: '',
+            receiver: '',
+            text,
+            chatKey,
+            direction: 'service',
+            type: 'service',
+            attachments: [],
+            quote: null,
+            edited: false,
+            deleted: false,
+            reactions: [],
+          });
+          continue;
+        }
+
+        const bodyEl = queryWithFallback(item, SEL.messageBody);
+        const text = readBody(bodyEl, SEL, helpers);
+        const attachments = helpers.readAttachments(item, bodyEl);
+        const state = helpers.readMessageState(item);
+        if (!text && attachments.length === 0) continue;
+
+        // Web K stamps each bubble with its send time in Unix seconds
+        const unix = parseInt(item.dataset.timestamp, 10);
+
+        const isMine = matchesWithFallback(item, SEL.messageOutgoing);
+
+        // Group chats print the author once per sender group, on its first message
+        const senderGroup = closestWithFallback(item, SEL.messageGroup) || item;
+        const author = helpers.cleanText(queryWithFallback(senderGroup, SEL.messageSenderName)?.textContent);
+
+        messages.push({
+          platformMessageId: readMessageId(item),
+          messageDateRaw,
+          dayLabel,
+          sender: isMine ? senderName : author || contactName,
+          receiver: isMine ? contactName : senderName,
+          text,
+          chatKey,
+          direction: isMine ? 'out' : 'in',
+          type: helpers.messageTypeOf(text, attachments),
+          attachments,
+          ...state,
+          messageDate: unix ? new Date(unix * 1000).toISOString() : '',
+        });
+      }
+    }
+
+    return messages;
+  }
+
+  const adapter = { parseChatItem, openChat, readConversation, collectMessages, peerIdFromHash };
+  registerAdapter('telegram_k', adapter);
+  registerAdapter('telegram_a', adapter);
+})();
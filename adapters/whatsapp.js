@@ -0,0 +1,135 @@
+/**
+ * whatsapp.js — Extraction adapter for WhatsApp Web.
+ *
+ * WhatsApp renders each message as a `[role="row"]` holding either a
+ * `.message-in` or `.message-out` bubble. Outgoing bubbles carry no sender
+ * name, so direction is read from those markers instead of name matching.
+ * Author and full date come from `data-pre-plain-text`, and rows without a
+ * bubble are day separators ("TODAY", "YESTERDAY", "3/4/2024").
+ */
+
+/* global registerAdapter, queryWithFallback, queryAllWithFallback */
+
+(() => {
+  'use strict';
+
+  const OPEN_PAUSE = 800;
+  const LIST_SCROLL_STEP = 600;
+  const LIST_SCROLL_ATTEMPTS = 40;
+
+  // "[10:32, 3/4/2024] Alice Smith: " — bracket part is locale-formatted
+  const PRE_PLAIN_TEXT = /^\s*\[([^\]]+)\]\s*(.*?):\s*$/;
+
+  // Day separator labels: Today/Yesterday, weekdays, or numeric/month dates
+  const DAY_LABEL = /^(today|yesterday|monday|tuesday|wednesday|thursday|friday|saturday|sunday|\d{1,4}[./-]\d{1,2}[./-]\d{1,4}|[a-z]+ \d{1,2}(, \d{4})?|\d{1,2} [a-z]+( \d{4})?)$/i;
+
+  /**
+   * Parse the `data-pre-plain-text` attribute of a WhatsApp bubble.
+   * @param {string} value - e.g. "[10:32, 3/4/2024] Alice Smith: "
+   * @returns {{ timestamp: string, author: string }|null}
+   */
+  function parsePrePlainText(value) {
+    const match = PRE_PLAIN_TEXT.exec(value || '');
+    if (!match) return null;
+    return { timestamp: match[1].trim(), author: match[2].trim() };
+  }
+
+  function chatKeyForName(name) {
+    return 'chat_' + name.replace(/\s+/g, '_').toLowerCase();
+  }
+
+  function findChatItem(chatKey, SEL, helpers) {
+    for (const item of queryAllWithFallback(document, SEL.conversationItem)) {
+      const nameEl = queryWithFallback(item, SEL.conversationItemName);
+      const name = helpers.cleanText(nameEl?.getAttribute('title') || nameEl?.textContent);
+      if (name && chatKeyForName(name) === chatKey) return item;
+    }
+    return null;
+  }
+
+  // WhatsApp opens chats on mousedown, not on a bare click()
+  function pressElement(el) {
+    for (const type of ['mousedown', 'mouseup', 'click']) {
+      el.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, view: window }));
+    }
+  }
+
+  async function openChat(chatKey, SEL, helpers) {
+    let item = findChatItem(chatKey, SEL, helpers);
+
+    // The chat list is virtualized — walk it from the top until the row renders
+    const scrollContainer = queryWithFallback(document, SEL.conversationListScrollContainer);
+    if (!item && scrollContainer) {
+      scrollContainer.scrollTop = 0;
+      for (let i = 0; i < LIST_SCROLL_ATTEMPTS && !item; i++) {
+        await helpers.sleep(300);
+        item = findChatItem(chatKey, SEL, helpers);
+        if (item) break;
+        const before = scrollContainer.scrollTop;
+        scrollContainer.scrollTop += LIST_SCROLL_STEP;
+        if (scrollContainer.scrollTop === before) break;
+      }
+    }
+    if (!item) return false;
+
+    pressElement(queryWithFallback(item, SEL.conversationItemLink) || item);
+    await helpers.sleep(OPEN_PAUSE);
+    return true;
+  }
+
+  function collectMessages(ctx, SEL, helpers) {
+    const { senderName, contactName, chatKey } = ctx;
+    const messages = [];
+    let dayLabel = '';
+
+    for (const row of queryAllWithFallback(document, SEL.messageRow)) {
+      const bubble = queryWithFallback(row, SEL.messageItem);
+
+      if (!bubble) {
+        const label = helpers.cleanText(row.textContent);
+        if (DAY_LABEL.test(label)) dayLabel = label;
+        continue;
+      }
+
+      const metaEl = queryWithFallback(bubble, SEL.messageMeta);
+      const meta = parsePrePlainText(metaEl?.getAttribute('data-pre-plain-text'));
+      const bodyEl = queryWithFallback(bubble, SEL.messageBody);
+      const text = helpers.readBodyText(bodyEl);
+      const attachments = helpers.readAttachments(bubble, bodyEl);
+      // Reaction pills hang below the bubble, so read state from the whole row
+      const state = helpers.readMessageState(row);
+      if (!text && attachments.length === 0 && !state.deleted) continue;
+
+      const isMine = bubble.matches(SEL.messageOutgoing.primary)
+        || !!bubble.closest(SEL.messageOutgoing.fallback)
+        || !!row.querySelector(SEL.messageOutgoing.fallback);
+
+      let messageDateRaw = meta?.timestamp || '';
+      if (!messageDateRaw) {
+        const time = helpers.cleanText(queryWithFallback(bubble, SEL.messageTimestamp)?.textContent);
+        messageDateRaw = [time, dayLabel].filter(Boolean).join(', ');
+      }
+
+      const author = (!isMine && meta?.author) || contactName;
+      // data-id = "<fromMe>_<chat jid>_<message id>"
+      const idHolder = row.querySelector('[data-id]') || bubble.closest('[data-id]');
+      messages.push({
+        platformMessageId: idHolder?.getAttribute('data-id') || '',
+        messageDateRaw,
+        dayLabel,
+        sender: isMine ? senderName : author,
+        receiver: isMine ? contactName : senderName,
+        text,
+        chatKey,
+        direction: isMine ? 'out' : 'in',
+        type: helpers.messageTypeOf(text, attachments),
+        attachments,
+        ...state,
+      });
+    }
+
+    return messages;
+  }
+
+  registerAdapter('whatsapp', { openChat, collectMessages, parsePrePlainText });
+})();
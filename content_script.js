@@ -7,7 +7,7 @@
  * Platform-agnostic: uses selectors.js to adapt to LinkedIn, Instagram, etc.
  */
 
-/* global PLATFORMS, detectPlatform, getSelectors, queryWithFallback, queryAllWithFallback */
+/* global PLATFORMS, Timestamps, detectPlatform, getSelectors, getAdapter, queryWithFallback, queryAllWithFallback */
 
 (() => {
   'use strict';
@@ -18,6 +18,20 @@
 
   const platform = PLATFORMS[platformId];
   const SEL = getSelectors(platformId);
+  const adapter = getAdapter(platformId);
+
+  // Shared helpers handed to platform adapters (adapters/*.js)
+  const helpers = {
+    cleanText,
+    readText,
+    readBodyText,
+    sleep,
+    chatKeyToName,
+    isSenderMatch,
+    readAttachments,
+    messageTypeOf,
+    readMessageState,
+  };
 
   // ── Extraction States ──
   const State = {
@@ -37,8 +51,14 @@
     scrollPause: 400,        // ms between scroll attempts
     renderTimeout: 5000,     // wait for messages to appear
     openTimeout: 3000,       // wait for chat to open
+    // Full-history mode
+    fullHistoryMaxTime: 15 * 60 * 1000, // safety net per chat
+    fullHistoryStableRounds: 6,         // rounds without growth = start reached
+    checkpointEvery: 5,                 // scroll rounds between checkpoints
   };
 
+  const CHECKPOINT_KEY = 'historyCheckpoints';
+
   // ── Message Listener ──
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     handleMessage(message).then(sendResponse).catch(err => {
@@ -54,7 +74,7 @@
       case 'scanInbox':
         return scanInbox();
       case 'extractChat':
-        return extractChat(payload.chatKey, payload.settings);
+        return extractChat(payload.chatKey, payload.settings, payload.since);
       default:
         return { error: `Unknown action: ${action}` };
     }
@@ -147,6 +167,8 @@
 
   function parseChatItem(itemEl) {
     try {
+      if (adapter.parseChatItem) return adapter.parseChatItem(itemEl, SEL, helpers);
+
       const nameEl = queryWithFallback(itemEl, SEL.conversationItemName);
       const previewEl = queryWithFallback(itemEl, SEL.conversationItemPreview);
       const timeEl = queryWithFallback(itemEl, SEL.conversationItemTime);
@@ -180,11 +202,20 @@
   // ── Extract Chat Messages ──
   // State machine: OPEN_CHAT -> WAIT_RENDER -> SCROLL_TOP -> COLLECT -> DONE
 
-  async function extractChat(chatKey, settings) {
+  /**
+   * @param {string} chatKey
+   * @param {object} settings
+   * @param {string} [since] - Delta mode: ISO date of the last exported message.
+   *   Scrolling stops once older messages are loaded and only messages from
+   *   this date on are returned (the service worker drops exact repeats).
+   */
+  async function extractChat(chatKey, settings, since = '') {
     const n = settings?.messagesPerChat || 8;
     const senderName = settings?.senderName || 'Kate Kondrateva';
+    const fullHistory = !!settings?.fullHistory;
     let state = State.OPEN_CHAT;
     const startTime = Date.now();
+    let history = { complete: false, stopReason: '', resumed: false };
 
     try {
       // ── OPEN_CHAT ──
@@ -205,30 +236,50 @@
         state = State.SCROLL_TOP;
       }
 
+      // Messages are gathered on every scroll step, not just at the end:
+      // virtualized threads drop nodes that scroll out of view.
+      const contactName = getContactNameFromHeader() || chatKeyToName(chatKey);
+      const header = readConversationHeader(chatKey, contactName);
+      const accumulator = createMessageAccumulator();
+      const collectStep = () => accumulator.add(
+        collectMessages(senderName, contactName, chatKey, new Date(startTime))
+      );
+
       // ── SCROLL_TOP (optional — try to load older messages) ──
       if (state === State.SCROLL_TOP) {
-        await scrollToLoadMore(startTime);
+        collectStep();
+        const reachedSince = since
+          ? () => accumulator.messages().some(m => m.messageDate && m.messageDate < since)
+          : null;
+        history = await scrollToLoadMore(startTime, chatKey, fullHistory, collectStep, reachedSince);
         state = State.COLLECT;
       }
 
       // ── COLLECT ──
       if (state === State.COLLECT) {
-        const contactName = getContactNameFromHeader() || chatKeyToName(chatKey);
-        const allMessages = collectMessages(senderName, contactName, chatKey);
+        collectStep();
+        const allMessages = applyConversation(accumulator.messages(), header, senderName);
+        // Undated messages cannot be compared and are kept
+        const candidates = since
+          ? allMessages.filter(m => !m.messageDate || m.messageDate >= since)
+          : allMessages;
 
-        // Filter to first N messages authored by the user
-        const myMessages = allMessages.filter(m => m.sender === senderName);
-        const firstN = myMessages.slice(0, n);
+        // Filter to first N messages authored by the user (all of them in full-history mode)
+        const myMessages = candidates.filter(m => m.direction === 'out');
+        const firstN = fullHistory ? myMessages : myMessages.slice(0, n);
 
         // If rowMode includes all messages (both sides), return all but capped
         // For "one row per message" with only sender's messages:
         return {
           messages: firstN,
-          allMessages: allMessages.slice(0, n * 3), // Keep context for conversation mode
+          allMessages: fullHistory ? allMessages : allMessages.slice(0, n * 3), // Keep context for conversation mode
           chatKey,
           total: allMessages.length,
           collected: firstN.length,
-          partial: firstN.length < n,
+          partial: !fullHistory && firstN.length < n,
+          complete: history.complete,
+          stopReason: history.stopReason,
+          resumed: history.resumed,
         };
       }
     } catch (err) {
@@ -241,6 +292,8 @@
   // ── State Machine Helpers ──
 
   async function openChat(chatKey) {
+    if (adapter.openChat) return adapter.openChat(chatKey, SEL, helpers);
+
     // Find the conversation item and click it
     const items = queryAllWithFallback(document, SEL.conversationItem);
 
@@ -295,42 +348,261 @@
     return false;
   }
 
-  async function scrollToLoadMore(startTime) {
+  /**
+   * Scroll the thread up to load older messages.
+   *
+   * Bounded mode stops at LIMITS.maxScrollAttempts / maxTimePerChat. Full-history
+   * mode keeps going until the start of the conversation (start marker, or no
+   * growth for several rounds), checkpointing as it goes so a run interrupted by
+   * a tab reload resumes with the same patience instead of giving up early.
+   * `onStep` runs after every scroll so messages can be collected as they render.
+   * `stopWhen` (delta mode) ends the scroll early once everything newer than
+   * the last export is loaded — the thread counts as complete then.
+   * @returns {Promise<{ complete: boolean, stopReason: string, resumed: boolean }>}
+   */
+  async function scrollToLoadMore(startTime, chatKey, fullHistory, onStep, stopWhen = null) {
     const scrollContainer = queryWithFallback(document, SEL.messageScrollContainer);
-    if (!scrollContainer) return;
+    if (!scrollContainer) return { complete: false, stopReason: 'no-scroll-container', resumed: false };
+
+    const checkpoint = fullHistory ? await loadCheckpoint(chatKey) : null;
+    const maxAttempts = fullHistory ? Infinity : LIMITS.maxScrollAttempts;
+    const maxTime = fullHistory ? LIMITS.fullHistoryMaxTime : LIMITS.maxTimePerChat;
+    const stableLimit = fullHistory ? LIMITS.fullHistoryStableRounds : 1;
+    const resumed = !!checkpoint;
 
     let attempts = 0;
+    let stableRounds = 0;
     let lastHeight = scrollContainer.scrollHeight;
 
-    while (attempts < LIMITS.maxScrollAttempts) {
-      if (Date.now() - startTime > LIMITS.maxTimePerChat) break;
+    const finish = async (complete, stopReason) => {
+      if (fullHistory && complete) await clearCheckpoint(chatKey);
+      return { complete, stopReason, resumed };
+    };
+
+    while (true) {
+      if (SEL.conversationStart && queryWithFallback(document, SEL.conversationStart)) {
+        return finish(true, 'start');
+      }
+      if (stopWhen?.()) return finish(true, 'watermark');
+      if (attempts >= maxAttempts) return finish(false, 'max-attempts');
+      if (Date.now() - startTime > maxTime) return finish(false, 'timeout');
 
       scrollContainer.scrollTop = 0; // Scroll to top
       await sleep(LIMITS.scrollPause);
+      attempts++;
+      onStep?.();
 
       const newHeight = scrollContainer.scrollHeight;
       if (newHeight === lastHeight) {
-        // No new content loaded — we've likely reached the top
-        break;
+        // Below the last checkpoint a stall means slow loading, not the start
+        const belowCheckpoint = checkpoint && newHeight < checkpoint.scrollHeight;
+        stableRounds++;
+        if (stableRounds >= (belowCheckpoint ? stableLimit * 2 : stableLimit)) {
+          // No new content loaded — we've reached the top
+          return finish(true, 'start');
+        }
+      } else {
+        stableRounds = 0;
+        lastHeight = newHeight;
+      }
+
+      if (fullHistory && attempts % LIMITS.checkpointEvery === 0) {
+        await saveCheckpoint(chatKey, {
+          scrollHeight: Math.max(lastHeight, checkpoint?.scrollHeight || 0),
+          rounds: (checkpoint?.rounds || 0) + attempts,
+          savedAt: new Date().toISOString(),
+        });
       }
-      lastHeight = newHeight;
-      attempts++;
     }
   }
 
+  // ── Message Accumulation ──
+
+  /**
+   * Ordered, de-duplicated store for messages seen across scroll steps.
+   *
+   * Messages are keyed by platform id (LinkedIn event URN, WhatsApp data-id,
+   * Telegram message id) or, failing that, a content fingerprint. Each batch
+   * is in DOM (chronological) order; new messages are placed relative to the
+   * already-known messages around them, and a batch with no overlap is older
+   * than everything held, since the thread is scrolled upward.
+   */
+  function createMessageAccumulator() {
+    // Doubly linked list with a key → node index, so placing a message next
+    // to a known one costs the same however long the thread gets
+    const nodes = new Map(); // key → { msg, prev, next }
+    let head = null;
+    let tail = null;
+
+    // Insert before `next`, or at the end when next is null
+    function insertBefore(next, entry) {
+      const prev = next ? next.prev : tail;
+      const node = { msg: entry.msg, prev, next };
+      if (prev) prev.next = node; else head = node;
+      if (next) next.prev = node; else tail = node;
+      nodes.set(entry.key, node);
+    }
+
+    function add(batch) {
+      let anchor = null; // last known message of the batch seen so far
+      let pending = [];
+      for (const entry of keyBatch(batch)) {
+        const node = nodes.get(entry.key);
+        if (!node) {
+          pending.push(entry);
+          continue;
+        }
+        // A copy whose author was scrolled out of view is completed by this one
+        if (!node.msg.sender && entry.msg.sender) node.msg = entry.msg;
+        // Everything pending belongs just before this known message
+        pending.forEach(e => insertBefore(node, e));
+        anchor = node;
+        pending = [];
+      }
+      // After the last known message, or before everything if none was known
+      const next = anchor ? anchor.next : head;
+      pending.forEach(e => insertBefore(next, e));
+    }
+
+    function messages() {
+      const out = [];
+      for (let node = head; node; node = node.next) out.push(node.msg);
+      return out;
+    }
+
+    return { add, messages };
+  }
+
+  function keyBatch(batch) {
+    const seen = new Map();
+    return batch.map(msg => {
+      if (msg.platformMessageId) return { key: 'id:' + msg.platformMessageId, msg };
+      // Identical messages in one batch are told apart by their occurrence.
+      // No sender: adapters that carry a group author down a run of bubbles
+      // (Instagram) only know it while the run's first bubble is rendered.
+      const media = (msg.attachments || []).map(a => a.kind + ':' + (a.filename || a.url)).join(',');
+      const fingerprint = [msg.direction, msg.messageDateRaw, msg.dayLabel, msg.text, media].join('|');
+      const n = seen.get(fingerprint) || 0;
+      seen.set(fingerprint, n + 1);
+      return { key: 'fp:' + fingerprint + '#' + n, msg };
+    });
+  }
+
+  // ── Full-history checkpoints (chrome.storage.local, keyed by chatKey) ──
+
+  async function loadCheckpoint(chatKey) {
+    const data = await chrome.storage.local.get(CHECKPOINT_KEY);
+    return data[CHECKPOINT_KEY]?.[chatKey] || null;
+  }
+
+  async function saveCheckpoint(chatKey, checkpoint) {
+    const data = await chrome.storage.local.get(CHECKPOINT_KEY);
+    const all = data[CHECKPOINT_KEY] || {};
+    all[chatKey] = checkpoint;
+    await chrome.storage.local.set({ [CHECKPOINT_KEY]: all });
+  }
+
+  async function clearCheckpoint(chatKey) {
+    const data = await chrome.storage.local.get(CHECKPOINT_KEY);
+    const all = data[CHECKPOINT_KEY] || {};
+    if (!(chatKey in all)) return;
+    delete all[chatKey];
+    await chrome.storage.local.set({ [CHECKPOINT_KEY]: all });
+  }
+
   function getContactNameFromHeader() {
     // Try to get the contact name from the currently open chat header
-    const headerName = document.querySelector(
-      '.msg-overlay-bubble-header__title, ' +
-      '.msg-thread__link-to-profile, ' +
-      '.msg-entity-lockup__entity-title, ' +
-      'h2.msg-overlay-bubble-header__title'
-    );
-    return cleanText(headerName?.textContent);
+    const headerName = SEL.conversationHeaderName
+      ? queryWithFallback(document, SEL.conversationHeaderName)
+      : document.querySelector(
+        '.msg-overlay-bubble-header__title, ' +
+        '.msg-thread__link-to-profile, ' +
+        '.msg-entity-lockup__entity-title, ' +
+        'h2.msg-overlay-bubble-header__title'
+      );
+    return cleanText(headerName?.getAttribute('title') || headerName?.textContent);
   }
 
-  function collectMessages(senderName, contactName, chatKey) {
+  // ── Conversation (1:1 or group) ──
+
+  /**
+   * What the open conversation's header says about it: its name, whether the
+   * platform marks it as a group, and the roster it lists (groups only —
+   * 1:1 headers show presence text like "online" in the same place).
+   * @returns {{ conversationName: string, markedGroup: boolean, participants: string[] }}
+   */
+  function readConversationHeader(chatKey, contactName) {
+    const fromAdapter = adapter.readConversation?.(chatKey, SEL, helpers) || {};
+    const markedGroup = !!fromAdapter.isGroup || !!queryWithFallback(document, SEL.conversationGroupMarker);
+    const listed = markedGroup
+      ? queryAllWithFallback(document, SEL.conversationParticipants)
+        .flatMap(el => splitNames(el.getAttribute('alt') || el.getAttribute('title') || readText(el)))
+      : [];
+    return {
+      conversationName: contactName,
+      markedGroup,
+      participants: [...(fromAdapter.participants || []), ...listed],
+    };
+  }
+
+  // "Alice, Bob and 3 others" → ["Alice", "Bob"]
+  function splitNames(text) {
+    return String(text || '')
+      .split(/\s*(?:[,;]|\band\b)\s*/)
+      .map(cleanText)
+      .filter(name => name && !/^\d+\s+others?$/i.test(name) && !/^you$/i.test(name));
+  }
+
+  /**
+   * Decide whether the thread is a group and stamp every message with the
+   * conversation name and roster. A thread is a group when the header marks it
+   * as one or more than one other person wrote in it. In groups the receiver
+   * of every message is the group itself.
+   * @param {object[]} messages
+   * @param {object} header - From readConversationHeader()
+   * @param {string} senderName
+   * @returns {object[]}
+   */
+  function applyConversation(messages, header, senderName) {
+    const { conversationName } = header;
+    const authors = messages.filter(m => m.direction === 'in').map(m => m.sender);
+    const others = [...new Set([...header.participants, ...authors])]
+      .filter(name => name && name !== conversationName && !isSenderMatch(name, senderName));
+    const isGroup = header.markedGroup || others.length > 1;
+    const participants = isGroup ? others : [conversationName];
+
+    return messages.map(msg => ({
+      ...msg,
+      // Adapters leave the author empty when the page does not name it; in a
+      // 1:1 thread that can only be the contact
+      sender: msg.direction === 'in' && !msg.sender && !isGroup ? conversationName : msg.sender,
+      conversationName,
+      isGroup,
+      participants,
+      receiver: isGroup && msg.direction !== 'service' ? conversationName : msg.receiver,
+    }));
+  }
+
+  function collectMessages(senderName, contactName, chatKey, capturedAt) {
+    const messages = adapter.collectMessages
+      ? adapter.collectMessages({ senderName, contactName, chatKey }, SEL, helpers)
+      : collectGenericMessages(senderName, contactName, chatKey);
+
+    // Resolve "3:42 PM" / "Yesterday" / "Mar 4" against day separators and capture time
+    const locale = document.documentElement.lang || navigator.language;
+    return messages.map(msg => {
+      if (msg.messageDate) return { platform: platform.csvPlatformName, ...msg };
+      const { messageDate, dayAssumed } = Timestamps.resolveMessageDate(msg.messageDateRaw, {
+        dayLabel: msg.dayLabel, now: capturedAt, locale,
+      });
+      // dayAssumed keeps the capture day out of the message's id (see message_ids.js)
+      return { platform: platform.csvPlatformName, ...msg, messageDate, ...(dayAssumed ? { dayAssumed } : {}) };
+    });
+  }
+
+  function collectGenericMessages(senderName, contactName, chatKey) {
     const messages = [];
+    const headings = queryAllWithFallback(document, SEL.messageDayHeading);
 
     // Strategy 1: Collect from message groups (LinkedIn groups sequential messages)
     const groups = queryAllWithFallback(document, SEL.messageGroup);
@@ -341,22 +613,33 @@
         const timeEl = queryWithFallback(group, SEL.messageTimestamp);
         const sender = cleanText(nameEl?.textContent) || '';
         const timestamp = cleanText(timeEl?.textContent) || '';
-
-        // Each group may contain multiple message bubbles
-        const bodies = queryAllWithFallback(group, SEL.messageBody);
-        for (const body of bodies) {
-          const text = cleanText(body?.textContent);
-          if (!text) continue;
+        const dayLabel = dayLabelFor(group, headings);
+
+        // Each group may contain multiple message events — text, attachments or both.
+        // Without event wrappers, fall back to the bare message bodies.
+        const events = queryAllWithFallback(group, SEL.messageItem);
+        const useBodies = events.length === 0;
+        for (const event of useBodies ? queryAllWithFallback(group, SEL.messageBody) : events) {
+          const body = useBodies ? event : queryWithFallback(event, SEL.messageBody);
+          const text = readBodyText(body);
+          const attachments = readAttachments(event, body);
+          const state = readMessageState(event);
+          if (!text && attachments.length === 0 && !state.deleted) continue;
 
           // Determine if this is the user's message or the contact's
           const isMine = isSenderMatch(sender, senderName);
           messages.push({
-            platform: platform.csvPlatformName,
+            platformMessageId: readPlatformMessageId(event),
             messageDateRaw: timestamp,
+            dayLabel,
             sender: isMine ? senderName : sender || contactName,
             receiver: isMine ? contactName : senderName,
             text,
             chatKey,
+            direction: isMine ? 'out' : 'in',
+            type: messageTypeOf(text, attachments),
+            attachments,
+            ...state,
           });
         }
       }
@@ -371,19 +654,26 @@
         const timeEl = queryWithFallback(item, SEL.messageTimestamp);
 
         const sender = cleanText(nameEl?.textContent) || '';
-        const text = cleanText(bodyEl?.textContent);
+        const text = readBodyText(bodyEl);
         const timestamp = cleanText(timeEl?.textContent) || '';
+        const attachments = readAttachments(item, bodyEl);
+        const state = readMessageState(item);
 
-        if (!text) continue;
+        if (!text && attachments.length === 0 && !state.deleted) continue;
 
         const isMine = isSenderMatch(sender, senderName);
         messages.push({
-          platform: platform.csvPlatformName,
+          platformMessageId: readPlatformMessageId(item),
           messageDateRaw: timestamp,
+          dayLabel: dayLabelFor(item, headings),
           sender: isMine ? senderName : sender || contactName,
           receiver: isMine ? contactName : senderName,
           text,
           chatKey,
+          direction: isMine ? 'out' : 'in',
+          type: messageTypeOf(text, attachments),
+          attachments,
+          ...state,
         });
       }
     }
@@ -391,8 +681,213 @@
     return messages;
   }
 
+  // ── Attachments ──
+
+  // Checked in this order; the first kind found also decides the message type
+  const ATTACHMENT_KINDS = [
+    ['voice', 'attachmentVoice'],
+    ['file', 'attachmentFile'],
+    ['video', 'attachmentVideo'],
+    ['gif', 'attachmentGif'],
+    ['sticker', 'attachmentSticker'],
+    ['image', 'attachmentImage'],
+  ];
+
+  const MIME_BY_EXTENSION = {
+    pdf: 'application/pdf',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    txt: 'text/plain',
+    csv: 'text/csv',
+    zip: 'application/zip',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    mp4: 'video/mp4',
+    mov: 'video/quicktime',
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg',
+    opus: 'audio/ogg',
+    m4a: 'audio/mp4',
+  };
+
+  const GENERIC_MIME = { image: 'image/*', gif: 'image/gif', sticker: 'image/webp', video: 'video/*', voice: 'audio/*' };
+
+  function mimeFromFilename(filename) {
+    const ext = /\.([a-z0-9]+)$/i.exec(filename || '')?.[1]?.toLowerCase();
+    return (ext && MIME_BY_EXTENSION[ext]) || '';
+  }
+
+  // Blob/data URLs are page-local and meaningless outside this tab
+  function portableUrl(url) {
+    return /^https?:/i.test(url || '') ? url : '';
+  }
+
+  /**
+   * Read attachment metadata (never contents) from a message element:
+   * files, images, video, GIFs, stickers, voice notes, link previews and links.
+   * @param {Element} scope - Message element
+   * @param {Element} [bodyEl] - Text element, searched for inline links
+   * @returns {{ kind: string, filename: string, mime: string, url: string, title: string, duration: string }[]}
+   */
+  function readAttachments(scope, bodyEl) {
+    if (!scope) return [];
+    const attachments = [];
+
+    for (const [kind, key] of ATTACHMENT_KINDS) {
+      for (const el of queryAllWithFallback(scope, SEL[key])) {
+        const nameEl = kind === 'file' ? queryWithFallback(el, SEL.attachmentFileName) : null;
+        const filename = cleanText(nameEl?.getAttribute('title') || nameEl?.textContent);
+        const durationEl = kind === 'voice' ? queryWithFallback(el, SEL.attachmentVoiceDuration) : null;
+        const media = el.matches('img, video, audio') ? el : el.querySelector('img, video, audio');
+        attachments.push({
+          kind,
+          filename,
+          mime: mimeFromFilename(filename) || GENERIC_MIME[kind] || '',
+          url: portableUrl(el.getAttribute('href') || media?.currentSrc || media?.src),
+          title: cleanText(el.getAttribute('aria-label') || media?.getAttribute('alt')) || '',
+          duration: cleanText(durationEl?.textContent),
+        });
+      }
+    }
+
+    // Link previews first (they carry titles), then bare links in the text
+    const seen = new Set();
+    for (const card of queryAllWithFallback(scope, SEL.attachmentLinkPreview)) {
+      const url = portableUrl(card.getAttribute('href') || card.querySelector('a[href]')?.href);
+      if (!url || seen.has(url)) continue;
+      seen.add(url);
+      const titleEl = queryWithFallback(card, SEL.attachmentLinkTitle);
+      attachments.push({ kind: 'link', filename: '', mime: '', url, title: cleanText(titleEl?.textContent), duration: '' });
+    }
+    for (const a of bodyEl ? bodyEl.querySelectorAll('a[href]') : []) {
+      const url = portableUrl(a.href);
+      if (!url || seen.has(url)) continue;
+      seen.add(url);
+      attachments.push({ kind: 'link', filename: '', mime: '', url, title: '', duration: '' });
+    }
+
+    return attachments;
+  }
+
+  /**
+   * Message type: the first non-link attachment kind, "link" for text with
+   * links, else "text".
+   */
+  function messageTypeOf(text, attachments) {
+    const media = attachments.find(a => a.kind !== 'link');
+    if (media) return media.kind;
+    if (attachments.length > 0) return 'link';
+    return 'text';
+  }
+
+  // ── Replies, edits, deletions and reactions ──
+
+  const EMOJI = /\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic})*/gu;
+
+  function selectorList(pairs) {
+    return pairs.filter(Boolean).flatMap(p => [p.primary, p.fallback]).filter(Boolean).join(', ');
+  }
+
+  /**
+   * Message text without quoted replies, edit markers and reaction pills,
+   * which platforms often nest inside the text container.
+   * @param {Element} bodyEl
+   * @param {object[]} [extraStrip] - More selector pairs to remove (e.g. messageChrome)
+   * @returns {string}
+   */
+  function readBodyText(bodyEl, extraStrip = []) {
+    if (!bodyEl) return '';
+    const strip = selectorList([SEL.messageQuote, SEL.messageEdited, SEL.messageReactions, ...extraStrip]);
+    if (!strip) return cleanText(readText(bodyEl));
+    const clone = bodyEl.cloneNode(true);
+    clone.querySelectorAll(strip).forEach(node => node.remove());
+    return cleanText(readText(clone));
+  }
+
+  /**
+   * Parse reaction text ("❤️", "❤️ 3", "😂👍 5", "👍 2 reactions") into
+   * { emoji, count } entries. A count only applies when a single emoji is shown.
+   * @param {string} text
+   * @returns {{ emoji: string, count: number }[]}
+   */
+  function parseReactions(text) {
+    const emojis = String(text || '').match(EMOJI) || [];
+    const countMatch = /(\d+)(?!.*\d)/.exec(text || '');
+    const total = countMatch ? parseInt(countMatch[1], 10) : emojis.length;
+    if (emojis.length === 1) return [{ emoji: emojis[0], count: total || 1 }];
+    return emojis.map(emoji => ({ emoji, count: 1 }));
+  }
+
+  // Emoji may be text, <img alt>, or only named in the aria-label
+  function reactionText(el) {
+    const text = readText(el);
+    return String(text).match(EMOJI) ? text : el.getAttribute('aria-label') || text;
+  }
+
+  function readReactions(scope) {
+    const container = queryWithFallback(scope, SEL.messageReactions);
+    if (!container) return [];
+    const items = queryAllWithFallback(container, SEL.messageReaction);
+    if (items.length === 0) return parseReactions(reactionText(container));
+    return items.flatMap(item => parseReactions(reactionText(item)));
+  }
+
+  function readQuote(scope) {
+    const quoteEl = queryWithFallback(scope, SEL.messageQuote);
+    if (!quoteEl) return null;
+    const author = cleanText(readText(queryWithFallback(quoteEl, SEL.messageQuoteAuthor)));
+    const textEl = queryWithFallback(quoteEl, SEL.messageQuoteText);
+    let text = cleanText(readText(textEl || quoteEl));
+    if (!textEl && author && text.startsWith(author)) text = text.slice(author.length).trim();
+    return text || author ? { text, author } : null;
+  }
+
+  /**
+   * Structured reply/edit/delete/reaction state of a message element.
+   * @param {Element} scope - Message element
+   * @returns {{ quote: { text: string, author: string }|null, edited: boolean, deleted: boolean, reactions: { emoji: string, count: number }[] }}
+   */
+  function readMessageState(scope) {
+    return {
+      quote: readQuote(scope),
+      edited: !!queryWithFallback(scope, SEL.messageEdited),
+      deleted: !!queryWithFallback(scope, SEL.messageDeleted),
+      reactions: readReactions(scope),
+    };
+  }
+
   // ── Utilities ──
 
+  /**
+   * Platform message id of the event containing `el` (LinkedIn: event URN).
+   */
+  function readPlatformMessageId(el) {
+    const holder = SEL.messageIdHolder && (
+      el.closest(SEL.messageIdHolder.primary) || el.closest(SEL.messageIdHolder.fallback)
+    );
+    if (!holder) return '';
+    return holder.getAttribute('data-event-urn') || holder.getAttribute('data-message-id') || '';
+  }
+
+  /**
+   * Text of the last day heading ("TODAY", "Mar 4") that precedes `el` in the thread.
+   */
+  function dayLabelFor(el, headings) {
+    let label = '';
+    for (const heading of headings) {
+      if (!(heading.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING)) break;
+      label = cleanText(heading.textContent);
+    }
+    return label;
+  }
+
   function isSenderMatch(extracted, senderName) {
     if (!extracted || !senderName) return false;
     const a = extracted.toLowerCase().trim();
@@ -408,6 +903,28 @@
     return chatKey;
   }
 
+  /**
+   * Text content that keeps emoji rendered as <img alt="😀"> and line breaks.
+   * @param {Element} el
+   * @returns {string}
+   */
+  function readText(el) {
+    if (!el) return '';
+    let out = '';
+    for (const node of el.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        out += node.nodeValue;
+      } else if (node.nodeName === 'IMG') {
+        out += node.getAttribute('alt') || '';
+      } else if (node.nodeName === 'BR') {
+        out += '\n';
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        out += readText(node);
+      }
+    }
+    return out;
+  }
+
   function cleanText(str) {
     if (!str) return '';
     return str.replace(/\s+/g, ' ').trim();
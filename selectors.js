@@ -9,6 +9,8 @@
  * 1. Add a new key to PLATFORM_SELECTORS
  * 2. Fill in selectors following the same shape
  * 3. Register the platform in PLATFORMS
+ * 4. If the generic extraction in content_script.js does not fit the DOM,
+ *    add an adapter under adapters/ and call registerAdapter()
  */
 
 /* global globalThis */
@@ -42,11 +44,19 @@ const PLATFORMS = {
     messagingPath: '/',
     csvPlatformName: 'Whatsapp',
   },
-  telegram: {
-    id: 'telegram',
-    label: 'Telegram',
+  // Telegram serves two unrelated web clients under one host
+  telegram_k: {
+    id: 'telegram_k',
+    label: 'Telegram Web K',
     hostPatterns: ['web.telegram.org'],
-    messagingPath: '/',
+    messagingPath: '/k/',
+    csvPlatformName: 'Telegram',
+  },
+  telegram_a: {
+    id: 'telegram_a',
+    label: 'Telegram Web A',
+    hostPatterns: ['web.telegram.org'],
+    messagingPath: '/a/',
     csvPlatformName: 'Telegram',
   },
 };
@@ -106,6 +116,70 @@ const PLATFORM_SELECTORS = {
       primary: '.message-group__meta',
       fallback: '.artdeco-entity-lockup',
     },
+    messageIdHolder: {
+      primary: '[data-x--messaging-message-item][data-message-id]',
+      fallback: '[data-event-urn]',
+    },
+    messageDayHeading: {
+      primary: '[data-x--messaging-message-list--date-heading]',
+      fallback: '.message-list__date-heading, time.date-heading',
+    },
+    conversationGroupMarker: {
+      primary: '[data-x--messaging-thread--group]',
+      fallback: '.thread-header__group-icon',
+    },
+    conversationParticipants: {
+      primary: '[data-x--messaging-thread--participant-name]',
+      fallback: '.thread-header__participants',
+    },
+    messageQuote: {
+      primary: '[data-x--messaging-message-item--quoted-message]',
+      fallback: '.message-item__quoted-message',
+    },
+    messageQuoteAuthor: {
+      primary: '[data-x--messaging-message-item--quoted-message-name]',
+      fallback: '.message-item__quoted-message-name',
+    },
+    messageQuoteText: {
+      primary: '[data-x--messaging-message-item--quoted-message-body]',
+      fallback: '.message-item__quoted-message-body',
+    },
+    messageEdited: {
+      primary: '[data-x--messaging-message-item--edited]',
+      fallback: '.message-item__edited',
+    },
+    messageDeleted: {
+      primary: '[data-x--messaging-message-item--deleted]',
+      fallback: '.message-item__deleted',
+    },
+    messageReactions: {
+      primary: '[data-x--messaging-message-item--reactions]',
+      fallback: '.message-item__reactions',
+    },
+    messageReaction: {
+      primary: '[data-x--messaging-message-item--reaction]',
+      fallback: '.message-item__reactions button',
+    },
+    attachmentFile: {
+      primary: '[data-x--messaging-message-item--attachment]',
+      fallback: '.message-item__attachment, .ui-attachment',
+    },
+    attachmentFileName: {
+      primary: '[data-x--messaging-message-item--attachment-name]',
+      fallback: '.ui-attachment__filename',
+    },
+    attachmentImage: {
+      primary: '[data-x--messaging-message-item--image] img',
+      fallback: '.message-item__image img',
+    },
+    attachmentLinkPreview: {
+      primary: '[data-x--messaging-message-item--link-preview]',
+      fallback: '.message-item__link-preview',
+    },
+    attachmentLinkTitle: {
+      primary: '[data-x--messaging-message-item--link-preview-title]',
+      fallback: '.message-item__link-preview-title',
+    },
     messageScrollContainer: {
       primary: '[role="log"]',
       fallback: '.message-list-container',
@@ -170,6 +244,90 @@ const PLATFORM_SELECTORS = {
       primary: '.msg-s-message-group__meta',
       fallback: '.msg-s-message-group__profile-link',
     },
+    messageDayHeading: {
+      primary: 'time.msg-s-message-list__time-heading',
+      fallback: '.msg-s-message-list__time-heading',
+    },
+    messageIdHolder: {
+      primary: '[data-event-urn]',
+      fallback: '.msg-s-event-listitem[data-message-id]',
+    },
+    conversationStart: {
+      primary: '.msg-s-profile-card',
+      fallback: '.msg-s-message-list__profile-card',
+    },
+    conversationGroupMarker: {
+      primary: '.msg-title-bar .msg-facepile-grid--group',
+      fallback: '.msg-thread__group-conversation-icon',
+    },
+    conversationParticipants: {
+      primary: '.msg-title-bar .msg-facepile-grid img[alt]',
+      fallback: '.msg-title-bar .msg-entity-lockup__entity-title',
+    },
+    messageQuote: {
+      primary: '.msg-s-event-listitem__quoted-message',
+      fallback: '.msg-s-quoted-message',
+    },
+    messageQuoteAuthor: {
+      primary: '.msg-s-event-listitem__quoted-message-name',
+      fallback: '.msg-s-quoted-message__name',
+    },
+    messageQuoteText: {
+      primary: '.msg-s-event-listitem__quoted-message-body',
+      fallback: '.msg-s-quoted-message__body',
+    },
+    messageEdited: {
+      primary: '.msg-s-event-listitem__edited',
+      fallback: '.msg-s-event-with-indicator__edited',
+    },
+    messageDeleted: {
+      primary: '.msg-s-event-listitem__deleted-message',
+      fallback: '.msg-s-event-listitem__body--deleted',
+    },
+    messageReactions: {
+      primary: '.msg-reactions-reaction-summary-presenter__container',
+      fallback: '.msg-s-event-listitem__reactions',
+    },
+    messageReaction: {
+      primary: '.msg-reactions-reaction-summary-presenter__reaction',
+      fallback: 'button[aria-label*="reaction" i]',
+    },
+    attachmentFile: {
+      primary: '.msg-s-event-listitem__attachment-item',
+      fallback: '.ui-attachment',
+    },
+    attachmentFileName: {
+      primary: '.ui-attachment__filename',
+      fallback: '.msg-s-event-listitem__attachment-filename',
+    },
+    attachmentImage: {
+      primary: '.msg-s-event-listitem__image',
+      fallback: '.msg-s-event__content img:not(.emoji)',
+    },
+    attachmentVideo: {
+      primary: '.msg-s-event-listitem__video video',
+      fallback: 'video',
+    },
+    attachmentGif: {
+      primary: '.msg-s-event-listitem__gif img',
+      fallback: 'img[src*="giphy"]',
+    },
+    attachmentVoice: {
+      primary: '.msg-s-event-listitem__audio',
+      fallback: '.msg-s-event-listitem audio',
+    },
+    attachmentVoiceDuration: {
+      primary: '.msg-s-event-listitem__audio-duration',
+      fallback: '.msg-s-event-listitem__audio time',
+    },
+    attachmentLinkPreview: {
+      primary: '.msg-s-event-listitem__link-preview',
+      fallback: '.msg-s-link-preview',
+    },
+    attachmentLinkTitle: {
+      primary: '.msg-s-event-listitem__link-preview-title',
+      fallback: '.msg-s-link-preview__title',
+    },
     messageScrollContainer: {
       primary: '.msg-s-message-list',
       fallback: '.msg-s-message-list-container',
@@ -180,58 +338,166 @@ const PLATFORM_SELECTORS = {
     },
   },
 
-  // ── Instagram (placeholder — fill when implementing) ──
+  // ── Instagram Direct ──
+  // Class names are obfuscated and rotate often, so these lean on roles,
+  // aria-labels and /direct/t/<id> hrefs. Bubbles carry no author on either
+  // side in 1:1 threads — direction is read from horizontal alignment. Group
+  // threads name the author above the first bubble of each run.
   instagram: {
-    conversationList: { primary: '[role="list"]', fallback: '._ab8s' },
-    conversationItem: { primary: '[role="listitem"]', fallback: '._ab8s > div' },
-    conversationItemName: { primary: 'span._ab8y', fallback: 'span' },
-    conversationItemPreview: { primary: 'span._ab8w', fallback: 'span:last-child' },
-    conversationItemTime: { primary: 'time', fallback: 'time' },
-    conversationItemLink: { primary: 'a[href*="/direct/t/"]', fallback: 'a' },
-    messageList: { primary: '[role="grid"]', fallback: '._aacp' },
-    messageItem: { primary: '[role="row"]', fallback: '._aacl' },
-    messageSenderName: { primary: 'span._aacl', fallback: 'span' },
-    messageBody: { primary: 'div._aacl span', fallback: 'span' },
-    messageTimestamp: { primary: 'time', fallback: 'time' },
-    messageGroup: { primary: 'div', fallback: 'div' },
-    messageGroupMeta: { primary: 'div', fallback: 'div' },
-    messageScrollContainer: { primary: '[role="grid"]', fallback: '._aacp' },
+    conversationList: { primary: '[aria-label="Thread list"]', fallback: 'div[role="navigation"] [role="list"]' },
+    conversationItem: { primary: '[aria-label="Thread list"] [role="listitem"]', fallback: 'a[href*="/direct/t/"]' },
+    conversationItemName: { primary: 'span[dir="auto"] > span', fallback: 'span[dir="auto"]' },
+    conversationItemPreview: { primary: 'span[dir="auto"] + div span', fallback: 'div > span:last-child' },
+    conversationItemTime: { primary: 'abbr[aria-label]', fallback: 'abbr' },
+    conversationItemLink: { primary: 'a[href*="/direct/t/"]', fallback: '[role="button"]' },
+    conversationListScrollContainer: { primary: '[aria-label="Thread list"]', fallback: 'div[role="navigation"] [role="list"]' },
+    conversationHeaderName: { primary: 'header a[href^="/"] span[dir="auto"]', fallback: '[role="main"] header span[dir="auto"]' },
+    messageList: { primary: '[role="grid"][aria-label^="Messages in conversation"]', fallback: '[role="main"] [role="grid"]' },
+    messageRow: { primary: '[role="grid"] [role="row"]', fallback: '[role="main"] [role="row"]' },
+    messageItem: { primary: '[role="row"] [role="gridcell"]', fallback: '[role="row"] div[dir="auto"]' },
+    messageBubble: { primary: '[role="gridcell"] [role="none"]', fallback: '[role="gridcell"] > div' },
+    messageBody: { primary: 'div[dir="auto"]', fallback: 'span[dir="auto"]' },
+    messageSenderName: { primary: 'h5 span[dir="auto"]', fallback: 'h5' },
+    messageTimestamp: { primary: 'time[datetime]', fallback: 'time' },
+    messageReactions: { primary: '[aria-label*="reaction" i]', fallback: '[role="button"][aria-haspopup] span' },
+    messageSharedPost: { primary: 'a[href*="/p/"], a[href*="/reel/"], a[href*="/tv/"]', fallback: 'a[href*="instagram.com/"]' },
+    attachmentImage: { primary: 'img[alt*="photo" i]', fallback: '[role="gridcell"] img:not([alt=""]):not([draggable="false"])' },
+    attachmentVideo: { primary: '[role="gridcell"] video', fallback: 'video' },
+    attachmentSticker: { primary: 'img[alt*="sticker" i]', fallback: 'img[src*="sticker"]' },
+    attachmentVoice: { primary: '[aria-label*="audio" i]', fallback: 'audio' },
+    attachmentVoiceDuration: { primary: '[aria-label*="audio" i] [dir="auto"]', fallback: 'audio + div' },
+    attachmentLinkPreview: { primary: 'a[href^="https://l.instagram.com/"]', fallback: 'a[target="_blank"][href^="http"]' },
+    attachmentLinkTitle: { primary: 'span[dir="auto"]', fallback: 'span' },
+    messageScrollContainer: { primary: '[role="grid"][aria-label^="Messages in conversation"] > div', fallback: '[role="main"] [role="grid"] > div' },
   },
 
-  // ── WhatsApp Web (placeholder — fill when implementing) ──
+  // ── WhatsApp Web ──
+  // WhatsApp has no per-chat URLs and never prints the user's own name on
+  // outgoing bubbles, so direction comes from the bubble class and the
+  // author/date from the `data-pre-plain-text` attribute ("[10:32, 3/4/2024] Alice: ").
   whatsapp: {
-    conversationList: { primary: '[role="listitem"]', fallback: '#pane-side [role="grid"]' },
-    conversationItem: { primary: '[role="listitem"]', fallback: '[data-testid="cell-frame-container"]' },
-    conversationItemName: { primary: '[data-testid="cell-frame-title"] span', fallback: 'span[dir="auto"]' },
-    conversationItemPreview: { primary: '[data-testid="last-msg-status"] span', fallback: 'span[dir="ltr"]' },
+    conversationList: { primary: '#pane-side [role="grid"]', fallback: '#pane-side' },
+    conversationItem: { primary: '#pane-side [role="listitem"]', fallback: '#pane-side [role="row"]' },
+    conversationItemName: { primary: '[data-testid="cell-frame-title"] span[title]', fallback: 'span[dir="auto"][title]' },
+    conversationItemPreview: { primary: '[data-testid="last-msg-status"] span[title]', fallback: 'span[dir="ltr"]' },
     conversationItemTime: { primary: '[data-testid="cell-frame-primary-detail"]', fallback: 'div._ak8i' },
-    conversationItemLink: { primary: '[role="listitem"]', fallback: '[data-testid="cell-frame-container"]' },
-    messageList: { primary: '[role="application"]', fallback: '#main [data-testid="conversation-panel-messages"]' },
-    messageItem: { primary: '[data-testid="msg-container"]', fallback: '.message-in, .message-out' },
-    messageSenderName: { primary: '[data-testid="msg-meta"] span', fallback: 'span[dir="auto"]' },
-    messageBody: { primary: '[data-testid="msg-container"] span.selectable-text', fallback: 'span.selectable-text' },
-    messageTimestamp: { primary: '[data-testid="msg-meta"]', fallback: 'span[dir="auto"]' },
-    messageGroup: { primary: 'div', fallback: 'div' },
-    messageGroupMeta: { primary: 'div', fallback: 'div' },
-    messageScrollContainer: { primary: '[data-testid="conversation-panel-body"]', fallback: '#main .copyable-area' },
+    conversationItemLink: { primary: '[data-testid="cell-frame-container"]', fallback: '[role="gridcell"]' },
+    conversationHeaderName: {
+      primary: '#main header [data-testid="conversation-info-header-chat-title"]',
+      fallback: '#main header span[dir="auto"]',
+    },
+    messageList: { primary: '#main [role="application"]', fallback: '#main [data-testid="conversation-panel-messages"]' },
+    messageRow: { primary: '#main [role="application"] > [role="row"]', fallback: '#main [role="row"]' },
+    messageItem: { primary: '.message-in, .message-out', fallback: '[data-testid="msg-container"]' },
+    messageOutgoing: { primary: '.message-out', fallback: '[data-id^="true_"]' },
+    messageMeta: { primary: '.copyable-text[data-pre-plain-text]', fallback: '[data-pre-plain-text]' },
+    messageBody: { primary: '.copyable-text span.selectable-text', fallback: 'span.selectable-text' },
+    messageTimestamp: { primary: '[data-testid="msg-meta"] span[dir="auto"]', fallback: '[data-testid="msg-meta"]' },
+    conversationGroupMarker: { primary: '#main header [data-icon="default-group"]', fallback: '#main header [data-testid="group-subtitle"]' },
+    conversationParticipants: { primary: '#main header [data-testid="chat-subtitle"] span[title]', fallback: '#main header [data-testid="group-subtitle"]' },
+    messageQuote: { primary: '[data-testid="quoted-message"]', fallback: '.quoted-mention' },
+    messageQuoteAuthor: { primary: '[data-testid="quoted-message-author"]', fallback: '[data-testid="quoted-message"] span[dir="auto"][aria-label]' },
+    messageQuoteText: { primary: '.quoted-mention', fallback: '[data-testid="quoted-message-text"]' },
+    messageEdited: { primary: '[data-testid="msg-edited"]', fallback: '[data-testid="msg-meta"] [aria-label="Edited"]' },
+    messageDeleted: { primary: '[data-icon="recalled"]', fallback: '[data-testid="recalled-msg"]' },
+    messageReactions: { primary: '[data-testid="reaction-bubble"]', fallback: 'button[aria-label^="reaction" i]' },
+    attachmentFile: { primary: '[data-testid="document-thumb"]', fallback: '[data-icon^="document-"]' },
+    attachmentFileName: { primary: '[data-testid="document-thumb"] span[title]', fallback: 'span[dir="auto"][title]' },
+    attachmentImage: { primary: '[data-testid="image-thumb"] img', fallback: 'img[src^="blob:"]' },
+    attachmentVideo: { primary: '[data-testid="video-content"]', fallback: '[data-icon="media-play"]' },
+    attachmentGif: { primary: '[data-testid="gif-content"]', fallback: '[data-icon="media-gif"]' },
+    attachmentSticker: { primary: '[data-testid="sticker"] img', fallback: 'img[alt="Sticker"]' },
+    attachmentVoice: { primary: '[data-testid="audio-player"]', fallback: '[data-icon="audio-play"]' },
+    attachmentVoiceDuration: { primary: '[data-testid="audio-duration"]', fallback: '[data-testid="audio-player"] + div span' },
+    attachmentLinkPreview: { primary: '[data-testid="link-preview"] a[href]', fallback: 'a[data-testid="link-preview-anchor"]' },
+    attachmentLinkTitle: { primary: '[data-testid="link-preview-title"]', fallback: 'span[dir="auto"]' },
+    messageScrollContainer: { primary: '#main [data-testid="conversation-panel-body"]', fallback: '#main .copyable-area > div[tabindex]' },
+    conversationStart: { primary: '#main [data-testid="e2e-notification"]', fallback: '#main [data-testid="chat-encryption-notification"]' },
+    conversationListScrollContainer: { primary: '#pane-side', fallback: '#side' },
   },
 
-  // ── Telegram Web (placeholder — fill when implementing) ──
-  telegram: {
+  // ── Telegram Web K (web.telegram.org/k/) ──
+  // Bubbles carry is-in / is-out / service classes plus data-mid and
+  // data-timestamp; each .bubbles-date-group starts with a sticky date bubble.
+  telegram_k: {
     conversationList: { primary: '.chatlist', fallback: '#column-left .chatlist' },
-    conversationItem: { primary: '.chatlist-chat', fallback: 'a.chatlist-chat' },
+    conversationItem: { primary: 'a.chatlist-chat[data-peer-id]', fallback: '.chatlist-chat' },
     conversationItemName: { primary: '.peer-title', fallback: '.row-title span' },
-    conversationItemPreview: { primary: '.last-msg-text', fallback: '.subtitle span' },
-    conversationItemTime: { primary: '.last-time', fallback: '.row-subtitle-wrapper time' },
-    conversationItemLink: { primary: 'a.chatlist-chat', fallback: 'a' },
-    messageList: { primary: '.bubbles-inner', fallback: '.messages-container' },
-    messageItem: { primary: '.bubble', fallback: '.message' },
-    messageSenderName: { primary: '.peer-title', fallback: '.name' },
-    messageBody: { primary: '.message', fallback: '.text-content' },
-    messageTimestamp: { primary: '.time', fallback: 'time' },
-    messageGroup: { primary: '.bubbles-group', fallback: '.messages-group' },
-    messageGroupMeta: { primary: '.bubble-name', fallback: '.name' },
-    messageScrollContainer: { primary: '.bubbles', fallback: '.messages-container' },
+    conversationItemPreview: { primary: '.row-subtitle', fallback: '.dialog-subtitle' },
+    conversationItemTime: { primary: '.message-time', fallback: '.row-title-row time' },
+    conversationItemLink: { primary: 'a.chatlist-chat', fallback: 'a[href^="#"]' },
+    conversationListScrollContainer: { primary: '#chatlist-container .scrollable', fallback: '.chatlist-parts' },
+    conversationHeaderName: { primary: '.chat-info .peer-title', fallback: '.top .peer-title' },
+    messageList: { primary: '.bubbles-inner', fallback: '.bubbles' },
+    messageDateGroup: { primary: '.bubbles-date-group', fallback: '.bubbles-inner > section' },
+    messageDateHeader: { primary: '.bubble.is-date .service-msg', fallback: '.is-date .i18n' },
+    messageGroup: { primary: '.bubbles-group', fallback: '.bubbles-date-group > div' },
+    messageItem: { primary: '.bubble[data-mid]', fallback: '.bubble:not(.is-date)' },
+    messageOutgoing: { primary: '.is-out', fallback: '.is-out' },
+    messageService: { primary: '.bubble.service:not(.is-date)', fallback: '.service-msg' },
+    messageSenderName: { primary: '.name .peer-title', fallback: '.colored-name .peer-title' },
+    messageBody: { primary: '.translatable-message', fallback: '.message' },
+    messageTimestamp: { primary: '.time .time-inner', fallback: '.time' },
+    messageChrome: { primary: '.time, .reactions', fallback: '.time-inner, .name' },
+    messageQuote: { primary: '.reply', fallback: '.quote-like' },
+    messageQuoteAuthor: { primary: '.reply-title', fallback: '.reply .name' },
+    messageQuoteText: { primary: '.reply-subtitle', fallback: '.reply .subtitle' },
+    messageEdited: { primary: '.time .edited', fallback: '.time-inner .edited' },
+    messageReactions: { primary: 'reactions-element', fallback: '.reactions' },
+    messageReaction: { primary: 'reaction-element', fallback: '.reaction' },
+    attachmentFile: { primary: '.document-container .document', fallback: '.document' },
+    attachmentFileName: { primary: '.document-name', fallback: '.document-name-wrapper' },
+    attachmentImage: { primary: '.attachment img.media-photo', fallback: '.media-photo' },
+    attachmentVideo: { primary: '.attachment video.media-video', fallback: '.media-video' },
+    attachmentGif: { primary: '.media-gif', fallback: '.is-gif video' },
+    attachmentSticker: { primary: '.media-sticker-wrapper', fallback: '.sticker' },
+    attachmentVoice: { primary: 'audio-element.is-voice', fallback: 'audio-element' },
+    attachmentVoiceDuration: { primary: '.audio-time', fallback: '.audio-subtitle' },
+    attachmentLinkPreview: { primary: '.web-page', fallback: '.webpage' },
+    attachmentLinkTitle: { primary: '.title', fallback: '.web-page-title' },
+    messageScrollContainer: { primary: '.bubbles > .scrollable', fallback: '.bubbles .scrollable-y' },
+  },
+
+  // ── Telegram Web A (web.telegram.org/a/) ──
+  // Messages are .Message rows (own = outgoing) inside .message-date-group
+  // sections headed by a .sticky-date; service lines are .ActionMessage.
+  telegram_a: {
+    conversationList: { primary: '.chat-list', fallback: '#LeftColumn .chat-list' },
+    conversationItem: { primary: '.chat-list .ListItem.Chat', fallback: '.ListItem.Chat' },
+    conversationItemName: { primary: '.fullName', fallback: '.info .title h3' },
+    conversationItemPreview: { primary: '.last-message', fallback: '.subtitle' },
+    conversationItemTime: { primary: '.LastMessageMeta .time', fallback: '.time' },
+    conversationItemLink: { primary: 'a.ListItem-button[href^="#"]', fallback: 'a[href^="#"]' },
+    conversationListScrollContainer: { primary: '.chat-list', fallback: '#LeftColumn .custom-scroll' },
+    conversationHeaderName: { primary: '.MiddleHeader .fullName', fallback: '.ChatInfo .title h3' },
+    messageList: { primary: '.messages-container', fallback: '.MessageList' },
+    messageDateGroup: { primary: '.message-date-group', fallback: '.messages-container > div' },
+    messageDateHeader: { primary: '.sticky-date span', fallback: '.sticky-date' },
+    messageGroup: { primary: '.sender-group-container', fallback: '.message-date-group' },
+    messageItem: { primary: '.Message.message-list-item', fallback: '.message-list-item' },
+    messageOutgoing: { primary: '.own', fallback: '.own' },
+    messageService: { primary: '.ActionMessage', fallback: '.action-message-content' },
+    messageSenderName: { primary: '.message-title .sender-title', fallback: '.message-title-name' },
+    messageBody: { primary: '.text-content', fallback: '.message-content' },
+    messageTimestamp: { primary: '.MessageMeta .message-time', fallback: '.message-time' },
+    messageChrome: { primary: '.MessageMeta, .Reactions', fallback: '.message-title' },
+    messageQuote: { primary: '.EmbeddedMessage', fallback: '.message-content .embedded' },
+    messageQuoteAuthor: { primary: '.embedded-sender', fallback: '.message-title' },
+    messageQuoteText: { primary: '.embedded-text-wrapper', fallback: '.message-text' },
+    messageEdited: { primary: '.MessageMeta .message-edited', fallback: '.message-signature.edited' },
+    messageReactions: { primary: '.Reactions', fallback: '.reactions-container' },
+    messageReaction: { primary: '.message-reaction', fallback: '.Reaction' },
+    attachmentFile: { primary: '.File', fallback: '.document' },
+    attachmentFileName: { primary: '.File .file-title', fallback: '.file-title' },
+    attachmentImage: { primary: '.media-inner img.full-media', fallback: '.Photo img' },
+    attachmentVideo: { primary: '.media-inner video.full-media', fallback: '.Video video' },
+    attachmentGif: { primary: '.media-inner.gif video', fallback: '.gif video' },
+    attachmentSticker: { primary: '.Sticker', fallback: '.sticker-media' },
+    attachmentVoice: { primary: '.Audio.voice', fallback: '.Audio' },
+    attachmentVoiceDuration: { primary: '.Audio .voice-duration', fallback: '.Audio .duration' },
+    attachmentLinkPreview: { primary: '.WebPage', fallback: '.web-page' },
+    attachmentLinkTitle: { primary: '.site-title', fallback: '.WebPage-title' },
+    messageScrollContainer: { primary: '.MessageList', fallback: '.messages-layout .custom-scroll' },
   },
 };
 
@@ -262,6 +528,31 @@ function getSelectors(platformId) {
   return PLATFORM_SELECTORS[platformId] || {};
 }
 
+/**
+ * Platform-specific extraction adapters, keyed by platform id.
+ * Adapter files (adapters/*.js) register themselves here; platforms without
+ * an adapter use the generic group/item extraction in content_script.js.
+ */
+const PLATFORM_ADAPTERS = {};
+
+/**
+ * Register an extraction adapter for a platform.
+ * @param {string} platformId
+ * @param {object} adapter - Hooks overriding the generic extraction steps
+ */
+function registerAdapter(platformId, adapter) {
+  PLATFORM_ADAPTERS[platformId] = adapter;
+}
+
+/**
+ * Get the extraction adapter for a platform.
+ * @param {string} platformId
+ * @returns {object} Adapter hooks (empty object if none registered)
+ */
+function getAdapter(platformId) {
+  return PLATFORM_ADAPTERS[platformId] || {};
+}
+
 /**
  * Query using primary selector, fall back to fallback.
  * @param {Element} root
@@ -292,12 +583,39 @@ function queryAllWithFallback(root, selectorPair) {
   return Array.from(els);
 }
 
+/**
+ * Whether an element matches the primary selector or the fallback.
+ * @param {Element} el
+ * @param {object} selectorPair - { primary, fallback }
+ * @returns {boolean}
+ */
+function matchesWithFallback(el, selectorPair) {
+  if (!selectorPair) return false;
+  return el.matches(selectorPair.primary) || (!!selectorPair.fallback && el.matches(selectorPair.fallback));
+}
+
+/**
+ * Closest ancestor (or self) matching the primary selector, else the fallback.
+ * @param {Element} el
+ * @param {object} selectorPair - { primary, fallback }
+ * @returns {Element|null}
+ */
+function closestWithFallback(el, selectorPair) {
+  if (!selectorPair) return null;
+  return el.closest(selectorPair.primary) || (selectorPair.fallback ? el.closest(selectorPair.fallback) : null);
+}
+
 // Make available globally
 if (typeof globalThis !== 'undefined') {
   globalThis.PLATFORMS = PLATFORMS;
   globalThis.PLATFORM_SELECTORS = PLATFORM_SELECTORS;
   globalThis.detectPlatform = detectPlatform;
   globalThis.getSelectors = getSelectors;
+  globalThis.PLATFORM_ADAPTERS = PLATFORM_ADAPTERS;
+  globalThis.registerAdapter = registerAdapter;
+  globalThis.getAdapter = getAdapter;
   globalThis.queryWithFallback = queryWithFallback;
   globalThis.queryAllWithFallback = queryAllWithFallback;
+  globalThis.matchesWithFallback = matchesWithFallback;
+  globalThis.closestWithFallback = closestWithFallback;
 }
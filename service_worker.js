@@ -4,27 +4,74 @@
  * Responsibilities:
  * - Relay messages between side panel and content script
  * - Manage queue processing state
- * - Handle CSV export via chrome.downloads
- * - Manage anonymization salt
+ * - Build exports in any registered format and hand them to chrome.downloads
+ * - Anonymize exports with the active project's salt (utils/salts.js), optionally
+ *   with an encrypted re-identification key (utils/reid_key.js)
  */
 
-/* global CSVBuilder, Anonymize, Redact */
+/* global CSVBuilder, Anonymize, Salts, Sealed, ReidKey, Redact, Timestamps, MessageIds, Exporters, Importer, Watermarks */
 
 // Import utility scripts into service worker scope
-importScripts('utils/anonymize.js', 'utils/csv.js', 'utils/redact.js');
+// exporters.js goes first: format modules register themselves with it on load
+importScripts(
+  'utils/exporters.js',
+  'utils/anonymize.js',
+  'utils/sealed.js',
+  'utils/salts.js',
+  'utils/reid_key.js',
+  'utils/csv.js',
+  'utils/zip.js',
+  'utils/xlsx.js',
+  'utils/html.js',
+  'utils/transcripts.js',
+  'utils/json.js',
+  'utils/interop.js',
+  'utils/redact.js',
+  'utils/timestamps.js',
+  'utils/message_ids.js',
+  'utils/importer.js',
+  'utils/watermarks.js'
+);
 
 // ── State ──
 
 let extractedMessages = [];
-let runState = {
-  selectedChatKeys: [],
-  excludedChatKeys: [],
-  processedChatKeys: [],
-  failures: [],
-};
+let importedIds = []; // ids of imported messages — the only ones a new run keeps
+let runState = createRunState();
 let isProcessing = false;
 let currentTabId = null;
 
+const TAB_RELOAD_WAIT = 5000; // ms to let a reloaded tab re-inject the content script
+
+// An in-flight run is mirrored to chrome.storage.session so it survives a
+// service-worker restart; pendingResume holds what is left of it.
+const RUN_STORAGE_KEY = 'activeRun';
+let pendingResume = null; // { queue, nextIndex, settings, messagesRestored }
+let runSaveWarned = false; // a failed save is reported once per run
+const restored = restoreRun();
+
+function createRunState() {
+  return {
+    selectedChatKeys: [],
+    excludedChatKeys: [],
+    processedChatKeys: [],
+    failures: [],
+    undatedCount: 0,
+    history: {}, // chatKey -> { complete, partial, stopReason, resumed, total, collected, newMessages }
+    deltaBase: null, // Delta mode: export watermarks as they were when the run started
+  };
+}
+
+// Tabs the content script runs in, per platform id (see manifest.json)
+const TAB_URL_PATTERNS = {
+  linkedin: ['*://*.linkedin.com/messaging/*'],
+  linkedin_sales: ['*://*.linkedin.com/sales/inbox/*'],
+  instagram: ['*://*.instagram.com/direct/*'],
+  whatsapp: ['*://web.whatsapp.com/*'],
+  telegram_k: ['*://web.telegram.org/k/*'],
+  telegram_a: ['*://web.telegram.org/a/*'],
+};
+
 // ── Lifecycle ──
 
 chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
@@ -41,6 +88,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 async function handleMessage(message, sender) {
   const { action, payload } = message;
+  await restored;
 
   switch (action) {
     // ── From Side Panel ──
@@ -54,17 +102,21 @@ async function handleMessage(message, sender) {
       isProcessing = false;
       return { ok: true };
 
-    case 'exportCSV':
-      return exportToFile(false);
+    case 'resumeProcessing':
+      return resumeProcessing();
 
-    case 'exportAnonCSV':
-      return exportToFile(true);
+    case 'export':
+      return exportToFile(payload?.format, payload?.keyPassphrase);
+
+    case 'importMessages':
+      return importMessages(payload?.messages);
 
     case 'getState':
       return {
         runState,
         extractedMessages: extractedMessages.length,
         isProcessing,
+        resumable: !!pendingResume,
       };
 
     case 'updateSettings':
@@ -74,14 +126,16 @@ async function handleMessage(message, sender) {
     case 'getSettings':
       return getSettings();
 
+    case 'resetWatermarks':
+      await chrome.storage.local.remove(Watermarks.WATERMARK_STORAGE_KEY);
+      return { ok: true };
+
     case 'clearData':
       extractedMessages = [];
-      runState = {
-        selectedChatKeys: [],
-        excludedChatKeys: [],
-        processedChatKeys: [],
-        failures: [],
-      };
+      importedIds = [];
+      runState = createRunState();
+      pendingResume = null;
+      await chrome.storage.session.remove(RUN_STORAGE_KEY);
       return { ok: true };
 
     // ── From Content Script ──
@@ -98,12 +152,9 @@ async function handleMessage(message, sender) {
 
 // ── Content Script Communication ──
 
-async function getLinkedInTab() {
-  // Try active tab first (messaging or Sales Navigator)
-  const urlPatterns = [
-    '*://*.linkedin.com/messaging/*',
-    '*://*.linkedin.com/sales/inbox/*',
-  ];
+async function getMessagingTab(platformId) {
+  // Restrict to the platform's tabs when known, else any supported messaging tab
+  const urlPatterns = TAB_URL_PATTERNS[platformId] || Object.values(TAB_URL_PATTERNS).flat();
 
   for (const url of urlPatterns) {
     const tabs = await chrome.tabs.query({ url, active: true });
@@ -125,17 +176,17 @@ async function getLinkedInTab() {
   return null;
 }
 
-async function forwardToContentScript(action, payload) {
-  const tab = await getLinkedInTab();
+async function forwardToContentScript(action, payload, platformId) {
+  const tab = await getMessagingTab(platformId);
   if (!tab) {
-    return { error: 'No LinkedIn tab found. Open linkedin.com/messaging/ or Sales Navigator inbox.' };
+    return { error: 'No messaging tab found. Open linkedin.com/messaging/, Sales Navigator inbox, instagram.com/direct/, web.whatsapp.com or web.telegram.org.' };
   }
 
   try {
     const response = await chrome.tabs.sendMessage(tab.id, { action, payload });
     return response;
   } catch (err) {
-    return { error: `Content script not responding: ${err.message}. Try refreshing the LinkedIn page.` };
+    return { error: `Content script not responding: ${err.message}. Try refreshing the messaging page.` };
   }
 }
 
@@ -144,14 +195,18 @@ async function forwardToContentScript(action, payload) {
 async function startProcessing(payload) {
   if (isProcessing) return { error: 'Already processing' };
 
-  const { selectedChatKeys, excludedChatKeys, mode, settings } = payload;
+  const { selectedChatKeys, excludedChatKeys, mode, platform, settings } = payload;
 
+  runState = createRunState();
   runState.selectedChatKeys = selectedChatKeys || [];
   runState.excludedChatKeys = excludedChatKeys || [];
-  runState.processedChatKeys = [];
-  runState.failures = [];
-  extractedMessages = [];
+  runState.platform = platform || null;
+  // Chats of earlier runs are dropped; imported messages stay for this run's export
+  extractedMessages = Importer.runStartMessages(extractedMessages, importedIds);
+  pendingResume = null;
+  runSaveWarned = false;
   isProcessing = true;
+  if (settings?.deltaMode) runState.deltaBase = await loadWatermarks();
 
   // Determine queue based on mode
   const queue = [...runState.selectedChatKeys];
@@ -162,9 +217,25 @@ async function startProcessing(payload) {
   return { ok: true, queueLength: queue.length };
 }
 
-async function processQueue(queue, settings) {
-  for (const chatKey of queue) {
+async function resumeProcessing() {
+  if (isProcessing) return { error: 'Already processing' };
+  if (!pendingResume) return { error: 'No interrupted run to resume' };
+
+  const { queue, nextIndex, settings, messagesRestored } = pendingResume;
+  pendingResume = null;
+  runSaveWarned = false;
+  isProcessing = true;
+  processQueue(queue, settings, nextIndex);
+
+  // messagesRestored: false — the messages were not saved, so the whole queue runs again
+  return { ok: true, queueLength: queue.length - nextIndex, messagesRestored: !!messagesRestored };
+}
+
+async function processQueue(queue, settings, startIndex = 0) {
+  for (let i = startIndex; i < queue.length; i++) {
+    const chatKey = queue[i];
     if (!isProcessing) {
+      await saveRun(queue, i, settings);
       broadcastProgress({ status: 'cancelled' });
       return;
     }
@@ -178,57 +249,172 @@ async function processQueue(queue, settings) {
     });
 
     try {
-      const result = await forwardToContentScript('extractChat', {
+      // Delta mode: the content script stops scrolling once it reaches this date
+      const since = runState.deltaBase?.[chatKey]?.lastDate || '';
+      let result = await forwardToContentScript('extractChat', {
         chatKey,
         settings,
-      });
+        since,
+      }, runState.platform);
+
+      if (result?.error?.startsWith('Content script not responding')) {
+        // The tab was likely reloaded mid-chat — wait for it and retry once.
+        // Full-history checkpoints let the retry pick up where it stopped.
+        await sleep(TAB_RELOAD_WAIT);
+        result = await forwardToContentScript('extractChat', { chatKey, settings, since }, runState.platform);
+      }
 
       if (result.error) {
         runState.failures.push({ chatKey, reason: result.error });
       } else if (result.messages) {
-        // Apply date filters
-        const filtered = filterMessages(result.messages, settings);
-        extractedMessages.push(...filtered);
+        // Apply date filters, then merge by stable id so re-runs never duplicate rows
+        let identified = MessageIds.assignMessageIds(result.messages);
+        if (runState.deltaBase) identified = Watermarks.newSince(identified, runState.deltaBase);
+        const { messages: filtered, undated } = filterMessages(identified, settings);
+        const merged = MessageIds.mergeMessages(extractedMessages, filtered);
+        extractedMessages = Importer.relinkImportedChats(merged.messages);
+        runState.undatedCount += undated;
         runState.processedChatKeys.push(chatKey);
+        runState.history[chatKey] = {
+          complete: !!result.complete,
+          partial: !!result.partial,
+          stopReason: result.stopReason || '',
+          resumed: !!result.resumed,
+          total: result.total || 0,
+          collected: result.collected || 0,
+          ...(runState.deltaBase ? { newMessages: filtered.length } : {}),
+        };
+        broadcastProgress({
+          status: 'chatDone',
+          chatKey,
+          ...runState.history[chatKey],
+          collected: filtered.length,
+          added: merged.added,
+        });
       }
     } catch (err) {
       runState.failures.push({ chatKey, reason: err.message });
     }
 
+    await saveRun(queue, i + 1, settings);
+
     // Small delay between chats to avoid appearing bot-like
-    if (isProcessing && queue.indexOf(chatKey) < queue.length - 1) {
+    if (isProcessing && i < queue.length - 1) {
       await sleep(1500 + Math.random() * 1000);
     }
   }
 
   isProcessing = false;
+  await saveRun(queue, queue.length, settings);
   broadcastProgress({
     status: 'done',
     processed: runState.processedChatKeys.length,
     total: queue.length,
     failures: runState.failures.length,
+    undated: runState.undatedCount,
+    cutShort: Object.values(runState.history).filter(h => !h.complete).length,
+    // Delta mode: processed chats with and without messages since the last export
+    ...(runState.deltaBase ? {
+      newChats: Object.values(runState.history).filter(h => h.newMessages > 0).length,
+      unchangedChats: Object.values(runState.history).filter(h => h.newMessages === 0).length,
+    } : {}),
   });
 }
 
+// ── Run Persistence ──
+
+/**
+ * Mirror the run to chrome.storage.session. Never throws: a long full-history
+ * run can outgrow the session quota, and the queue must go on regardless. The
+ * run is then saved without its messages (messagesSaved: false), so a resume
+ * scans the queue again from the start instead of losing the earlier chats.
+ */
+async function saveRun(queue, nextIndex, settings) {
+  const run = { queue, nextIndex, settings, runState, importedIds, inProgress: isProcessing };
+  try {
+    await chrome.storage.session.set({ [RUN_STORAGE_KEY]: { ...run, extractedMessages, messagesSaved: true } });
+    return;
+  } catch (err) {
+    console.warn('[SW] Saving the run with its messages failed:', err);
+  }
+  try {
+    await chrome.storage.session.set({ [RUN_STORAGE_KEY]: { ...run, extractedMessages: [], messagesSaved: false } });
+    reportSaveFailure('Too many messages to keep for resuming — if the run is interrupted, it starts over');
+  } catch (err) {
+    reportSaveFailure(`The run could not be saved for resuming: ${err.message}`);
+  }
+}
+
+function reportSaveFailure(message) {
+  if (runSaveWarned) return;
+  runSaveWarned = true;
+  broadcastProgress({ status: 'warning', message });
+}
+
+async function restoreRun() {
+  const data = await chrome.storage.session.get(RUN_STORAGE_KEY);
+  const run = data[RUN_STORAGE_KEY];
+  if (!run) return;
+
+  runState = { ...createRunState(), ...run.runState };
+  // Runs saved before messages had ids get them now
+  extractedMessages = MessageIds.assignMessageIds(run.extractedMessages || []);
+  importedIds = run.importedIds || [];
+
+  // The worker stopped while a run was in flight — offer to resume it
+  if (run.inProgress && run.nextIndex < run.queue.length) {
+    // Without the messages, chats before nextIndex have to be scanned again
+    const nextIndex = run.messagesSaved === false ? 0 : run.nextIndex;
+    if (run.messagesSaved === false) {
+      const { selectedChatKeys, excludedChatKeys, platform, deltaBase } = runState;
+      runState = { ...createRunState(), selectedChatKeys, excludedChatKeys, platform, deltaBase };
+    }
+    pendingResume = { queue: run.queue, nextIndex, settings: run.settings, messagesRestored: run.messagesSaved !== false };
+  }
+}
+
+/**
+ * Store the message list without touching the rest of the saved run, so an
+ * interrupted run stays resumable.
+ */
+async function saveMessages() {
+  const data = await chrome.storage.session.get(RUN_STORAGE_KEY);
+  const run = data[RUN_STORAGE_KEY] || { queue: [], nextIndex: 0, settings: null, inProgress: false };
+  await chrome.storage.session.set({ [RUN_STORAGE_KEY]: { ...run, runState, extractedMessages, importedIds } });
+}
+
+/**
+ * Apply the Date From/To filter. Messages that cannot be dated are kept
+ * (never silently dropped) and counted so the UI can report them.
+ * @returns {{ messages: object[], undated: number }}
+ */
 function filterMessages(messages, settings) {
-  if (!settings) return messages;
-
-  return messages.filter(msg => {
-    if (settings.dateFrom || settings.dateTo) {
-      const msgDate = parseLooseDate(msg.messageDateRaw);
-      if (msgDate) {
-        if (settings.dateFrom && msgDate < new Date(settings.dateFrom)) return false;
-        if (settings.dateTo && msgDate > new Date(settings.dateTo + 'T23:59:59')) return false;
-      }
+  if (!settings || (!settings.dateFrom && !settings.dateTo)) {
+    return { messages, undated: 0 };
+  }
+
+  // Date inputs are local calendar days
+  const from = settings.dateFrom ? new Date(settings.dateFrom + 'T00:00:00') : null;
+  const to = settings.dateTo ? new Date(settings.dateTo + 'T23:59:59') : null;
+  let undated = 0;
+
+  const kept = messages.filter(msg => {
+    const msgDate = messageDateOf(msg);
+    if (!msgDate) {
+      undated++;
+      return true;
     }
+    if (from && msgDate < from) return false;
+    if (to && msgDate > to) return false;
     return true;
   });
+
+  return { messages: kept, undated };
 }
 
-function parseLooseDate(raw) {
-  if (!raw) return null;
-  const d = new Date(raw);
-  return isNaN(d.getTime()) ? null : d;
+function messageDateOf(msg) {
+  const iso = msg.messageDate || Timestamps.normalizeTimestamp(msg.messageDateRaw);
+  return iso ? new Date(iso) : null;
 }
 
 function broadcastProgress(data) {
@@ -237,45 +423,165 @@ function broadcastProgress(data) {
   });
 }
 
+// ── Import ──
+
+/**
+ * Merge messages parsed from a previous export (see utils/importer.js).
+ * Messages already collected win over their imported copies: the export may
+ * be older, and CSV text is truncated.
+ * @param {object[]} messages - ExtractedMessage[]
+ */
+async function importMessages(messages) {
+  if (isProcessing) return { error: 'Wait for the current run to finish before importing' };
+  if (!Array.isArray(messages) || messages.length === 0) return { error: 'The file has no messages to import' };
+
+  const imported = MessageIds.assignMessageIds(messages);
+  const merged = MessageIds.mergeMessages(imported, extractedMessages);
+  const added = merged.messages.length - extractedMessages.length;
+  extractedMessages = Importer.relinkImportedChats(merged.messages);
+  importedIds = [...new Set([...importedIds, ...imported.map(msg => msg.id)])];
+  await saveMessages();
+
+  return { ok: true, imported: messages.length, added, total: extractedMessages.length };
+}
+
 // ── Export ──
 
-async function exportToFile(anonymize) {
+/**
+ * Build and download an export in a registered format (see utils/exporters.js).
+ * @param {string} formatId - Exporter id from the Export dropdown
+ * @param {string} [keyPassphrase] - Seals the re-identification key, when one is saved
+ */
+async function exportToFile(formatId, keyPassphrase) {
+  const exporter = Exporters.getExporter(formatId);
+  if (!exporter) {
+    return { error: `Unknown export format: ${formatId}` };
+  }
   if (extractedMessages.length === 0) {
     return { error: 'No messages to export. Process some chats first.' };
   }
 
   const settings = await getSettings();
+  const withKey = exporter.anonymize && settings.reidKey;
+  if (withKey && (keyPassphrase || '').length < Sealed.MIN_PASSPHRASE_LENGTH) {
+    return { error: `Enter a key file passphrase of at least ${Sealed.MIN_PASSPHRASE_LENGTH} characters` };
+  }
   let messages = [...extractedMessages];
 
-  if (anonymize) {
-    const salt = await Anonymize.getOrCreateSalt();
-    messages = await Promise.all(messages.map(async (msg) => {
-      const anonReceiver = await Anonymize.anonymizeContact(msg.receiver, salt);
-      let text = msg.text;
-      if (settings.redactPII) {
-        text = Redact.redactPII(text);
-      }
-      return { ...msg, receiver: anonReceiver, text };
-    }));
+  // Delta mode: only what is newer than the last export (as of the run's start)
+  let delta = null;
+  if (settings.deltaMode) {
+    messages = Watermarks.newSince(messages, runState.deltaBase || await loadWatermarks());
+    delta = Watermarks.deltaSummary(runState.processedChatKeys, messages);
+    if (messages.length === 0) {
+      return { error: `No new messages since the last export (${delta.unchangedChatKeys.length} chats unchanged)` };
+    }
+  }
+  const exported = messages;
+
+  let anonymizer = null;
+  let saltStore = null;
+  let redaction = null;
+  if (exporter.anonymize) {
+    saltStore = await Salts.loadSaltStore();
+    anonymizer = await Anonymize.createAnonymizer(messages, Salts.activeSalt(saltStore), settings.senderName);
+    if (settings.redactPII) redaction = { rules: Redact.compileRules(settings), counts: {} };
+    messages = messages.map(msg => anonymizeMessage(msg, anonymizer, redaction));
   }
 
-  if (settings.rowMode === 'conversation') {
+  if (exporter.tabular && settings.rowMode === 'conversation') {
     messages = CSVBuilder.mergeByConversation(messages);
   }
 
-  const csv = CSVBuilder.buildCSV(messages);
-  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
-  const url = URL.createObjectURL(blob);
-  const filename = anonymize
-    ? `linkedin_export_anon_${dateStamp()}.csv`
-    : `linkedin_export_${dateStamp()}.csv`;
+  // ChatIndexItem metadata from the side panel's last scan
+  const { scannedChats = [] } = await chrome.storage.local.get('scannedChats');
+  const redactions = redaction ? redaction.counts : null;
+  const context = { settings, runState, chats: scannedChats, anonymized: exporter.anonymize, delta, redactions };
+  const content = await exporter.build(messages, context);
+  const url = toDataUrl(content, exporter.mimeType);
+  const filename = Exporters.exportFilename(exporter, exported, dateStamp());
 
   try {
     await chrome.downloads.download({ url, filename, saveAs: true });
-    return { ok: true, count: messages.length };
   } catch (err) {
     return { error: `Download failed: ${err.message}` };
   }
+  await saveWatermarks(Watermarks.advanceWatermarks(await loadWatermarks(), exported));
+
+  if (withKey) {
+    const entries = ReidKey.reidEntries(anonymizer.entries(), exported, scannedChats);
+    const key = await ReidKey.sealReidKey(entries, keyPassphrase, {
+      createdAt: new Date().toISOString(),
+      exportFile: filename,
+      saltProject: saltStore.active,
+    });
+    try {
+      await chrome.downloads.download({
+        url: toDataUrl(key, 'application/json'),
+        filename: ReidKey.reidKeyFilename(filename, exporter.extension),
+        saveAs: true,
+      });
+    } catch (err) {
+      return { error: `Export saved, but the key file download failed: ${err.message}` };
+    }
+  }
+  return {
+    ok: true,
+    count: messages.length,
+    keyFile: !!withKey,
+    ...(redaction ? { redactions: Redact.redactionSummary(redaction.counts, redaction.rules) || 'nothing' } : {}),
+    ...(delta ? { newChats: delta.newChatKeys.length, unchangedChats: delta.unchangedChatKeys.length } : {}),
+  };
+}
+
+async function loadWatermarks() {
+  const data = await chrome.storage.local.get(Watermarks.WATERMARK_STORAGE_KEY);
+  return data[Watermarks.WATERMARK_STORAGE_KEY] || {};
+}
+
+async function saveWatermarks(watermarks) {
+  await chrome.storage.local.set({ [Watermarks.WATERMARK_STORAGE_KEY]: watermarks });
+}
+
+/**
+ * Encode export content as a data: URL. Service workers have no
+ * URL.createObjectURL, so blobs cannot be handed to chrome.downloads.
+ * @param {string|Uint8Array} content
+ * @param {string} mimeType
+ * @returns {string}
+ */
+function toDataUrl(content, mimeType) {
+  const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+  let binary = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return `data:${mimeType};base64,${btoa(binary)}`;
+}
+
+/**
+ * Anonymized copy of an ExtractedMessage: PII redacted first (when enabled),
+ * then every name replaced through the export's anonymizer — see
+ * Anonymize.createAnonymizer — so rows stay joinable on the ids.
+ * @param {object} msg
+ * @param {object} anonymizer
+ * @param {{ rules: object[], counts: Object<string, number> }|null} redaction - Redact.compileRules() and per-rule counts
+ * @returns {object}
+ */
+function anonymizeMessage(msg, anonymizer, redaction) {
+  const out = { ...msg };
+  if (redaction) {
+    const redact = text => Redact.redactText(text, redaction.rules, redaction.counts);
+    out.text = redact(msg.text);
+    out.attachments = (msg.attachments || []).map(att => ({
+      ...att,
+      url: redact(att.url || ''),
+      title: redact(att.title || ''),
+    }));
+    if (msg.quote) out.quote = { ...msg.quote, text: redact(msg.quote.text) };
+  }
+  return anonymizer.message(out);
 }
 
 function dateStamp() {
@@ -291,9 +597,18 @@ async function getSettings() {
         senderName: 'Kate Kondrateva',
         messagesPerChat: 8,
         rowMode: 'message',
+        maxTextLength: 500,
+        longText: 'truncate',
         dateFrom: '',
         dateTo: '',
         redactPII: true,
+        fullHistory: false,
+        deltaMode: false,
+        csvColumns: null,
+        columnMappings: {},
+        reidKey: false,
+        piiRules: {},
+        customPiiRules: [],
       });
     });
   });
@@ -4,13 +4,20 @@
  * Manages state, user interactions, and communication with service worker.
  */
 
-/* global CSVBuilder, Anonymize, Redact */
+/* global CSVBuilder, Anonymize, Salts, ReidKey, Redact, Exporters, Importer */
 
 // ── State ──
 let scannedChats = [];       // ChatIndexItem[]
+let scannedPlatform = null;  // Platform id of the last scan
 let selectedChats = [];      // ChatIndexItem[]
 let excludedChats = [];      // ChatIndexItem[]
 let currentMode = 'selected'; // 'selected' | 'exclude'
+let csvColumns = copyColumns(CSVBuilder.DEFAULT_CSV_COLUMNS); // Column designer: { field, header }[]
+let columnMappings = {};     // Saved column mappings: name → { field, header }[]
+let saltStore = null;        // Anonymization salts per project (utils/salts.js)
+let saltConfirm = null;      // Salt action waiting for a confirming second click
+let openedKey = null;        // Decrypted re-identification key: { entries, meta }
+let customPiiRules = [];     // Custom redaction rules: { type, pattern, replacement }[]
 
 // ── DOM Refs ──
 const $ = (sel) => document.querySelector(sel);
@@ -28,6 +35,10 @@ const els = {
   btnScan: $('#btnScan'),
   btnDownload: $('#btnDownload'),
   btnProcess: $('#btnProcess'),
+  btnImport: $('#btnImport'),
+  importFile: $('#importFile'),
+  resumeSection: $('#resumeSection'),
+  btnResume: $('#btnResume'),
   progressPanel: $('#progressPanel'),
   progressFill: $('#progressFill'),
   progressText: $('#progressText'),
@@ -36,8 +47,44 @@ const els = {
   senderName: $('#senderName'),
   messagesPerChat: $('#messagesPerChat'),
   rowMode: $('#rowMode'),
+  maxTextLength: $('#maxTextLength'),
+  longText: $('#longText'),
   redactPII: $('#redactPII'),
+  piiRuleList: $('#piiRuleList'),
+  customRuleList: $('#customRuleList'),
+  btnAddPiiRule: $('#btnAddPiiRule'),
+  reidKey: $('#reidKey'),
+  reidPassphrase: $('#reidPassphrase'),
+  fullHistory: $('#fullHistory'),
+  deltaMode: $('#deltaMode'),
+  columnMapping: $('#columnMapping'),
+  btnDeleteMapping: $('#btnDeleteMapping'),
+  columnList: $('#columnList'),
+  columnField: $('#columnField'),
+  btnAddColumn: $('#btnAddColumn'),
+  mappingName: $('#mappingName'),
+  btnSaveMapping: $('#btnSaveMapping'),
+  saltProject: $('#saltProject'),
+  btnRotateSalt: $('#btnRotateSalt'),
+  btnDeleteSalt: $('#btnDeleteSalt'),
+  saltInfo: $('#saltInfo'),
+  saltProjectName: $('#saltProjectName'),
+  btnNewSalt: $('#btnNewSalt'),
+  saltPassphrase: $('#saltPassphrase'),
+  btnExportSalt: $('#btnExportSalt'),
+  btnImportSalt: $('#btnImportSalt'),
+  saltFile: $('#saltFile'),
+  keyFilePassphrase: $('#keyFilePassphrase'),
+  btnOpenKeyFile: $('#btnOpenKeyFile'),
+  keyFile: $('#keyFile'),
+  keyStatus: $('#keyStatus'),
+  keyView: $('#keyView'),
+  keyMeta: $('#keyMeta'),
+  keySearch: $('#keySearch'),
+  keyList: $('#keyList'),
+  btnCloseKey: $('#btnCloseKey'),
   btnSaveSettings: $('#btnSaveSettings'),
+  btnResetWatermarks: $('#btnResetWatermarks'),
   btnClearData: $('#btnClearData'),
 };
 
@@ -47,21 +94,42 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Set default "To" date to today
   els.dateTo.value = new Date().toISOString().slice(0, 10);
 
+  renderExportFormats();
+
   // Load settings
   const settings = await sendMessage('getSettings');
   if (settings && !settings.error) {
     els.senderName.value = settings.senderName || 'Kate Kondrateva';
     els.messagesPerChat.value = settings.messagesPerChat || 8;
     els.rowMode.value = settings.rowMode || 'message';
+    els.maxTextLength.value = settings.maxTextLength ?? CSVBuilder.MAX_TEXT_LENGTH;
+    els.longText.value = settings.longText || 'truncate';
     els.redactPII.checked = settings.redactPII !== false;
+    els.reidKey.checked = !!settings.reidKey;
+    els.fullHistory.checked = !!settings.fullHistory;
+    els.deltaMode.checked = !!settings.deltaMode;
     if (settings.dateFrom) els.dateFrom.value = settings.dateFrom;
     if (settings.dateTo) els.dateTo.value = settings.dateTo;
+    csvColumns = copyColumns(CSVBuilder.resolveColumns(settings.csvColumns));
+    columnMappings = settings.columnMappings || {};
+    customPiiRules = (settings.customPiiRules || []).map(rule => ({ ...rule }));
   }
+  renderColumnDesigner();
+  renderPiiRules(settings?.piiRules);
+  renderCustomRules();
+
+  saltStore = await Salts.loadSaltStore();
+  renderSaltManager();
+
+  // Offer to resume a run the service worker was interrupted in
+  const state = await sendMessage('getState');
+  els.resumeSection.classList.toggle('hidden', !state?.resumable);
 
   // Load persisted scanned chats
-  chrome.storage.local.get(['scannedChats', 'selectedKeys', 'excludedKeys'], (data) => {
+  chrome.storage.local.get(['scannedChats', 'scannedPlatform', 'selectedKeys', 'excludedKeys'], (data) => {
     if (data.scannedChats) {
       scannedChats = data.scannedChats;
+      scannedPlatform = data.scannedPlatform || null;
     }
     if (data.selectedKeys && scannedChats.length) {
       selectedChats = scannedChats.filter(c => data.selectedKeys.includes(c.chatKey));
@@ -111,10 +179,34 @@ function bindEvents() {
   // Actions
   els.btnScan.addEventListener('click', onScanInbox);
   els.btnProcess.addEventListener('click', onProcessQueue);
+  els.btnResume.addEventListener('click', onResumeQueue);
   els.btnDownload.addEventListener('click', onDownload);
+  els.btnImport.addEventListener('click', () => els.importFile.click());
+  els.importFile.addEventListener('change', onImportFile);
 
   // Settings
   els.btnSaveSettings.addEventListener('click', onSaveSettings);
+  els.btnResetWatermarks.addEventListener('click', onResetWatermarks);
+  els.columnList.addEventListener('input', onColumnHeaderInput);
+  els.columnList.addEventListener('click', onColumnListClick);
+  els.btnAddColumn.addEventListener('click', onAddColumn);
+  els.columnMapping.addEventListener('change', onSelectMapping);
+  els.btnSaveMapping.addEventListener('click', onSaveMapping);
+  els.btnDeleteMapping.addEventListener('click', onDeleteMapping);
+  els.saltProject.addEventListener('change', onSelectSaltProject);
+  els.btnNewSalt.addEventListener('click', onNewSalt);
+  els.btnRotateSalt.addEventListener('click', onRotateSalt);
+  els.btnDeleteSalt.addEventListener('click', onDeleteSalt);
+  els.btnExportSalt.addEventListener('click', onExportSalt);
+  els.btnImportSalt.addEventListener('click', onImportSalt);
+  els.saltFile.addEventListener('change', onSaltFile);
+  els.customRuleList.addEventListener('input', onCustomRuleInput);
+  els.customRuleList.addEventListener('click', onCustomRuleClick);
+  els.btnAddPiiRule.addEventListener('click', onAddPiiRule);
+  els.btnOpenKeyFile.addEventListener('click', onOpenKeyFile);
+  els.keyFile.addEventListener('change', onKeyFile);
+  els.keySearch.addEventListener('input', renderKeyView);
+  els.btnCloseKey.addEventListener('click', onCloseKey);
   els.btnClearData.addEventListener('click', onClearData);
 
   // Listen for progress updates from service worker
@@ -255,7 +347,8 @@ async function onScanInbox() {
 
   if (result.chats && result.chats.length > 0) {
     scannedChats = result.chats;
-    chrome.storage.local.set({ scannedChats });
+    scannedPlatform = result.platform || null;
+    chrome.storage.local.set({ scannedChats, scannedPlatform });
     setStatus(`Found ${scannedChats.length} conversations (${result.platform || 'unknown'})`, 'success');
   } else {
     setStatus('No conversations found. Make sure you are on the messaging page.', 'error');
@@ -290,6 +383,7 @@ async function onProcessQueue() {
     selectedChatKeys: queue,
     excludedChatKeys: excludedChats.map(c => c.chatKey),
     mode: currentMode,
+    platform: scannedPlatform,
     settings,
   });
 
@@ -302,21 +396,74 @@ async function onProcessQueue() {
   setStatus(`Processing ${result.queueLength} chats...`);
 }
 
-async function onDownload() {
-  const format = els.exportFormat.value;
-  const action = format === 'csv_anon' ? 'exportAnonCSV' : 'exportCSV';
+async function onResumeQueue() {
+  els.progressPanel.classList.remove('hidden');
+  els.resumeSection.classList.add('hidden');
+  els.btnProcess.disabled = true;
+
+  const result = await sendMessage('resumeProcessing');
+
+  if (result.error) {
+    setStatus(result.error, 'error');
+    els.btnProcess.disabled = false;
+    return;
+  }
+
+  // Messages of the chat that was cut off are not kept, so it is scanned again from the top.
+  // A run saved without its messages has nothing to keep, so every chat is scanned again
+  setStatus(result.messagesRestored
+    ? `Resuming: ${result.queueLength} chats left, restarting the interrupted chat...`
+    : `Resuming: restarting all ${result.queueLength} chats...`);
+}
+
+function renderExportFormats() {
+  for (const exporter of Exporters.listExporters()) {
+    const option = document.createElement('option');
+    option.value = exporter.id;
+    option.textContent = exporter.label;
+    els.exportFormat.appendChild(option);
+  }
+}
 
+async function onDownload() {
   setStatus('Preparing export...');
   els.btnDownload.disabled = true;
 
-  const result = await sendMessage(action);
+  // The key passphrase is only ever held by this panel and the export call
+  const result = await sendMessage('export', { format: els.exportFormat.value, keyPassphrase: els.reidPassphrase.value });
 
   els.btnDownload.disabled = false;
 
   if (result.error) {
     setStatus(result.error, 'error');
+  } else if (result.newChats !== undefined) {
+    setStatus(`Exported ${result.count} new rows: ${result.newChats} chats with new messages, ${result.unchangedChats} unchanged`, 'success');
+  } else {
+    const exported = result.keyFile ? `${result.count} rows and an encrypted re-identification key` : `${result.count} rows`;
+    setStatus(`Exported ${exported}${result.redactions ? `. Redacted: ${result.redactions}` : ''}`, 'success');
+  }
+}
+
+async function onImportFile() {
+  const file = els.importFile.files[0];
+  els.importFile.value = ''; // Let the same file be picked again
+  if (!file) return;
+
+  setStatus(`Reading ${file.name}...`);
+  let parsed;
+  try {
+    // CSV rows carry no direction — the sender name tells yours apart
+    parsed = Importer.parseImport(await file.text(), file.name, { senderName: gatherSettings().senderName });
+  } catch (err) {
+    setStatus(`Import failed: ${err.message}`, 'error');
+    return;
+  }
+
+  const result = await sendMessage('importMessages', { messages: parsed.messages });
+  if (result.error) {
+    setStatus(`Import failed: ${result.error}`, 'error');
   } else {
-    setStatus(`Exported ${result.count} rows`, 'success');
+    setStatus(`Imported ${result.imported} messages: ${result.added} new, ${result.total} in total`, 'success');
   }
 }
 
@@ -326,13 +473,20 @@ async function onSaveSettings() {
   setStatus('Settings saved', 'success');
 }
 
+async function onResetWatermarks() {
+  await sendMessage('resetWatermarks');
+  setStatus('Watermarks reset — the next delta export includes everything', 'success');
+}
+
 async function onClearData() {
   scannedChats = [];
+  scannedPlatform = null;
   selectedChats = [];
   excludedChats = [];
+  els.resumeSection.classList.add('hidden');
   renderChips(els.selectedChats, [], 'selected');
   renderChips(els.excludedChats, [], 'excluded');
-  chrome.storage.local.remove(['scannedChats', 'selectedKeys', 'excludedKeys']);
+  chrome.storage.local.remove(['scannedChats', 'scannedPlatform', 'selectedKeys', 'excludedKeys']);
   await sendMessage('clearData');
   els.progressPanel.classList.add('hidden');
   setStatus('All data cleared', 'success');
@@ -342,16 +496,391 @@ async function onClearData() {
 // ── Settings ──
 
 function gatherSettings() {
+  const maxTextLength = parseInt(els.maxTextLength.value, 10);
   return {
     senderName: els.senderName.value.trim() || 'Kate Kondrateva',
     messagesPerChat: parseInt(els.messagesPerChat.value, 10) || 8,
     rowMode: els.rowMode.value,
+    // 0 = no limit; other limits leave room for the "..." marker
+    maxTextLength: Number.isNaN(maxTextLength) || maxTextLength < 0 ? CSVBuilder.MAX_TEXT_LENGTH : maxTextLength && Math.max(maxTextLength, 10),
+    longText: els.longText.value,
     redactPII: els.redactPII.checked,
+    piiRules: Object.fromEntries([...els.piiRuleList.querySelectorAll('input')].map(input => [input.dataset.rule, input.checked])),
+    customPiiRules: customPiiRules.filter(rule => rule.pattern.trim()).map(rule => ({ ...rule })),
+    reidKey: els.reidKey.checked,
+    fullHistory: els.fullHistory.checked,
+    deltaMode: els.deltaMode.checked,
+    // null keeps the default layout, so columns added to it later still appear
+    csvColumns: sameColumns(csvColumns, CSVBuilder.DEFAULT_CSV_COLUMNS) ? null : copyColumns(csvColumns),
+    columnMappings,
     dateFrom: els.dateFrom.value || '',
     dateTo: els.dateTo.value || '',
   };
 }
 
+// ── Column Designer ──
+
+function copyColumns(columns) {
+  return columns.map(({ field, header }) => ({ field, header }));
+}
+
+function sameColumns(a, b) {
+  return a.length === b.length && a.every((column, i) => column.field === b[i].field && column.header === b[i].header);
+}
+
+function fieldLabel(fieldId) {
+  return CSVBuilder.CSV_FIELDS.find(field => field.id === fieldId)?.header || fieldId;
+}
+
+function renderColumnDesigner() {
+  els.columnList.innerHTML = csvColumns.map((column, i) => `
+    <div class="column-row" data-index="${i}">
+      <span class="column-field" title="${escapeAttr(fieldLabel(column.field))}">${escapeHTML(fieldLabel(column.field))}</span>
+      <input type="text" value="${escapeAttr(column.header)}" placeholder="${escapeAttr(fieldLabel(column.field))}" />
+      <button data-move="-1" title="Move up" ${i === 0 ? 'disabled' : ''}>&uarr;</button>
+      <button data-move="1" title="Move down" ${i === csvColumns.length - 1 ? 'disabled' : ''}>&darr;</button>
+      <button data-remove="true" title="Remove" ${csvColumns.length === 1 ? 'disabled' : ''}>&times;</button>
+    </div>
+  `).join('');
+
+  if (els.columnField.options.length === 0) {
+    for (const field of CSVBuilder.CSV_FIELDS) {
+      const option = document.createElement('option');
+      option.value = field.id;
+      option.textContent = field.header;
+      els.columnField.appendChild(option);
+    }
+  }
+  renderMappingSelect();
+}
+
+/**
+ * Mapping dropdown: "Default layout", then saved mappings. Selects the one
+ * matching the designer, or a trailing "Custom (unsaved)" entry.
+ */
+function renderMappingSelect() {
+  const names = Object.keys(columnMappings).sort((a, b) => a.localeCompare(b));
+  const active = names.find(name => sameColumns(columnMappings[name], csvColumns));
+  const isDefault = sameColumns(csvColumns, CSVBuilder.DEFAULT_CSV_COLUMNS);
+
+  els.columnMapping.innerHTML = '';
+  const labels = ['Default layout', ...names, ...(active || isDefault ? [] : ['Custom (unsaved)'])];
+  labels.forEach((label, i) => {
+    const option = document.createElement('option');
+    option.value = i > 0 && i <= names.length ? label : '';
+    option.textContent = label;
+    option.disabled = i > names.length;
+    els.columnMapping.appendChild(option);
+  });
+  els.columnMapping.selectedIndex = active ? names.indexOf(active) + 1 : isDefault ? 0 : labels.length - 1;
+  els.btnDeleteMapping.disabled = !active;
+}
+
+function onColumnHeaderInput(e) {
+  const row = e.target.closest('.column-row');
+  if (!row) return;
+  csvColumns[Number(row.dataset.index)].header = e.target.value;
+  renderMappingSelect();
+}
+
+function onColumnListClick(e) {
+  const btn = e.target.closest('button');
+  if (!btn) return;
+  const i = Number(btn.closest('.column-row').dataset.index);
+  if (btn.dataset.move) {
+    const j = i + Number(btn.dataset.move);
+    [csvColumns[i], csvColumns[j]] = [csvColumns[j], csvColumns[i]];
+  } else if (btn.dataset.remove) {
+    csvColumns.splice(i, 1);
+  }
+  renderColumnDesigner();
+}
+
+function onAddColumn() {
+  const field = els.columnField.value;
+  csvColumns.push({ field, header: fieldLabel(field) });
+  renderColumnDesigner();
+}
+
+function onSelectMapping() {
+  const name = els.columnMapping.value;
+  csvColumns = copyColumns(name ? columnMappings[name] : CSVBuilder.DEFAULT_CSV_COLUMNS);
+  els.mappingName.value = name;
+  renderColumnDesigner();
+}
+
+async function onSaveMapping() {
+  const name = els.mappingName.value.trim();
+  if (!name) {
+    setStatus('Enter a name for the column mapping', 'error');
+    return;
+  }
+  columnMappings = { ...columnMappings, [name]: copyColumns(csvColumns) };
+  await sendMessage('updateSettings', gatherSettings());
+  renderMappingSelect();
+  setStatus(`Column mapping "${name}" saved and in use`, 'success');
+}
+
+async function onDeleteMapping() {
+  const name = els.columnMapping.value;
+  if (!name) return;
+  columnMappings = { ...columnMappings };
+  delete columnMappings[name];
+  await sendMessage('updateSettings', gatherSettings());
+  renderMappingSelect();
+  setStatus(`Column mapping "${name}" deleted`, 'success');
+}
+
+// ── PII Rules ──
+
+function renderPiiRules(toggles = {}) {
+  els.piiRuleList.innerHTML = Redact.PII_RULES.map(rule => `
+    <label class="radio-label">
+      <input type="checkbox" data-rule="${rule.id}" ${toggles[rule.id] ?? rule.defaultOn ? 'checked' : ''} />
+      ${escapeHTML(rule.label)}
+    </label>
+  `).join('');
+}
+
+/**
+ * Why a custom rule cannot be used, or '' when it compiles.
+ */
+function customRuleError(rule, i) {
+  try {
+    Redact.compileCustomRule(rule, i);
+    return '';
+  } catch (err) {
+    return err.message;
+  }
+}
+
+function renderCustomRules() {
+  els.customRuleList.classList.toggle('hidden', customPiiRules.length === 0);
+  els.customRuleList.innerHTML = customPiiRules.map((rule, i) => {
+    const error = rule.pattern ? customRuleError(rule, i) : '';
+    return `
+      <div class="column-row custom-rule" data-index="${i}">
+        <select data-key="type">
+          <option value="keyword" ${rule.type === 'keyword' ? 'selected' : ''}>Keywords</option>
+          <option value="regex" ${rule.type === 'regex' ? 'selected' : ''}>Regex</option>
+        </select>
+        <input type="text" data-key="pattern" value="${escapeAttr(rule.pattern)}"
+          placeholder="${rule.type === 'keyword' ? 'Acme, Project X' : 'ORD-\\d{6}'}"
+          class="${error ? 'invalid' : ''}" title="${escapeAttr(error)}" />
+        <input type="text" data-key="replacement" value="${escapeAttr(rule.replacement || '')}" placeholder="[REDACTED]" />
+        <button data-remove="true" title="Remove">&times;</button>
+      </div>
+    `;
+  }).join('');
+}
+
+function onCustomRuleInput(e) {
+  const row = e.target.closest('.custom-rule');
+  if (!row) return;
+  const i = Number(row.dataset.index);
+  customPiiRules[i][e.target.dataset.key] = e.target.value;
+  if (e.target.dataset.key === 'type') {
+    renderCustomRules();
+    return;
+  }
+  // Flag the pattern in place: re-rendering would take the focus away
+  const pattern = row.querySelector('[data-key="pattern"]');
+  const error = customPiiRules[i].pattern ? customRuleError(customPiiRules[i], i) : '';
+  pattern.classList.toggle('invalid', !!error);
+  pattern.title = error;
+}
+
+function onCustomRuleClick(e) {
+  const btn = e.target.closest('button[data-remove]');
+  if (!btn) return;
+  customPiiRules.splice(Number(btn.closest('.custom-rule').dataset.index), 1);
+  renderCustomRules();
+}
+
+function onAddPiiRule() {
+  customPiiRules.push({ type: 'keyword', pattern: '', replacement: '' });
+  renderCustomRules();
+}
+
+// ── Salt Manager ──
+
+function renderSaltManager() {
+  const names = Object.keys(saltStore.projects).sort((a, b) => a.localeCompare(b));
+  els.saltProject.innerHTML = '';
+  for (const name of names) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    els.saltProject.appendChild(option);
+  }
+  els.saltProject.value = saltStore.active;
+
+  const project = saltStore.projects[saltStore.active];
+  const dates = [`created ${project.createdAt.slice(0, 10)}`];
+  if (project.importedAt) dates.push(`imported ${project.importedAt.slice(0, 10)}`);
+  if (project.rotatedAt) dates.push(`rotated ${project.rotatedAt.slice(0, 10)}`);
+  els.saltInfo.textContent = `Anonymized exports use this project's salt (${dates.join(', ')})`;
+  els.btnDeleteSalt.disabled = names.length === 1;
+  saltConfirm = null;
+}
+
+async function saveSaltStore(store, message) {
+  saltStore = store;
+  await Salts.saveSaltStore(saltStore);
+  renderSaltManager();
+  setStatus(message, 'success');
+}
+
+/**
+ * Rotating or deleting a salt cannot be undone: the first click only warns.
+ * @returns {boolean} Whether this click confirms the action
+ */
+function confirmSaltAction(action, warning) {
+  if (saltConfirm === action) return true;
+  saltConfirm = action;
+  setStatus(`${warning} Click again to confirm.`, 'error');
+  return false;
+}
+
+async function onSelectSaltProject() {
+  const name = els.saltProject.value;
+  await saveSaltStore(Salts.selectProject(saltStore, name), `Anonymized exports now use the "${name}" salt`);
+}
+
+async function onNewSalt() {
+  let store;
+  try {
+    store = Salts.addProject(saltStore, els.saltProjectName.value);
+  } catch (err) {
+    setStatus(err.message, 'error');
+    return;
+  }
+  els.saltProjectName.value = '';
+  await saveSaltStore(store, `Project "${store.active}" created with a new salt and in use`);
+}
+
+async function onRotateSalt() {
+  const name = saltStore.active;
+  if (!confirmSaltAction('rotate', `Rotating "${name}" gives everyone new ids that do not match earlier exports.`)) return;
+  await saveSaltStore(Salts.rotateSalt(saltStore), `Salt of "${name}" rotated — export it again to share it`);
+}
+
+async function onDeleteSalt() {
+  const name = saltStore.active;
+  if (!confirmSaltAction('delete', `Deleting "${name}" loses its salt unless it was exported.`)) return;
+  await saveSaltStore(Salts.removeProject(saltStore, name), `Project "${name}" deleted`);
+}
+
+async function onExportSalt() {
+  const name = saltStore.active;
+  let content;
+  try {
+    content = await Salts.exportSaltFile(saltStore, name, els.saltPassphrase.value);
+  } catch (err) {
+    setStatus(err.message, 'error');
+    return;
+  }
+  const url = `data:application/json;charset=utf-8,${encodeURIComponent(content)}`;
+  try {
+    await chrome.downloads.download({ url, filename: `salt-${name.replace(/[^\w-]+/g, '_')}.json`, saveAs: true });
+    els.saltPassphrase.value = '';
+    setStatus(`Salt of "${name}" exported — share the passphrase separately`, 'success');
+  } catch (err) {
+    setStatus(`Download failed: ${err.message}`, 'error');
+  }
+}
+
+function onImportSalt() {
+  if (!els.saltPassphrase.value) {
+    setStatus('Enter the passphrase the salt file was exported with', 'error');
+    return;
+  }
+  els.saltFile.click();
+}
+
+async function onSaltFile() {
+  const file = els.saltFile.files[0];
+  els.saltFile.value = ''; // Let the same file be picked again
+  if (!file) return;
+
+  let result;
+  try {
+    result = await Salts.importSaltFile(saltStore, await file.text(), els.saltPassphrase.value);
+  } catch (err) {
+    setStatus(`Salt import failed: ${err.message}`, 'error');
+    return;
+  }
+  els.saltPassphrase.value = '';
+  await saveSaltStore(result.store, result.added
+    ? `Salt imported as project "${result.name}" and in use`
+    : `This salt is already project "${result.name}" — now in use`);
+}
+
+// ── Key File ──
+
+function setKeyStatus(text, type = '') {
+  els.keyStatus.textContent = text;
+  els.keyStatus.className = `status-bar ${type}`;
+}
+
+function onOpenKeyFile() {
+  if (!els.keyFilePassphrase.value) {
+    setKeyStatus('Enter the passphrase the key file was saved with', 'error');
+    return;
+  }
+  els.keyFile.click();
+}
+
+async function onKeyFile() {
+  const file = els.keyFile.files[0];
+  els.keyFile.value = ''; // Let the same file be picked again
+  if (!file) return;
+
+  setKeyStatus(`Decrypting ${file.name}...`);
+  try {
+    openedKey = await ReidKey.openReidKey(await file.text(), els.keyFilePassphrase.value);
+  } catch (err) {
+    setKeyStatus(`Could not open the key file: ${err.message}`, 'error');
+    return;
+  }
+  els.keyFilePassphrase.value = '';
+  els.keySearch.value = '';
+  setKeyStatus('');
+  renderKeyView();
+}
+
+function renderKeyView() {
+  els.keyView.classList.toggle('hidden', !openedKey);
+  if (!openedKey) {
+    els.keyList.innerHTML = '';
+    return;
+  }
+
+  const { entries, meta } = openedKey;
+  const details = [`${entries.length} ids`];
+  if (meta.exportFile) details.push(`for ${meta.exportFile}`);
+  if (meta.saltProject) details.push(`salt project "${meta.saltProject}"`);
+  if (meta.createdAt) details.push(`saved ${meta.createdAt.slice(0, 10)}`);
+  els.keyMeta.textContent = details.join(', ');
+
+  const matches = ReidKey.searchReidKey(entries, els.keySearch.value);
+  els.keyList.innerHTML = matches.map(entry => `
+    <div class="key-row">
+      <span class="key-id">${escapeHTML(entry.id)}</span>
+      <span class="key-name">
+        ${escapeHTML(entry.name)}
+        ${entry.profileUrl ? `<span class="key-url">${escapeHTML(entry.profileUrl)}</span>` : ''}
+      </span>
+    </div>
+  `).join('') || '<div class="key-row">No matching ids</div>';
+}
+
+function onCloseKey() {
+  openedKey = null;
+  els.keySearch.value = '';
+  renderKeyView();
+}
+
 // ── Progress ──
 
 function updateProgress(data) {
@@ -364,11 +893,32 @@ function updateProgress(data) {
 
     const chatName = findChatName(data.current);
     appendProgressDetail(`Processing: ${chatName}...`, '');
+  } else if (data.status === 'chatDone') {
+    const chatName = findChatName(data.chatKey);
+    const coverage = data.stopReason === 'watermark' ? 'back to the last export'
+      : data.complete ? 'full thread' : `cut short (${data.stopReason || 'limit'})`;
+    const resumed = data.resumed ? ', resumed' : '';
+    // Messages already stored from an earlier run are updated, not added again
+    const known = data.collected - (data.added ?? data.collected);
+    const repeat = known > 0 ? `, ${known} already collected` : '';
+    const count = data.newMessages !== undefined ? `${data.newMessages} new messages` : `${data.collected} messages`;
+    appendProgressDetail(`${chatName}: ${count}${repeat}, ${coverage}${resumed}`, data.complete ? 'ok' : 'fail');
   } else if (data.status === 'done') {
     els.progressFill.style.width = '100%';
     els.progressText.textContent = `Done! Processed: ${data.processed}/${data.total} | Failed: ${data.failures}`;
     els.btnProcess.disabled = false;
+    if (data.cutShort > 0) {
+      appendProgressDetail(`${data.cutShort} chat(s) were cut short before the start of the conversation`, 'fail');
+    }
+    if (data.newChats !== undefined) {
+      appendProgressDetail(`${data.newChats} chat(s) with new messages since the last export, ${data.unchangedChats} unchanged`, '');
+    }
+    if (data.undated > 0) {
+      appendProgressDetail(`${data.undated} message(s) could not be dated and were kept unfiltered`, 'fail');
+    }
     setStatus('Processing complete. Click Download to export.', 'success');
+  } else if (data.status === 'warning') {
+    appendProgressDetail(data.message, 'fail');
   } else if (data.status === 'cancelled') {
     els.progressText.textContent = 'Cancelled';
     els.btnProcess.disabled = false;
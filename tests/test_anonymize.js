@@ -4,10 +4,16 @@
  * Run with: node tests/test_anonymize.js
  *
  * Uses Node.js built-in crypto to simulate the Web Crypto API behavior.
+ * Message anonymization is tested through utils/anonymize.js itself, on
+ * Node's global Web Crypto.
  */
 
 const crypto = require('crypto');
 
+require('../utils/anonymize.js');
+
+const { SELF_TOKEN, nameVariants, createAnonymizer } = globalThis.Anonymize;
+
 // ── Polyfill the functions we're testing ──
 
 function generateSalt() {
@@ -96,6 +102,48 @@ async function runTests() {
   const anonSaltB = await anonymizeContact('Alice Smith', saltB);
   assert(anonSaltA !== anonSaltB, 'Different salts produce different IDs');
 
+  // Test 7: Name variants
+  console.log('\n-- Name Variants --');
+  const variants = nameVariants('Alice  Smith').map(v => v.text);
+  await assertEqual(variants.join(','), 'Alice Smith,@Alice,@AliceSmith,@Alice.Smith,@Alice_Smith,Alice', 'Full name, handles, then first name');
+  assert(!nameVariants('Al Green').some(v => v.text === 'Al'), 'Short first names are not variants');
+
+  // Test 8: Message anonymization
+  console.log('\n-- Message Anonymization --');
+  const thread = [
+    {
+      chatKey: 'alice', conversationName: 'Alice Smith', isGroup: false, direction: 'in',
+      sender: 'Alice Smith', receiver: 'Kate Kondrateva', participants: ['Alice Smith'],
+      text: 'Hi Kate! Did @bob.jones reply? alice smith here, Alice.',
+    },
+    {
+      chatKey: 'alice', conversationName: 'Alice Smith', isGroup: false, direction: 'out',
+      sender: 'Kate Kondrateva', receiver: 'Alice Smith', participants: ['Alice Smith'],
+      text: 'Not yet, Alicent', quote: { author: 'Alice Smith', text: 'Did Bob reply?' },
+    },
+    {
+      chatKey: 'team', conversationName: 'Team', isGroup: true, direction: 'in',
+      sender: 'Bob Jones', receiver: 'Team', participants: ['Bob Jones', 'Alice Smith'],
+      text: 'bob says will do',
+    },
+  ];
+  const anonymizer = await createAnonymizer(thread, testSalt, 'Kate Kondrateva');
+  const [incoming, outgoing, group] = thread.map(anonymizer.message);
+  const alice = await anonymizeContact('Alice Smith', testSalt);
+  const bob = await anonymizeContact('Bob Jones', testSalt);
+  await assertEqual(incoming.sender, alice, 'Incoming 1:1 sender is anonymized');
+  await assertEqual(incoming.receiver, SELF_TOKEN, 'The user is SELF');
+  await assertEqual(outgoing.sender, SELF_TOKEN, 'Outgoing sender is SELF');
+  await assertEqual(outgoing.conversationName, alice, 'Conversation name uses the contact id');
+  await assertEqual(incoming.text, `Hi ${SELF_TOKEN}! Did ${bob} reply? ${alice} here, ${alice}.`,
+    'Full names, first names and handles in text are replaced');
+  await assertEqual(outgoing.text, 'Not yet, Alicent', 'Names inside longer words are kept');
+  await assertEqual(outgoing.quote.author, alice, 'Quoted author is anonymized');
+  await assertEqual(outgoing.quote.text, `Did ${bob} reply?`, 'Quoted text is anonymized');
+  await assertEqual(group.receiver, (await globalThis.Anonymize.anonymizeContact('Team', testSalt, 'GROUP_')), 'Group thread gets a GROUP_ id');
+  await assertEqual(group.participants.join(','), `${bob},${alice}`, 'Group members are anonymized');
+  await assertEqual(group.text, 'bob says will do', 'Lower-case first names are left alone');
+
   // Summary
   console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
   process.exit(failed > 0 ? 1 : 0);
@@ -4,87 +4,18 @@
  * Run with: node tests/test_csv.js
  */
 
-// ── Inline the functions we're testing (no browser globals needed) ──
+// ── Load the modules under test ──
+// utils/*.js register themselves on globalThis and need no browser APIs.
 
-const CSV_COLUMNS = ['Platform', 'Message Date', 'Sender', 'Receiver', 'Message Text'];
-const MAX_TEXT_LENGTH = 500;
-const UTF8_BOM = '\uFEFF';
-
-function escapeCSVField(value) {
-  const str = String(value ?? '');
-  if (str.includes('"') || str.includes(',') || str.includes('\n') || str.includes('\r')) {
-    return '"' + str.replace(/"/g, '""') + '"';
-  }
-  return str;
-}
-
-function truncateText(text, maxLength = MAX_TEXT_LENGTH) {
-  if (!text) return '';
-  const trimmed = text.trim();
-  if (trimmed.length <= maxLength) return trimmed;
-  return trimmed.substring(0, maxLength - 3) + '...';
-}
-
-function buildCSVRow(msg) {
-  const fields = [
-    escapeCSVField(msg.platform || 'Linkedin'),
-    escapeCSVField(msg.messageDateRaw || ''),
-    escapeCSVField(msg.sender || ''),
-    escapeCSVField(msg.receiver || ''),
-    escapeCSVField(truncateText(msg.text)),
-  ];
-  return fields.join(',');
-}
+require('../utils/csv.js');
+require('../utils/redact.js');
 
-function buildCSV(messages) {
-  const header = CSV_COLUMNS.map(escapeCSVField).join(',');
-  const rows = messages.map(buildCSVRow);
-  return UTF8_BOM + header + '\n' + rows.join('\n');
-}
-
-function mergeByConversation(messages) {
-  const grouped = new Map();
-  for (const msg of messages) {
-    if (!grouped.has(msg.chatKey)) {
-      grouped.set(msg.chatKey, {
-        platform: msg.platform,
-        messageDateRaw: msg.messageDateRaw,
-        sender: msg.sender,
-        receiver: msg.receiver,
-        text: msg.text,
-        chatKey: msg.chatKey,
-        _texts: [msg.text],
-      });
-    } else {
-      const entry = grouped.get(msg.chatKey);
-      entry._texts.push(msg.text);
-      entry.messageDateRaw += '; ' + msg.messageDateRaw;
-    }
-  }
-  for (const [, entry] of grouped) {
-    entry.text = truncateText(entry._texts.join(' | '), MAX_TEXT_LENGTH);
-    delete entry._texts;
-  }
-  return Array.from(grouped.values());
-}
-
-// PII Redaction
-const PII_PATTERNS = [
-  { name: 'email', regex: /[a-zA-Z0-9._%+\-]+@[a-zA-Z0-9.\-]+\.[a-zA-Z]{2,}/g, replacement: '[EMAIL]' },
-  { name: 'phone', regex: /(?:\+?\d{1,3}[-.\s]?)?\(?\d{2,4}\)?[-.\s]?\d{3,4}[-.\s]?\d{3,4}/g, replacement: '[PHONE]' },
-  { name: 'url', regex: /https?:\/\/[^\s<>"{}|\\^`\[\]]+/gi, replacement: '[URL]' },
-];
-
-function redactPII(text, patternsToRedact = ['email', 'phone', 'url']) {
-  if (!text) return '';
-  let result = text;
-  for (const pattern of PII_PATTERNS) {
-    if (patternsToRedact.includes(pattern.name)) {
-      result = result.replace(pattern.regex, pattern.replacement);
-    }
-  }
-  return result;
-}
+const {
+  escapeCSVField, truncateText, splitText, limitRows, formatAttachments, formatReactions, buildCSVRow, buildCSV, buildTSV, mergeByConversation,
+  resolveColumns, DEFAULT_CSV_COLUMNS,
+} = globalThis.CSVBuilder;
+const { redactPII } = globalThis.Redact;
+const UTF8_BOM = '\uFEFF';
 
 // ── Test Runner ──
 
@@ -139,19 +70,49 @@ function runTests() {
   assert(truncated.length === 500, 'Truncated to 500 chars');
   assert(truncated.endsWith('...'), 'Ends with ellipsis');
   assertEqual(truncateText('x'.repeat(500)).length, 500, 'Exactly 500 chars not truncated');
+  assertEqual(truncateText(longText, 0), longText, 'A limit of 0 means no limit');
+  assertEqual(truncateText('abcdef', 2), 'ab', 'Limits below 3 cut without an ellipsis');
+  assertEqual(truncateText('abcdef', 3), '...', 'A limit of 3 is just the ellipsis');
+
+  console.log('\n-- Long text --');
+  const proposal = 'Scope: ' + 'word '.repeat(60) + 'end';
+  const parts = splitText(proposal, 100);
+  assert(parts.every(part => part.length <= 100), 'Parts fit the limit');
+  assertEqual(parts.join(''), proposal, 'Parts join back to the full text');
+  assert(parts[0].endsWith(' '), 'Parts break after whitespace');
+  assertEqual(splitText('x'.repeat(250), 100).map(p => p.length).join(','), '100,100,50', 'Text without spaces is cut at the limit');
+  assertEqual(splitText('x'.repeat(99) + '😀😀', 100)[0].length, 99, 'Emoji are not cut in half');
+
+  const cutRows = limitRows([{ text: proposal, id: 'm1' }, { text: 'short', quote: { text: 'q'.repeat(80) } }], { maxTextLength: 50 });
+  assertEqual(cutRows.length, 2, 'Truncate mode keeps one row per message');
+  assertEqual(cutRows[0].text.length, 50, 'Text is cut at the configured limit');
+  assertEqual(cutRows[0].truncated, true, 'Cut rows are flagged');
+  assertEqual(cutRows[1].truncated, true, 'Cut quotes flag the row too');
+  const splitRows = limitRows([{ text: proposal, id: 'm1' }], { maxTextLength: 100, longText: 'split' });
+  assertEqual(splitRows.map(r => r.part).join(','), '1/4,2/4,3/4,4/4', 'Split mode numbers continuation rows');
+  assert(splitRows.every(r => r.id === 'm1' && !r.truncated), 'Continuation rows share the message id and are not truncated');
+  assertEqual(limitRows([{ text: proposal }], { maxTextLength: 0 })[0].text, proposal, 'No limit keeps the full text');
+  const splitCSV = buildCSV([{ text: proposal, id: 'm1' }], { settings: { maxTextLength: 100, longText: 'split' } }).split('\n');
+  assertEqual(splitCSV.length, 5, 'Split CSV has one line per part');
+  assert(splitCSV[1].endsWith(',m1,1/4,'), 'Part column holds the part number');
+  assert(buildCSVRow({ text: longText }).endsWith(',yes'), 'Truncated column flags cut rows');
 
   // Test 3: buildCSVRow
   console.log('\n-- buildCSVRow --');
   const row = buildCSVRow({
     platform: 'Linkedin',
     messageDateRaw: 'Dec 2, 2025',
+    messageDate: '2025-12-02T00:00:00.000Z',
     sender: 'Kate Kondrateva',
     receiver: 'Alice Smith',
     text: 'Hello there',
   });
-  assertEqual(row, 'Linkedin,"Dec 2, 2025",Kate Kondrateva,Alice Smith,Hello there',
+  assertEqual(row, 'Linkedin,"Dec 2, 2025",2025-12-02T00:00:00.000Z,Kate Kondrateva,Alice Smith,Hello there,text,,,,,,,,,,',
     'Simple row builds correctly (date with comma is quoted)');
 
+  const rowUndated = buildCSVRow({ platform: 'Linkedin', messageDateRaw: 'Mon', sender: 'Kate', receiver: 'Bob', text: 'Hi' });
+  assertEqual(rowUndated, 'Linkedin,Mon,,Kate,Bob,Hi,text,,,,,,,,,,', 'Missing normalized date leaves the ISO column empty');
+
   // Test row with commas in text
   const rowComma = buildCSVRow({
     platform: 'Linkedin',
@@ -162,6 +123,46 @@ function runTests() {
   });
   assert(rowComma.includes('"Hello, how are you?"'), 'Text with comma is quoted');
 
+  const rowFile = buildCSVRow({
+    platform: 'WhatsApp',
+    messageDateRaw: '10:32',
+    sender: 'Kate',
+    receiver: 'Bob',
+    text: '',
+    type: 'file',
+    attachments: [{ kind: 'file', filename: 'deck.pdf', mime: 'application/pdf', url: '', title: '', duration: '' }],
+  });
+  assertEqual(rowFile, 'WhatsApp,10:32,,Kate,Bob,,file,file: deck.pdf (application/pdf),,,,,,,,,',
+    'Attachment-only message keeps its type and attachment summary');
+
+  const rowReply = buildCSVRow({
+    platform: 'Telegram',
+    messageDateRaw: '10:32',
+    sender: 'Bob',
+    receiver: 'Kate',
+    text: 'Sure',
+    quote: { author: 'Kate', text: 'Call at 5?' },
+    edited: true,
+    reactions: [{ emoji: '👍', count: 2 }],
+  });
+  assertEqual(rowReply, 'Telegram,10:32,,Bob,Kate,Sure,text,,Kate,Call at 5?,yes,,👍 2,,,,',
+    'Quote, edited flag and reactions go in their own columns');
+
+  const rowGroup = buildCSVRow({
+    platform: 'Whatsapp',
+    messageDateRaw: '10:32',
+    sender: 'Bob',
+    receiver: 'Launch Team',
+    text: 'Done',
+    isGroup: true,
+    participants: ['Bob', 'Carol'],
+  });
+  assertEqual(rowGroup, 'Whatsapp,10:32,,Bob,Launch Team,Done,text,,,,,,,Bob; Carol,,,',
+    'Group message lists the group as receiver plus its participants');
+  assert(buildCSVRow({ text: 'Hi', participants: ['Alice'] }).endsWith(',text,,,,,,,,,,'),
+    'Participants column stays empty for 1:1 threads');
+  assert(buildCSVRow({ text: 'Hi', id: '00a1b2c3d4e5f6' }).endsWith(',00a1b2c3d4e5f6,,'), 'Message ID comes before Part and Truncated');
+
   // Test 4: buildCSV
   console.log('\n-- buildCSV --');
   const csv = buildCSV([
@@ -169,9 +170,44 @@ function runTests() {
     { platform: 'Linkedin', messageDateRaw: '2025-01-02', sender: 'Alice', receiver: 'Kate', text: 'Hello' },
   ]);
   assert(csv.startsWith(UTF8_BOM), 'CSV starts with BOM');
-  assert(csv.includes('Platform,Message Date,Sender,Receiver,Message Text'), 'CSV has header');
+  assert(csv.includes('Platform,Message Date,Message Date (ISO),Sender,Receiver,Message Text,Message Type,Attachments,'
+    + 'Reply To Author,Reply To Text,Edited,Deleted,Reactions,Participants,Message ID'),
+    'CSV has header');
   const lines = csv.split('\n');
   assertEqual(lines.length, 3, 'CSV has header + 2 data rows');
+  assert(buildCSVRow({ text: 'Hi' }).startsWith(',,,'), 'Missing platform is left empty');
+
+  // Test 4b: column mappings
+  console.log('\n-- Column mappings --');
+  assertEqual(resolveColumns(null), DEFAULT_CSV_COLUMNS, 'No mapping uses the default layout');
+  assertEqual(resolveColumns([{ field: 'nope', header: 'X' }]), DEFAULT_CSV_COLUMNS, 'A mapping without known fields uses the default layout');
+  const crmColumns = [
+    { field: 'profileUrl', header: 'LinkedIn URL' },
+    { field: 'chatName', header: 'Contact' },
+    { field: 'text', header: 'Note Body' },
+    { field: 'messageDate', header: '' },
+    { field: 'direction', header: 'Direction' },
+    { field: 'bogus', header: 'Ignored' },
+  ];
+  assertEqual(resolveColumns(crmColumns).map(c => c.header).join('|'), 'LinkedIn URL|Contact|Note Body|Message Date (ISO)|Direction',
+    'Unknown fields are dropped and blank headers use the field name');
+  const crmMessage = { chatKey: 'c1', text: 'Hi, there', messageDate: '2025-01-01T09:00:00.000Z', direction: 'out' };
+  const crmContext = {
+    settings: { csvColumns: crmColumns },
+    chats: [{ chatKey: 'c1', displayName: 'Alice Smith', profileUrl: 'https://www.linkedin.com/in/alice' }],
+  };
+  const crmCSV = buildCSV([crmMessage], crmContext).slice(1).split('\n');
+  assertEqual(crmCSV[0], 'LinkedIn URL,Contact,Note Body,Message Date (ISO),Direction', 'Mapped header in mapping order');
+  assertEqual(crmCSV[1], 'https://www.linkedin.com/in/alice,Alice Smith,"Hi, there",2025-01-01T09:00:00.000Z,out',
+    'Chat fields come from the scanned chat list');
+  const anonCSV = buildCSV([crmMessage], { ...crmContext, anonymized: true }).split('\n');
+  assertEqual(anonCSV[1], ',,"Hi, there",2025-01-01T09:00:00.000Z,out', 'Anonymized exports leave scanned names and URLs empty');
+  const keyContext = { settings: { csvColumns: [{ field: 'chatKey' }, { field: 'text' }] }, anonymized: true };
+  const keyMessage = { ...crmMessage, chatKey: 'chat_alice_smith' };
+  assertEqual(buildCSV([keyMessage], keyContext).split('\n')[1], ',"Hi, there"', 'Anonymized CSV leaves the chat key empty');
+  assertEqual(buildTSV([keyMessage], keyContext).split('\n')[1], '\tHi, there', 'Anonymized TSV leaves the chat key empty');
+  assertEqual(buildTSV([crmMessage], crmContext).split('\n')[0], 'LinkedIn URL\tContact\tNote Body\tMessage Date (ISO)\tDirection',
+    'TSV uses the mapping too');
 
   // Test 5: mergeByConversation
   console.log('\n-- mergeByConversation --');
@@ -185,7 +221,33 @@ function runTests() {
   assert(merged[0].text.includes('msg2'), 'First conversation has msg2');
   assertEqual(merged[1].text, 'msg3', 'Second conversation has msg3');
 
-  // Test 6: PII Redaction
+  const mergedMedia = mergeByConversation([
+    { text: 'see this', type: 'link', chatKey: 'c', attachments: [{ kind: 'link', url: 'https://x.co' }] },
+    { text: '', type: 'voice', chatKey: 'c', attachments: [{ kind: 'voice', duration: '0:42' }] },
+  ]);
+  assertEqual(mergedMedia[0].type, 'link, voice', 'Merged row lists distinct message types');
+  assertEqual(mergedMedia[0].attachments.length, 2, 'Merged row keeps every attachment');
+  assertEqual(mergedMedia[0].text, 'see this', 'Attachment-only messages add no empty text segments');
+
+  const mergedReactions = mergeByConversation([
+    { text: 'a', chatKey: 'c', reactions: [{ emoji: '❤️', count: 2 }], edited: true },
+    { text: 'b', chatKey: 'c', reactions: [{ emoji: '❤️', count: 1 }, { emoji: '👍', count: 1 }] },
+  ]);
+  assertEqual(formatReactions(mergedReactions[0].reactions), '❤️ 3; 👍 1', 'Merged row sums reactions per emoji');
+  assertEqual(mergedReactions[0].edited, true, 'Merged row is edited if any message was');
+
+  // Test 6: formatAttachments
+  console.log('\n-- formatAttachments --');
+  assertEqual(formatAttachments(undefined), '', 'No attachments');
+  assertEqual(formatAttachments([{ kind: 'link', url: 'https://x.co/a', title: 'Pricing' }]),
+    'link: https://x.co/a "Pricing"', 'Link with preview title');
+  assertEqual(formatAttachments([{ kind: 'voice', duration: '0:42' }]), 'voice (0:42)', 'Voice note duration');
+  assertEqual(formatAttachments([
+    { kind: 'image', mime: 'image/*', url: 'https://cdn.x/p.jpg' },
+    { kind: 'file', filename: 'a.docx', mime: 'application/msword' },
+  ]), 'image: https://cdn.x/p.jpg; file: a.docx (application/msword)', 'Several attachments joined with "; "');
+
+  // Test 7: PII Redaction
   console.log('\n-- PII Redaction --');
   assertEqual(
     redactPII('Email me at test@example.com'),
@@ -0,0 +1,81 @@
+/**
+ * test_exporters.js — Unit tests for the exporter registry.
+ *
+ * Run with: node tests/test_exporters.js
+ */
+
+// exporters.js must load first so format modules can register themselves
+require('../utils/exporters.js');
+require('../utils/csv.js');
+
+const { registerExporter, getExporter, listExporters, exportFilename } = globalThis.Exporters;
+
+// ── Test Runner ──
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual === expected) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+    console.error(`    Expected: ${JSON.stringify(expected)}`);
+    console.error(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+// ── Tests ──
+
+function runTests() {
+  console.log('=== Exporter Registry Tests ===\n');
+
+  console.log('-- Built-in formats --');
+  assertEqual(listExporters().map(e => e.id).join(','), 'csv,csv_anon,tsv', 'CSV module registers its formats in order');
+  assertEqual(getExporter('csv_anon').anonymize, true, 'Anonymized CSV asks for anonymization');
+  assertEqual(getExporter('csv').anonymize, false, 'Plain CSV does not');
+  assertEqual(getExporter('tsv').extension, 'tsv', 'TSV has its own extension');
+  assert(getExporter('tsv').build([{ text: 'a\tb' }]).includes('a b'), 'TSV builder is reachable through the registry');
+  assertEqual(getExporter('nope'), null, 'Unknown format');
+
+  console.log('\n-- registerExporter --');
+  let error = null;
+  try {
+    registerExporter({ id: 'broken', label: 'Broken' });
+  } catch (err) {
+    error = err;
+  }
+  assert(error && /mimeType/.test(error.message), 'Missing fields are rejected');
+  assertEqual(getExporter('broken'), null, 'Rejected exporter is not registered');
+
+  registerExporter({ id: 'txt', label: 'Text', mimeType: 'text/plain', extension: 'txt', build: () => '' });
+  assertEqual(getExporter('txt').tabular, false, 'Optional flags default to false');
+  assertEqual(listExporters().at(-1).id, 'txt', 'New formats are appended to the dropdown');
+
+  console.log('\n-- exportFilename --');
+  const linkedin = [{ platform: 'Linkedin' }, { platform: 'Linkedin' }];
+  assertEqual(exportFilename(getExporter('csv'), linkedin, '20250312'), 'linkedin_export_20250312.csv',
+    'Single platform names the file');
+  assertEqual(exportFilename(getExporter('csv_anon'), linkedin, '20250312'), 'linkedin_export_anon_20250312.csv',
+    'Anonymized exports are marked');
+  assertEqual(exportFilename(getExporter('tsv'), [{ platform: 'Linkedin' }, { platform: 'Telegram' }], '20250312'),
+    'chat_export_20250312.tsv', 'Mixed platforms fall back to "chat"');
+
+  // Summary
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,122 @@
+/**
+ * test_html.js — Unit tests for the HTML transcript exporter.
+ *
+ * Run with: node tests/test_html.js
+ */
+
+require('../utils/exporters.js');
+require('../utils/csv.js');
+require('../utils/html.js');
+
+const { messageMoment, transcriptChats, buildHTML } = globalThis.HTMLTranscript;
+const { getExporter } = globalThis.Exporters;
+
+// ── Test Runner ──
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual === expected) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+    console.error(`    Expected: ${JSON.stringify(expected)}`);
+    console.error(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+const count = (haystack, needle) => haystack.split(needle).length - 1;
+
+// ── Fixtures ──
+
+const local = (y, m, d, h, min) => new Date(y, m - 1, d, h, min).toISOString();
+
+const messages = [
+  {
+    platform: 'Linkedin', chatKey: 'thread_z', conversationName: 'Zoe Park', isGroup: false,
+    messageDate: local(2025, 3, 11, 9, 5), messageDateRaw: '9:05 AM', sender: 'Zoe Park', receiver: 'Kate',
+    text: 'Hi <script>alert(1)</script>', direction: 'in',
+  },
+  {
+    platform: 'Linkedin', chatKey: 'thread_z', conversationName: 'Zoe Park', isGroup: false,
+    messageDate: local(2025, 3, 12, 15, 42), messageDateRaw: '3:42 PM', sender: 'Kate', receiver: 'Zoe Park',
+    text: 'Deck attached', direction: 'out', edited: true,
+    quote: { author: 'Zoe Park', text: 'Can you send it?' },
+    attachments: [{ kind: 'file', filename: 'deck.pdf', mime: 'application/pdf', url: 'https://cdn.example.com/deck.pdf' }],
+    reactions: [{ emoji: '👍', count: 2 }],
+  },
+  {
+    platform: 'Linkedin', chatKey: 'thread_a', conversationName: 'Alpha team', isGroup: true,
+    messageDate: '', messageDateRaw: 'Mon', dayLabel: 'Monday', sender: 'Bob', receiver: 'Alpha team',
+    text: '', deleted: true, direction: 'in',
+  },
+];
+const context = {
+  chats: [{ chatKey: 'thread_z', displayName: 'Zoe P. (scanned)' }],
+  exportedAt: '2025-03-12T18:00:00.000Z',
+};
+
+// ── Tests ──
+
+function runTests() {
+  console.log('=== HTML Transcript Tests ===\n');
+
+  console.log('-- messageMoment --');
+  const moment = messageMoment(messages[1]);
+  assertEqual(`${moment.day} ${moment.time}`, '2025-03-12 15:42', 'Dated messages use local day and time');
+  assertEqual(messageMoment(messages[2]).day, 'Monday', 'Undated messages fall back to the day label');
+
+  console.log('\n-- transcriptChats --');
+  const chats = transcriptChats(messages, context);
+  assertEqual(chats.map(c => c.title).join(','), 'Alpha team,Zoe P. (scanned)', 'Chats sorted by title, scanned names first');
+  assertEqual(chats[1].messages.length, 2, 'Messages grouped by chat');
+  const anonChats = transcriptChats(messages, { ...context, anonymized: true });
+  assertEqual(anonChats[1].title, 'Zoe Park', 'Anonymized exports ignore scanned display names');
+  const untitled = [{ ...messages[0], chatKey: 'chat_zoe_park', conversationName: '' }];
+  assertEqual(transcriptChats(untitled, {}).map(c => c.title).join(), 'chat_zoe_park', 'Untitled chats fall back to the chat key');
+  assertEqual(transcriptChats(untitled, { anonymized: true }).map(c => c.title).join(), 'Chat 1',
+    'Anonymized untitled chats are numbered instead');
+  assert(!buildHTML(untitled, { anonymized: true }).includes('chat_zoe_park'), 'Anonymized HTML never shows the chat key');
+
+  console.log('\n-- buildHTML --');
+  const html = buildHTML(messages, context);
+  assert(html.startsWith('<!DOCTYPE html>'), 'Is an HTML document');
+  assert(!html.includes('<script>alert'), 'Message text is escaped');
+  assert(html.includes('Hi &lt;script&gt;alert(1)&lt;/script&gt;'), 'Escaped text is kept');
+  assert(!/<(link|img|iframe)\b|<script src=|@import|url\(/.test(html), 'No external resources');
+  assertEqual(count(html, 'class="day"'), 3, 'One separator per day');
+  assert(html.includes('<a href="#chat-1">Alpha team</a>'), 'Table of contents links to each chat');
+  assert(html.includes('id="search"'), 'Has a search box');
+  assert(html.includes('[<a href="https://cdn.example.com/deck.pdf" rel="noopener noreferrer">file: deck.pdf (application/pdf)</a>]'),
+    'Attachments are placeholders linking to the original');
+  assert(html.includes('<cite>Zoe Park</cite>Can you send it?'), 'Quoted replies are shown');
+  assert(html.includes('👍 2'), 'Reactions are shown');
+  assert(html.includes('15:42</time> · edited'), 'Edited messages are marked');
+  assert(html.includes('This message was deleted'), 'Deleted messages get a placeholder');
+  assert(html.includes('<div class="sender">Bob</div>'), 'Group messages name their author');
+  assert(html.includes('3 messages in 2 chats'), 'Summary counts messages and chats');
+
+  console.log('\n-- Registry --');
+  assertEqual(getExporter('html').anonymize, false, 'Plain transcript is registered');
+  assertEqual(getExporter('html_anon').anonymize, true, 'Anonymized transcript runs the anonymization step');
+  assertEqual(getExporter('html').tabular, false, 'Transcript ignores the conversation row mode');
+
+  // Summary
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
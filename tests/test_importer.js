@@ -0,0 +1,186 @@
+/**
+ * test_importer.js — Unit tests for re-importing CSV / JSON exports.
+ *
+ * Run with: node tests/test_importer.js
+ */
+
+require('../utils/csv.js');
+require('../utils/json.js');
+require('../utils/message_ids.js');
+require('../utils/importer.js');
+
+const { buildCSV, mergeByConversation } = globalThis.CSVBuilder;
+const { buildJSON, buildNDJSON } = globalThis.JSONExport;
+const { assignMessageIds, mergeMessages } = globalThis.MessageIds;
+const { parseCSV, messagesFromCSV, messagesFromJSON, parseImport, relinkImportedChats, runStartMessages } = globalThis.Importer;
+
+// ── Test Runner ──
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual === expected) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+    console.error(`    Expected: ${JSON.stringify(expected)}`);
+    console.error(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+    failed++;
+    console.error(`  FAIL: ${message} (no error)`);
+  } catch (err) {
+    assert(pattern.test(err.message), message);
+    if (!pattern.test(err.message)) console.error(`    Error: ${err.message}`);
+  }
+}
+
+// ── Fixtures ──
+
+const messages = assignMessageIds([
+  {
+    platform: 'Linkedin', chatKey: 'thread_1', conversationName: 'Alice Smith', isGroup: false,
+    participants: ['Alice Smith'], messageDateRaw: '3:42 PM', messageDate: '2025-03-12T15:42:00.000Z',
+    sender: 'Kate', receiver: 'Alice Smith', direction: 'out', type: 'file',
+    text: 'Hi "Alice",\nsee the deck, thanks',
+    attachments: [
+      { kind: 'file', filename: 'deck.pdf', url: 'https://cdn.example.com/deck.pdf', mime: 'application/pdf' },
+      { kind: 'voice', duration: '0:42' },
+    ],
+    quote: { author: 'Alice Smith', text: 'Send it over?' },
+    edited: true, deleted: false, reactions: [{ emoji: '❤️', count: 3 }, { emoji: '👍', count: 1 }],
+  },
+  {
+    platform: 'Linkedin', chatKey: 'thread_1', conversationName: 'Alice Smith', isGroup: false,
+    participants: ['Alice Smith'], messageDateRaw: '3:45 PM', messageDate: '2025-03-12T15:45:00.000Z',
+    sender: 'Alice Smith', receiver: 'Kate', direction: 'in', type: 'link',
+    text: 'Got it: https://example.com', attachments: [{ kind: 'link', url: 'https://example.com', title: 'Example' }],
+    quote: null, edited: false, deleted: false, reactions: [],
+  },
+  {
+    platform: 'Linkedin', chatKey: 'thread_2', conversationName: 'Sales team', isGroup: true,
+    participants: ['Bob', 'Carol'], messageDateRaw: 'Mon', messageDate: '',
+    sender: 'Bob', receiver: 'Sales team', direction: 'in', type: 'text', text: 'Morning all',
+    attachments: [], quote: null, edited: false, deleted: false, reactions: [],
+  },
+]);
+
+// ── Tests ──
+
+function runTests() {
+  console.log('=== Importer Tests ===\n');
+
+  console.log('-- parseCSV --');
+  const rows = parseCSV('\uFEFFa,b\r\n"x, ""y""","line 1\nline 2"\n\n');
+  assertEqual(rows.length, 2, 'BOM, CRLF and trailing blank lines are handled');
+  assertEqual(rows[1][0], 'x, "y"', 'Quoted commas and doubled quotes');
+  assertEqual(rows[1][1], 'line 1\nline 2', 'Quoted line breaks');
+
+  console.log('\n-- messagesFromCSV --');
+  const fromCSV = messagesFromCSV(buildCSV(messages), { senderName: 'kate' });
+  assertEqual(fromCSV.length, 3, 'One message per row');
+  const [first, second, third] = fromCSV;
+  assertEqual(first.text, messages[0].text, 'Text with quotes and line breaks survives');
+  assertEqual(first.id, messages[0].id, 'Message ids are kept');
+  assertEqual(first.direction, 'out', 'Rows by the sender name are outgoing');
+  assertEqual(second.direction, 'in', 'Other rows are incoming');
+  assertEqual(JSON.stringify(first.attachments), JSON.stringify(messages[0].attachments), 'Attachments are parsed back');
+  assertEqual(JSON.stringify(second.attachments), JSON.stringify(messages[1].attachments), 'Link attachments are parsed back');
+  assertEqual(JSON.stringify(first.reactions), JSON.stringify(messages[0].reactions), 'Reactions are parsed back');
+  assertEqual(first.quote.author, 'Alice Smith', 'Quotes are parsed back');
+  assertEqual(first.edited, true, 'Edited flag is parsed back');
+  assertEqual(second.conversationName, 'Alice Smith', 'Incoming 1:1 rows are named after the sender');
+  assertEqual(first.chatKey, second.chatKey, 'Both sides of a 1:1 chat share a chat key');
+  assertEqual(first.chatKey, 'imported:Linkedin:Alice Smith', 'CSV chats get an imported key');
+  assertEqual(third.isGroup, true, 'Groups are recognized by their participants');
+  assertEqual(third.conversationName, 'Sales team', 'Group rows are named after the group');
+
+  const legacy = messagesFromCSV('Platform,Message Date,Sender,Receiver,Message Text\nLinkedin,3:42 PM,Kate,Alice,Hello', { senderName: 'Kate' });
+  assertEqual(legacy[0].text, 'Hello', 'Five-column CSVs from older versions import');
+  assertEqual(legacy[0].id, undefined, 'Rows without ids get them on merge');
+
+  const longText = 'Proposal: ' + 'details '.repeat(40) + '\nNext steps';
+  const splitCSV = buildCSV([{ ...messages[0], text: longText }], { settings: { maxTextLength: 100, longText: 'split' } });
+  const rejoined = messagesFromCSV(splitCSV, { senderName: 'Kate' });
+  assertEqual(rejoined.length, 1, 'Split rows import as one message');
+  assertEqual(rejoined[0].text, longText, 'Split text is joined back in full');
+  const cutCSV = buildCSV([{ ...messages[0], text: longText }], { settings: { maxTextLength: 100 } });
+  const [cut] = messagesFromCSV(cutCSV, { senderName: 'Kate' });
+  assertEqual(cut.truncated, true, 'The Truncated flag is read back');
+  assertEqual(buildCSV([cut]).split('\n')[0], cutCSV.split('\n')[0], 'Header is unchanged on re-export');
+  assert(buildCSV([cut]).split('\n')[1].includes(',yes'), 'A re-exported truncated message is still flagged');
+  assertEqual(messagesFromCSV(buildCSV([cut]), { senderName: 'Kate' })[0].truncated, true, 'Truncation survives a round trip');
+
+  assertThrows(() => messagesFromCSV('Name,Email\nA,b'), /missing Platform/, 'Other CSVs are rejected');
+  assertThrows(() => messagesFromCSV(buildCSV(mergeByConversation(messages.slice(0, 2))), { senderName: 'Kate' }),
+    /One row per conversation/, 'Conversation-row CSVs are rejected');
+  assertThrows(() => messagesFromCSV(buildCSV([{ ...messages[0], receiver: 'CONTACT_1a2b3c4d' }]), { senderName: 'Kate' }),
+    /anonymized/, 'Anonymized CSVs are rejected');
+  assertThrows(() => messagesFromCSV(buildCSV([{ ...messages[0], sender: 'SELF', receiver: 'CONTACT_1A2B3C4D' }])),
+    /anonymized/, 'Anonymized CSVs with SELF and upper-case ids are rejected');
+
+  console.log('\n-- messagesFromJSON --');
+  const fromJSON = messagesFromJSON(buildJSON(messages, {}));
+  assertEqual(JSON.stringify(fromJSON), JSON.stringify(messages), 'JSON restores every field');
+  const fromNDJSON = messagesFromJSON(buildNDJSON(messages, {}));
+  assertEqual(JSON.stringify(fromNDJSON), JSON.stringify(messages), 'NDJSON restores every field');
+  assertThrows(() => messagesFromJSON(buildJSON(messages, { anonymized: true })), /Anonymized/, 'Anonymized JSON is rejected');
+  assertThrows(() => messagesFromJSON('{"messages": []}'), /Not a chat export/, 'Other JSON is rejected');
+  assertThrows(() => messagesFromJSON('{oops'), /invalid JSON/, 'Broken JSON is reported');
+
+  console.log('\n-- parseImport --');
+  assertEqual(parseImport(buildNDJSON(messages, {}), 'linkedin_export_20250312.ndjson').format, 'json', 'Detects NDJSON by extension');
+  assertEqual(parseImport(buildCSV(messages), 'export.csv', { senderName: 'Kate' }).format, 'csv', 'Detects CSV by extension');
+  assertEqual(parseImport(buildJSON(messages, {})).format, 'json', 'Detects JSON by content');
+
+  console.log('\n-- Merge --');
+  // A fresh extraction of thread_1: the deck message again (same id), plus a new reply
+  const fresh = assignMessageIds([
+    { ...messages[0], reactions: [{ emoji: '❤️', count: 4 }], id: undefined },
+    { ...messages[1], text: 'Thanks!', messageDate: '2025-03-19T09:00:00.000Z', attachments: [], id: undefined },
+  ]);
+  const merged = mergeMessages(fromCSV, fresh);
+  assertEqual(merged.messages.length, 4, 'Re-extracted messages replace imported copies');
+  assertEqual(merged.messages[0].reactions[0].count, 4, 'The fresh copy wins');
+  const relinked = relinkImportedChats(merged.messages);
+  assertEqual(relinked[1].chatKey, 'thread_1', 'Imported messages move to the real chat key');
+  assertEqual(relinked[2].chatKey, 'imported:Linkedin:Sales team', 'Chats not re-extracted keep the imported key');
+
+  console.log('\n-- Runs --');
+  // Run 1 selected thread_1 (merged above); run 2 selects only thread_3
+  const otherChat = assignMessageIds([{
+    ...messages[1], chatKey: 'thread_3', conversationName: 'Dan Brown', sender: 'Dan Brown',
+    text: 'See you Friday', messageDate: '2025-03-20T10:00:00.000Z', id: undefined,
+  }]);
+  const run1 = relinked;
+  const run2 = mergeMessages(runStartMessages(run1, []), otherChat).messages;
+  assertEqual(run2.map(msg => msg.chatKey).join(','), 'thread_3', 'A new run exports only its own selection');
+  const importedIds = fromCSV.map(msg => msg.id);
+  const run2WithImport = mergeMessages(runStartMessages(run1, importedIds), otherChat).messages;
+  assertEqual(run2WithImport.length, 4, 'Imported messages are kept for the next run');
+  assert(!run2WithImport.some(msg => msg.text === 'Thanks!'), 'Messages collected by the earlier run are dropped');
+  assertEqual(run2WithImport[0].reactions[0].count, 4, 'An imported message keeps its fresher copy');
+
+  // Summary
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,178 @@
+/**
+ * test_interop.js — Unit tests for the WhatsApp .txt and Telegram result.json exports.
+ *
+ * Run with: node tests/test_interop.js
+ */
+
+require('../utils/exporters.js');
+require('../utils/csv.js');
+require('../utils/zip.js');
+require('../utils/html.js');
+require('../utils/transcripts.js');
+require('../utils/message_ids.js');
+require('../utils/interop.js');
+
+const { interopDates, whatsappDate, buildWhatsAppChat, buildWhatsAppZip, telegramId, textEntities, buildTelegramJSON } = globalThis.Interop;
+const { getExporter } = globalThis.Exporters;
+
+// ── Test Runner ──
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual === expected) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+    console.error(`    Expected: ${JSON.stringify(expected)}`);
+    console.error(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+/**
+ * Names of the entries of a stored ZIP, read from its central directory.
+ * @returns {string[]}
+ */
+function zipNames(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  let pos = view.getUint32(end + 16, true);
+  const names = [];
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    const nameLength = view.getUint16(pos + 28, true);
+    names.push(new TextDecoder().decode(bytes.subarray(pos + 46, pos + 46 + nameLength)));
+    pos += 46 + nameLength;
+  }
+  return names;
+}
+
+// ── Fixtures ──
+
+const local = (y, m, d, h, min) => new Date(y, m - 1, d, h, min).toISOString();
+
+const zoe = [
+  {
+    platform: 'Linkedin', chatKey: 'thread_z', conversationName: 'Zoe Park', isGroup: false,
+    messageDate: local(2025, 3, 12, 9, 5), sender: 'Zoe Park', receiver: 'Kate',
+    text: 'Can you send the deck?\nThe long one', direction: 'in',
+  },
+  {
+    platform: 'Linkedin', chatKey: 'thread_z', conversationName: 'Zoe Park', isGroup: false,
+    messageDate: '', messageDateRaw: 'Yesterday', sender: 'Kate', receiver: 'Zoe Park',
+    text: 'Here it is', direction: 'out', edited: true,
+    quote: { author: 'Zoe Park', text: 'Can you send the…' },
+    attachments: [{ kind: 'file', filename: 'deck.pdf', mime: 'application/pdf' }],
+    reactions: [{ emoji: '👍', count: 2 }],
+  },
+  {
+    platform: 'Linkedin', chatKey: 'thread_z', conversationName: 'Zoe Park', isGroup: false,
+    messageDate: local(2025, 3, 12, 15, 42), sender: 'Zoe Park', receiver: 'Kate',
+    text: 'Thanks, see https://example.com/notes', direction: 'in',
+    attachments: [{ kind: 'image', mime: 'image/*' }, { kind: 'link', url: 'https://example.com/more' }],
+  },
+  {
+    platform: 'Linkedin', chatKey: 'thread_z', conversationName: 'Zoe Park', isGroup: false,
+    messageDate: local(2025, 3, 12, 15, 43), sender: 'Zoe Park', receiver: 'Kate',
+    text: '', direction: 'in', deleted: true,
+  },
+];
+const team = [
+  {
+    platform: 'Telegram', chatKey: 'tg_team', conversationName: 'Team', isGroup: true,
+    messageDate: local(2025, 3, 10, 8, 0), sender: 'Bob', receiver: 'Team', text: 'Voice note', direction: 'in',
+    attachments: [{ kind: 'voice', duration: '1:05' }],
+  },
+  {
+    platform: 'Telegram', chatKey: 'tg_team', conversationName: 'Team', isGroup: true,
+    messageDate: local(2025, 3, 10, 8, 1), sender: '', receiver: 'Team', text: 'Bob pinned a message', direction: 'service',
+  },
+];
+
+// ── Tests ──
+
+function runTests() {
+  console.log('=== Interop Export Tests ===\n');
+
+  console.log('-- Dates --');
+  const dates = interopDates(zoe);
+  assertEqual(dates[1].getTime(), dates[0].getTime(), 'Undated messages take the previous message time');
+  assertEqual(interopDates([{ messageDate: '' }, zoe[2]])[0].toISOString(), zoe[2].messageDate, 'Leading undated messages take the next time');
+  assertEqual(whatsappDate(new Date(2025, 2, 5, 7, 4)), '05/03/2025, 07:04', 'WhatsApp dates are day first, 24-hour');
+
+  console.log('\n-- WhatsApp --');
+  const lines = buildWhatsAppChat({ messages: zoe }).split('\n');
+  assertEqual(lines[0], '12/03/2025, 09:05 - Zoe Park: Can you send the deck?', 'Messages start with "date - Sender: "');
+  assertEqual(lines[1], 'The long one', 'Continuation lines follow as they are');
+  assertEqual(lines[2], '12/03/2025, 09:05 - Kate: deck.pdf (file attached)', 'Named files are attached');
+  assertEqual(lines[3], 'Here it is <This message was edited>', 'Captions follow the media line; edits are marked');
+  assertEqual(lines[4], '12/03/2025, 15:42 - Zoe Park: <Media omitted>', 'Unnamed media are omitted');
+  assertEqual(lines[5], 'Thanks, see https://example.com/notes https://example.com/more', 'Link attachments missing from the text are added');
+  assertEqual(lines[6], '12/03/2025, 15:43 - Zoe Park: This message was deleted', 'Deleted messages use WhatsApp\'s placeholder');
+  assertEqual(buildWhatsAppChat({ messages: team }).split('\n')[2], '10/03/2025, 08:01 - Bob pinned a message', 'Service lines have no sender');
+  const names = zipNames(buildWhatsAppZip([...zoe, ...team], {}));
+  assertEqual(names.join(','), 'WhatsApp Chat with Team.txt,WhatsApp Chat with Zoe Park.txt', 'One file per chat, named like WhatsApp');
+
+  console.log('\n-- Telegram --');
+  assertEqual(textEntities('see https://x.co now').map(e => e.type).join(','), 'plain,link,plain', 'Links become link entities');
+  assertEqual(telegramId('Zoe Park'), telegramId('Zoe Park'), 'Ids are stable');
+
+  const single = JSON.parse(buildTelegramJSON(zoe, {}));
+  assertEqual(single.name, 'Zoe Park', 'A single chat is exported as a chat export');
+  assertEqual(single.type, 'personal_chat', '1:1 chats are personal chats');
+  assertEqual(single.messages.length, 3, 'Deleted placeholders are left out');
+  const [first, second, third] = single.messages;
+  assertEqual(first.date, '2025-03-12T09:05:00', 'Dates are local, without a zone');
+  assertEqual(first.date_unixtime, String(Date.parse(zoe[0].messageDate) / 1000), 'Unix times are strings of seconds');
+  assertEqual(first.from_id, `user${telegramId('Zoe Park')}`, 'Senders get user ids');
+  assertEqual(second.reply_to_message_id, 1, 'Quotes point to the quoted message');
+  assertEqual(second.file_name, 'deck.pdf', 'Files keep their name');
+  assertEqual(second.edited, second.date, 'Edited messages are marked');
+  assertEqual(second.reactions[0].emoji, '👍', 'Reactions are kept');
+  assert(third.photo && !third.file, 'Images are photos');
+  assert(Array.isArray(third.text) && third.text[1].type === 'link', 'Text with links is a mixed array');
+  assertEqual(third.text_entities.length, 4, 'Every link gets an entity');
+
+  const full = JSON.parse(buildTelegramJSON([...zoe, ...team], {}));
+  assertEqual(full.chats.list.length, 2, 'Several chats use the full-export layout');
+  const [group] = full.chats.list;
+  assertEqual(group.type, 'private_group', 'Groups are private groups');
+  assertEqual(group.messages[0].media_type, 'voice_message', 'Voice notes are voice messages');
+  assertEqual(group.messages[0].duration_seconds, 65, 'Durations are seconds');
+  assertEqual(group.messages[1].type, 'service', 'Service messages stay service messages');
+
+  // Anonymized: names are already CONTACT_ ids, but a chat key can be built from a name
+  const anonZoe = zoe.map(msg => ({
+    ...msg,
+    chatKey: 'chat_zoe_park',
+    conversationName: 'CONTACT_1a2b3c4d',
+    sender: msg.direction === 'out' ? 'SELF' : 'CONTACT_1a2b3c4d',
+    quote: msg.quote && { ...msg.quote, author: 'CONTACT_1a2b3c4d' },
+  }));
+  const anonJSON = buildTelegramJSON(anonZoe, { anonymized: true });
+  assert(!anonJSON.includes('chat_zoe_park') && !anonJSON.includes(String(telegramId('chat_zoe_park'))),
+    'Anonymized result.json holds nothing derived from the chat key');
+  assertEqual(JSON.parse(anonJSON).id, telegramId('CONTACT_1a2b3c4d'), 'Anonymized chat ids come from the anonymized title');
+
+  console.log('\n-- Registry --');
+  assertEqual(getExporter('whatsapp_txt').extension, 'whatsapp.zip', 'WhatsApp export is registered');
+  assertEqual(getExporter('telegram_json_anon').anonymize, true, 'Anonymized Telegram export is registered');
+
+  // Summary
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,120 @@
+/**
+ * test_json.js — Unit tests for the JSON / NDJSON exporters.
+ *
+ * Run with: node tests/test_json.js
+ */
+
+require('../utils/exporters.js');
+require('../utils/json.js');
+
+const schema = require('../schema/chat_export.v1.schema.json');
+const { EXPORT_SCHEMA_VERSION, buildJSON, buildNDJSON } = globalThis.JSONExport;
+const { getExporter } = globalThis.Exporters;
+
+// ── Test Runner ──
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual === expected) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+    console.error(`    Expected: ${JSON.stringify(expected)}`);
+    console.error(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+function missingRequired(obj, def) {
+  return def.required.filter(key => !(key in obj));
+}
+
+// ── Fixtures ──
+
+const longText = 'x'.repeat(800);
+const messages = [
+  {
+    id: '0000000000000a',
+    platform: 'Linkedin',
+    platformMessageId: 'urn:li:msg:1',
+    chatKey: 'thread_1',
+    messageDateRaw: '3:42 PM',
+    messageDate: '2025-03-12T15:42:00.000Z',
+    sender: 'Kate',
+    receiver: 'Alice Smith',
+    text: longText,
+    direction: 'out',
+    attachments: [],
+    reactions: [{ emoji: '👍', count: 2 }],
+  },
+];
+const context = {
+  settings: { senderName: 'Kate', rowMode: 'message' },
+  runState: {
+    platform: 'linkedin',
+    processedChatKeys: ['thread_1'],
+    failures: [{ chatKey: 'thread_2', reason: 'Could not open chat' }],
+    history: { thread_1: { complete: false, partial: true, stopReason: 'max-attempts' } },
+  },
+  chats: [
+    { chatKey: 'thread_1', displayName: 'Alice Smith', lastPreview: 'Hi', lastActivityHint: 'Mon' },
+    { chatKey: 'thread_9', displayName: 'Not exported', lastPreview: '', lastActivityHint: '' },
+  ],
+  exportedAt: '2025-03-12T18:00:00.000Z',
+};
+
+// ── Tests ──
+
+function runTests() {
+  console.log('=== JSON Export Tests ===\n');
+
+  console.log('-- buildJSON --');
+  const doc = JSON.parse(buildJSON(messages, context));
+  assertEqual(doc.schema, schema.properties.schema.const, 'Schema name matches the JSON Schema');
+  assertEqual(doc.schemaVersion, EXPORT_SCHEMA_VERSION, 'Schema version is recorded');
+  assertEqual(schema.properties.schemaVersion.const, EXPORT_SCHEMA_VERSION, 'Schema file matches the exporter version');
+  assertEqual(missingRequired(doc, schema).join(','), '', 'Document has every required field');
+  assertEqual(missingRequired(doc.messages[0], schema.$defs.message).join(','), '', 'Message has every required field');
+  assertEqual(doc.messages[0].text.length, 800, 'Text is not truncated');
+  assertEqual(doc.messages[0].platformMessageId, 'urn:li:msg:1', 'Platform id is kept');
+  assertEqual(doc.messages[0].reactions[0].count, 2, 'Nested fields are kept');
+  assertEqual(doc.run.history.thread_1.partial, true, 'Partial flags are kept');
+  assertEqual(doc.run.failures[0].reason, 'Could not open chat', 'Failures are kept');
+  assertEqual(doc.chats.map(c => c.chatKey).join(','), 'thread_1,thread_2',
+    'Chats with messages or failures are listed, others are not');
+  assertEqual(doc.chats[0].displayName, 'Alice Smith', 'Chat metadata comes from the scan');
+  assert(!('redactions' in doc), 'Exports without redaction have no redaction counts');
+  const redacted = JSON.parse(buildJSON(messages, { ...context, anonymized: true, redactions: { email: 2 } }));
+  assertEqual(redacted.redactions.email, 2, 'Redaction counts per rule are recorded');
+
+  console.log('\n-- buildNDJSON --');
+  const ndjson = buildNDJSON(messages, context);
+  assert(ndjson.endsWith('\n'), 'Ends with a newline');
+  const records = ndjson.trim().split('\n').map(line => JSON.parse(line));
+  assertEqual(records.map(r => r.record).join(','), 'header,chat,chat,message', 'Header, then chats, then messages');
+  assertEqual(records[0].schemaVersion, EXPORT_SCHEMA_VERSION, 'Header carries the schema version');
+  assertEqual(records[3].text.length, 800, 'Message line is lossless');
+
+  console.log('\n-- Registry --');
+  assertEqual(getExporter('json').extension, 'json', 'JSON is registered');
+  assertEqual(getExporter('ndjson').tabular, false, 'NDJSON ignores the conversation row mode');
+
+  // Summary
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,114 @@
+/**
+ * test_message_ids.js — Unit tests for stable message ids and de-duplication.
+ *
+ * Run with: node tests/test_message_ids.js
+ */
+
+require('../utils/timestamps.js');
+require('../utils/message_ids.js');
+
+const { hashString, assignMessageIds, mergeMessages } = globalThis.MessageIds;
+const { resolveMessageDate } = globalThis.Timestamps;
+
+// ── Test Runner ──
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual === expected) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+    console.error(`    Expected: ${JSON.stringify(expected)}`);
+    console.error(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+function message(overrides = {}) {
+  return {
+    platform: 'Linkedin',
+    chatKey: 'thread_1',
+    sender: 'Alice Smith',
+    receiver: 'Kate',
+    messageDateRaw: '3:42 PM',
+    messageDate: '2025-03-12T15:42:00.000Z',
+    text: 'Hello',
+    ...overrides,
+  };
+}
+
+// ── Tests ──
+
+function runTests() {
+  console.log('=== Message Id Tests ===\n');
+
+  console.log('-- hashString --');
+  assertEqual(hashString('abc'), hashString('abc'), 'Same input, same hash');
+  assert(hashString('abc') !== hashString('abd'), 'Different input, different hash');
+  assert(/^[0-9a-f]{14}$/.test(hashString('')), 'Hash is 14 hex chars');
+
+  console.log('\n-- assignMessageIds --');
+  const [a] = assignMessageIds([message()]);
+  const [b] = assignMessageIds([message({ receiver: 'Someone else', dayLabel: 'Today' })]);
+  assertEqual(a.id, b.id, 'Content id ignores fields that are not part of the identity');
+  const [c] = assignMessageIds([message({ text: 'Hello!' })]);
+  assert(a.id !== c.id, 'Different text gives a different id');
+  const [d] = assignMessageIds([message({ chatKey: 'thread_2' })]);
+  assert(a.id !== d.id, 'Same text in another chat gives a different id');
+
+  const [p1] = assignMessageIds([message({ platformMessageId: 'urn:1', text: 'Hello' })]);
+  const [p2] = assignMessageIds([message({ platformMessageId: 'urn:1', text: 'Hello (edited)' })]);
+  assertEqual(p1.id, p2.id, 'Platform id wins over content, so edits keep the id');
+  assert(!p1.id.includes('urn'), 'Raw platform id is not exposed');
+
+  const twins = assignMessageIds([message({ text: 'ok' }), message({ text: 'ok' })]);
+  assertEqual(twins[1].id, twins[0].id + '-2', 'Identical messages in one batch get an occurrence suffix');
+  assertEqual(assignMessageIds([{ ...a, text: 'changed' }])[0].id, a.id, 'Existing ids are kept');
+
+  // A bare "3:42 PM" with no day separator, captured on two different days
+  const capture = now => [
+    message({ messageDateRaw: 'Mar 10, 9:00 AM', messageDate: '2025-03-10T09:00:00.000Z', text: 'Dated' }),
+    message({ text: 'Undated', ...resolveMessageDate('3:42 PM', { now, locale: 'en-US' }) }),
+  ];
+  const monday = assignMessageIds(capture(new Date(2025, 2, 10, 18, 0)));
+  const friday = assignMessageIds(capture(new Date(2025, 2, 14, 18, 0)));
+  assert(monday[1].messageDate !== friday[1].messageDate, 'The assumed day follows the capture date');
+  assertEqual(friday[1].id, monday[1].id, 'A message without a day label keeps its id when captured on another day');
+  const later = assignMessageIds([
+    message({ messageDateRaw: 'Mar 11, 8:00 AM', messageDate: '2025-03-11T08:00:00.000Z', text: 'Dated' }),
+    message({ text: 'Undated', ...resolveMessageDate('3:42 PM', { now: new Date(2025, 2, 14, 18, 0) }) }),
+  ]);
+  assert(later[1].id !== monday[1].id, 'It is dated by the nearest earlier dated message');
+
+  console.log('\n-- mergeMessages --');
+  const firstRun = assignMessageIds([message({ text: 'one' }), message({ text: 'two' })]);
+  const secondRun = assignMessageIds([
+    message({ text: 'two', reactions: [{ emoji: '👍', count: 1 }] }),
+    message({ text: 'three' }),
+  ]);
+  const merged = mergeMessages(firstRun, secondRun);
+  assertEqual(merged.messages.length, 3, 'Re-running a chat does not duplicate rows');
+  assertEqual(merged.added, 1, 'Only the new message is counted as added');
+  assertEqual(merged.updated, 1, 'The repeated message is counted as updated');
+  assertEqual(merged.messages[1].reactions?.length, 1, 'Updated copy replaces the stored one in place');
+  assertEqual(merged.messages.map(m => m.text).join(','), 'one,two,three', 'Order is preserved');
+
+  // Summary
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,129 @@
+/**
+ * test_phone_corpus.js — Labelled corpus for phone number redaction.
+ *
+ * Every phone number in PHONES must be redacted and every number in
+ * NOT_PHONES must survive. Add a line here whenever a false positive or a
+ * missed number turns up, so the behavior stays locked in.
+ *
+ * Run with: node tests/test_phone_corpus.js
+ */
+
+require('../utils/redact.js');
+
+const { PII_RULES, redactText } = globalThis.Redact;
+
+// ── Test Runner ──
+
+let passed = 0;
+let failed = 0;
+
+function assertEqual(actual, expected, message) {
+  if (actual === expected) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+    console.error(`    Expected: ${JSON.stringify(expected)}`);
+    console.error(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+const phoneRule = PII_RULES.filter(rule => rule.id === 'phone');
+
+// ── Corpus ──
+
+// [text, redacted text]
+const PHONES = [
+  // International, country-valid lengths
+  ['Call +1-234-567-8901', 'Call [PHONE]'],
+  ['My UK number: +44 20 7946 0958', 'My UK number: [PHONE]'],
+  ['+44 (0)20 7946 0958 is the office', '[PHONE] is the office'],
+  ['Ring me on +49 30 901820', 'Ring me on [PHONE]'],
+  ['WhatsApp +7 912 345-67-89', 'WhatsApp [PHONE]'],
+  ['Paris: +33 6 12 34 56 78', 'Paris: [PHONE]'],
+  ['0044 7700 900123 after 6pm', '[PHONE] after 6pm'],
+  ['+91 98765 43210', '[PHONE]'],
+  ['reach me at +380 44 123 4567 tomorrow', 'reach me at [PHONE] tomorrow'],
+  ['+61 2 9374 4000', '[PHONE]'],
+  // North American and trunk-prefixed national numbers with separators
+  ['(415) 555-2671 works too', '[PHONE] works too'],
+  ['Office line 415.555.2671', 'Office line [PHONE]'],
+  ['1-800-555-0199 toll free', '[PHONE] toll free'],
+  ['London 020 7946 0958', 'London [PHONE]'],
+  ['Mobile 07700 900123', 'Mobile [PHONE]'],
+  ['06 12 34 56 78 le soir', '[PHONE] le soir'],
+  ['Festnetz 030/901820-12', 'Festnetz [PHONE]'],
+  // Local or unseparated numbers named as phones
+  ['call 555-1234 after lunch', 'call [PHONE] after lunch'],
+  ['call 555-123-4567', 'call [PHONE]'],
+  ['Tel. 4155552671', 'Tel. [PHONE]'],
+  ['my cell is 917 555 0123', 'my cell is [PHONE]'],
+  ['text me: 2345678', 'text me: [PHONE]'],
+  ['📞 020 1234 5678', '📞 [PHONE]'],
+  ['Telefon: 0301234567', 'Telefon: [PHONE]'],
+  ['5551234567', '[PHONE]'],
+  ['Room 4155552671', 'Room [PHONE]'],
+  ['Two numbers: call 555-1234 or +1 415 555 2671', 'Two numbers: call [PHONE] or [PHONE]'],
+];
+
+// Numbers that must be left alone
+const NOT_PHONES = [
+  // Dates and times
+  'Meeting 2024-05-17 10:30',
+  'Due 17/05/2024 at noon',
+  'From 2024-05-17 to 2024-06-01',
+  'Logged at 2024.05.17 08:15:00',
+  'Range 2023 2024 2025',
+  // Prices and amounts
+  'Price $1 234 567',
+  'Costs €2 500 000 per year',
+  'Budget 1.299.000 VND',
+  'It came to 12345.67 in total',
+  'Total: 4 500 000',
+  'That is 3 450 000 dollars',
+  'Revenue 12,345,678 this year',
+  'Growth 12345.5%',
+  // Order, invoice and reference numbers
+  'Order #12345678',
+  'Order no. 2024-0517-88',
+  'Invoice 2024-000123 attached',
+  'Ticket: 555 1234 567',
+  'Tracking number 1Z 999 AA1 0123 4567 84',
+  'Ref 020 7946 0958',
+  'Account 12345678 at the branch',
+  'booking confirmation 98765 43210',
+  // Postal codes, versions, ids and other digit runs
+  'ZIP 94105-1234',
+  'Release 1.2.3.4567',
+  'Timestamp 1715939400',
+  'phone 2024-2025',
+  'call me about the 1999/2000 season',
+  'Call me in 10 minutes',
+  'Score 3-2, 5-1 and 2-0',
+  'ISBN 978-3-16-148410-0',
+  'Coordinates 51.5074, -0.1278',
+  'Version 10.0.19045.3803',
+];
+
+// ── Tests ──
+
+function runTests() {
+  console.log('=== Phone Corpus Tests ===\n');
+
+  console.log('-- Phone numbers --');
+  for (const [text, expected] of PHONES) {
+    assertEqual(redactText(text, phoneRule), expected, text);
+  }
+
+  console.log('\n-- Not phone numbers --');
+  for (const text of NOT_PHONES) {
+    assertEqual(redactText(text, phoneRule), text, text);
+  }
+
+  // Summary
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
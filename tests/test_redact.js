@@ -0,0 +1,111 @@
+/**
+ * test_redact.js — Unit tests for the PII redaction engine.
+ *
+ * Run with: node tests/test_redact.js
+ */
+
+require('../utils/redact.js');
+
+const { PII_RULES, luhnValid, ibanValid, compileCustomRule, compileRules, redactText, redactionSummary } = globalThis.Redact;
+
+// ── Test Runner ──
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual === expected) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+    console.error(`    Expected: ${JSON.stringify(expected)}`);
+    console.error(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+    failed++;
+    console.error(`  FAIL: ${message} — did not throw`);
+  } catch (err) {
+    assert(pattern.test(err.message), message);
+  }
+}
+
+const only = (...ids) => PII_RULES.filter(rule => ids.includes(rule.id));
+
+// ── Tests ──
+
+function runTests() {
+  console.log('=== PII Redaction Tests ===\n');
+
+  console.log('-- Validators --');
+  assert(luhnValid('4111 1111 1111 1111'), 'Luhn accepts a valid card number');
+  assert(!luhnValid('4111 1111 1111 1112'), 'Luhn rejects a wrong check digit');
+  assert(ibanValid('GB82 WEST 1234 5698 7654 32'), 'IBAN checksum accepts a valid IBAN');
+  assert(!ibanValid('GB82 WEST 1234 5698 7654 33'), 'IBAN checksum rejects a typo');
+
+  console.log('\n-- Built-in rules --');
+  assertEqual(redactText('Card 4111-1111-1111-1111, order 4111 1111 1111 1112', only('card')),
+    'Card [CARD], order 4111 1111 1111 1112', 'Only Luhn-valid card numbers are redacted');
+  assertEqual(redactText('Pay to DE89 3704 0044 0532 0130 00 or DE89 3704 0044 0532 0130 01', only('iban')),
+    'Pay to [IBAN] or DE89 3704 0044 0532 0130 01', 'Only checksum-valid IBANs are redacted');
+  assertEqual(redactText('Server 192.168.1.20, version 1.2.3.400', only('ip')), 'Server [IP], version 1.2.3.400',
+    'IPv4 octets must be at most 255');
+  assertEqual(redactText('Host 2001:db8::8a2e:370:7334 at 10:30:00', only('ip')), 'Host [IP] at 10:30:00',
+    'IPv6 addresses are redacted, clock times are not');
+  assertEqual(redactText('SSN 123-45-6789, not 666-45-6789', only('nationalId')), 'SSN [ID], not 666-45-6789',
+    'Invalid SSN areas are left alone');
+  assertEqual(redactText('NI AB 12 34 56 C, DNI 12345678Z, not 12345678A', only('nationalId')),
+    'NI [ID], DNI [ID], not 12345678A', 'UK NI numbers and checked Spanish DNIs are redacted');
+  assertEqual(redactText('Ping @kate_k or mail kate@example.com', only('email', 'handle')),
+    'Ping [HANDLE] or mail [EMAIL]', 'Emails go before @handles');
+  assertEqual(redactText('See www.example.org/about.', only('domain')), 'See [URL]', 'Bare www. domains are redacted');
+  assertEqual(redactText('Office: SW1A 1AA, ZIP 94105-1234, 1011 AB Amsterdam', only('postcode')),
+    'Office: [POSTCODE], ZIP [POSTCODE], [POSTCODE] Amsterdam', 'UK, ZIP+4 and Dutch postal codes are redacted');
+
+  console.log('\n-- Rule selection --');
+  const defaults = compileRules({});
+  assert(defaults.some(rule => rule.id === 'card') && !defaults.some(rule => rule.id === 'handle'),
+    'Rules without a setting use their default');
+  const toggled = compileRules({ piiRules: { card: false, handle: true } });
+  assert(!toggled.some(rule => rule.id === 'card') && toggled.some(rule => rule.id === 'handle'), 'Each rule is toggled on its own');
+  assertEqual(redactText('Card 4111 1111 1111 1111', defaults), 'Card [CARD]', 'Card numbers are not taken for phone numbers');
+
+  console.log('\n-- Custom rules --');
+  const keyword = compileCustomRule({ type: 'keyword', pattern: 'Acme, project  x', replacement: '[CLIENT]' }, 0);
+  assertEqual(redactText('acme and Project X, not Acmeville', [keyword]), '[CLIENT] and [CLIENT], not Acmeville',
+    'Keywords match whole words in any case');
+  const regex = compileCustomRule({ type: 'regex', pattern: 'ORD-\\d{6}' }, 1);
+  assertEqual(redactText('Order ORD-123456', [regex]), 'Order [REDACTED]', 'Regex rules default to [REDACTED]');
+  assertThrows(() => compileCustomRule({ type: 'regex', pattern: '(' }, 0), /Invalid regular expression/, 'Invalid regexes are reported');
+  assertThrows(() => compileCustomRule({ type: 'regex', pattern: 'x*' }, 0), /empty text/, 'Patterns matching empty text are refused');
+  const rules = compileRules({ customPiiRules: [{ type: 'regex', pattern: '(' }, { type: 'regex', pattern: 'ORD-\\d{6}' }] });
+  assertEqual(rules[0].id, 'custom2', 'Invalid custom rules are skipped; valid ones run first');
+
+  console.log('\n-- Counts --');
+  const counts = {};
+  redactText('a@b.co, c@d.co and 4111 1111 1111 1111', defaults, counts);
+  redactText('e@f.co', defaults, counts);
+  assertEqual(JSON.stringify(counts), '{"email":3,"card":1}', 'Redactions are counted per rule');
+  assertEqual(redactionSummary(counts, defaults), '3 × Emails, 1 × Card numbers (Luhn-checked)', 'Summary lists rules with redactions');
+
+  // Summary
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,108 @@
+/**
+ * test_reid_key.js — Unit tests for encrypted re-identification keys.
+ *
+ * Run with: node tests/test_reid_key.js
+ */
+
+require('../utils/anonymize.js');
+require('../utils/sealed.js');
+require('../utils/reid_key.js');
+
+const { createAnonymizer, anonymizeContact } = globalThis.Anonymize;
+const { reidEntries, sealReidKey, openReidKey, searchReidKey, reidKeyFilename } = globalThis.ReidKey;
+
+// ── Test Runner ──
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual === expected) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+    console.error(`    Expected: ${JSON.stringify(expected)}`);
+    console.error(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+async function assertRejects(promise, pattern, message) {
+  try {
+    await promise;
+    failed++;
+    console.error(`  FAIL: ${message} — did not throw`);
+  } catch (err) {
+    assert(pattern.test(err.message), message);
+  }
+}
+
+// ── Fixtures ──
+
+const SALT = 'a'.repeat(64);
+
+const messages = [
+  {
+    chatKey: 'alice', conversationName: 'Alice Smith', isGroup: false, direction: 'in',
+    sender: 'Alice Smith', receiver: 'Kate', participants: ['Alice Smith'], text: 'Hi',
+  },
+  {
+    chatKey: 'team', conversationName: 'Team', isGroup: true, direction: 'in',
+    sender: 'Bob Jones', receiver: 'Team', participants: ['Bob Jones', 'Alice Smith'], text: 'Hello',
+  },
+];
+const chats = [
+  { chatKey: 'alice', displayName: 'Alice Smith', profileUrl: 'https://www.linkedin.com/in/alice' },
+  { chatKey: 'team', displayName: 'Team', profileUrl: 'https://www.linkedin.com/messaging/thread/team' },
+];
+
+// ── Tests ──
+
+async function runTests() {
+  console.log('=== Re-identification Key Tests ===\n');
+
+  console.log('-- reidEntries --');
+  const anonymizer = await createAnonymizer(messages, SALT, 'Kate');
+  const entries = reidEntries(anonymizer.entries(), messages, chats);
+  assertEqual(entries.map(e => e.kind).join(','), 'self,contact,contact,group', 'The user, then contacts, then groups');
+  const alice = entries.find(e => e.name === 'Alice Smith');
+  assertEqual(alice.id, await anonymizeContact('Alice Smith', SALT), 'Contact ids match the export');
+  assertEqual(alice.profileUrl, 'https://www.linkedin.com/in/alice', 'A 1:1 chat\'s profile URL belongs to its contact');
+  assert(!entries.find(e => e.kind === 'group').profileUrl, 'Groups get no profile URL');
+  assertEqual(entries[0].id, 'SELF', 'SELF maps to the user\'s name');
+
+  console.log('\n-- Key files --');
+  const file = await sealReidKey(entries, 'research passphrase', { exportFile: 'chat_export_anon_20250312.csv', saltProject: 'Default' });
+  assert(!file.includes('Alice'), 'Names are not stored in the clear');
+  assertEqual(JSON.parse(file).count, 4, 'The file says how many ids it holds');
+  const opened = await openReidKey(file, 'research passphrase');
+  assertEqual(opened.entries.length, 4, 'The passphrase opens every entry');
+  assertEqual(opened.meta.saltProject, 'Default', 'The salt project is recorded');
+  await assertRejects(openReidKey(file, 'wrong passphrase'), /Wrong passphrase/, 'A wrong passphrase is rejected');
+  await assertRejects(openReidKey('{"type":"chat-export-salt","version":1}', 'research passphrase'), /Not a chat-export-reid-key/,
+    'Salt files are not key files');
+
+  console.log('\n-- Search and file names --');
+  assertEqual(searchReidKey(entries, alice.id.toLowerCase()).length, 1, 'Ids are found in any case');
+  assertEqual(searchReidKey(entries, 'linkedin.com/in').length, 1, 'Profile URLs are searched');
+  assertEqual(searchReidKey(entries, '  ').length, 4, 'An empty query lists everything');
+  assertEqual(reidKeyFilename('chat_export_anon_20250312.whatsapp.zip', 'whatsapp.zip'), 'chat_export_anon_20250312.reid-key.json',
+    'Key files are named after the export');
+
+  // Summary
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
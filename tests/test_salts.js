@@ -0,0 +1,137 @@
+/**
+ * test_salts.js — Unit tests for salt projects and passphrase-protected salt files.
+ *
+ * Run with: node tests/test_salts.js
+ */
+
+require('../utils/anonymize.js');
+require('../utils/sealed.js');
+require('../utils/salts.js');
+
+const { sealJSON, openSealed } = globalThis.Sealed;
+const {
+  createSaltStore, activeSalt, addProject, selectProject, rotateSalt, removeProject,
+  exportSaltFile, importSaltFile, loadSaltStore, SALT_STORAGE_KEY,
+} = globalThis.Salts;
+
+// ── Test Runner ──
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual === expected) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+    console.error(`    Expected: ${JSON.stringify(expected)}`);
+    console.error(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+async function assertRejects(promise, pattern, message) {
+  try {
+    await promise;
+    failed++;
+    console.error(`  FAIL: ${message} — did not throw`);
+  } catch (err) {
+    assert(pattern.test(err.message), message);
+  }
+}
+
+function assertThrows(fn, pattern, message) {
+  return assertRejects(Promise.resolve().then(fn), pattern, message);
+}
+
+// ── Fixtures ──
+
+const SALT = 'a'.repeat(64);
+const NOW = '2025-03-12T10:00:00.000Z';
+
+// chrome.storage.local with promise-style get/set/remove
+function mockStorage(initial) {
+  const data = { ...initial };
+  globalThis.chrome = {
+    storage: {
+      local: {
+        async get(keys) {
+          return Object.fromEntries([].concat(keys).filter(key => key in data).map(key => [key, data[key]]));
+        },
+        async set(items) { Object.assign(data, items); },
+        async remove(key) { delete data[key]; },
+      },
+    },
+  };
+  return data;
+}
+
+// ── Tests ──
+
+async function runTests() {
+  console.log('=== Salt Tests ===\n');
+
+  console.log('-- Projects --');
+  const store = createSaltStore(SALT, NOW);
+  assertEqual(activeSalt(store), SALT, 'A new store uses the given salt');
+  const study = addProject(store, ' Study B ', undefined, NOW);
+  assertEqual(study.active, 'Study B', 'New projects are trimmed and become active');
+  assert(/^[0-9a-f]{64}$/.test(activeSalt(study)) && activeSalt(study) !== SALT, 'New projects get a fresh salt');
+  await assertThrows(() => addProject(study, 'Study B'), /already exists/, 'Project names are unique');
+  await assertThrows(() => addProject(study, '  '), /project name/, 'Project names are required');
+  assertEqual(selectProject(study, 'Default').active, 'Default', 'Projects can be switched');
+
+  const rotated = rotateSalt(study, 'Default', NOW);
+  assert(rotated.projects.Default.salt !== SALT, 'Rotation replaces the salt');
+  assertEqual(rotated.projects.Default.rotatedAt, NOW, 'Rotation is dated');
+  assertEqual(store.projects.Default.salt, SALT, 'Stores are not changed in place');
+  assertEqual(removeProject(study, 'Study B').active, 'Default', 'Removing the active project activates another');
+  await assertThrows(() => removeProject(store, 'Default'), /last project/, 'The last project is kept');
+
+  console.log('\n-- Sealed files --');
+  const sealed = await sealJSON('test-file', { secret: 42 }, 'correct horse', { label: 'x' });
+  assert(!sealed.includes('42'), 'The secret is not stored in the clear');
+  const opened = await openSealed('test-file', sealed, 'correct horse');
+  assertEqual(opened.value.secret, 42, 'The right passphrase opens the file');
+  assertEqual(opened.meta.label, 'x', 'Plain fields are returned');
+  await assertRejects(openSealed('test-file', sealed, 'wrong horse'), /Wrong passphrase/, 'A wrong passphrase is rejected');
+  await assertRejects(openSealed('other-file', sealed, 'correct horse'), /Not a other-file file/, 'Files of another type are rejected');
+  const tampered = JSON.stringify({ ...JSON.parse(sealed), type: 'other-file' });
+  await assertRejects(openSealed('other-file', tampered, 'correct horse'), /Wrong passphrase/, 'The type is bound to the ciphertext');
+  await assertRejects(sealJSON('test-file', {}, 'short'), /at least 8/, 'Short passphrases are refused');
+
+  console.log('\n-- Salt files --');
+  const file = await exportSaltFile(store, 'Default', 'team passphrase');
+  assertEqual(JSON.parse(file).name, 'Default', 'Salt files carry the project name');
+  const teammate = createSaltStore('b'.repeat(64), NOW);
+  const imported = await importSaltFile(teammate, file, 'team passphrase', NOW);
+  assertEqual(imported.name, 'Default (2)', 'Imported projects get a free name');
+  assertEqual(activeSalt(imported.store), SALT, 'The imported salt is in use, so ids match');
+  assertEqual(imported.store.projects['Default (2)'].importedAt, NOW, 'Imports are dated');
+  const again = await importSaltFile(imported.store, file, 'team passphrase', NOW);
+  assert(!again.added && again.name === 'Default (2)', 'Importing a known salt only selects it');
+
+  console.log('\n-- Storage --');
+  const data = mockStorage({ anonSalt: SALT });
+  const migrated = await loadSaltStore();
+  assertEqual(activeSalt(migrated), SALT, 'The salt of earlier versions becomes the Default project');
+  assert(data[SALT_STORAGE_KEY] && !('anonSalt' in data), 'The migrated store replaces the old key');
+  assertEqual(activeSalt(await loadSaltStore()), SALT, 'Later loads read the stored projects');
+
+  // Summary
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,92 @@
+/**
+ * test_timestamps.js — Unit tests for timestamp normalization.
+ *
+ * Run with: node tests/test_timestamps.js
+ *
+ * Expected values are built with the local-time Date constructor, so the
+ * tests pass in any time zone.
+ */
+
+require('../utils/timestamps.js');
+
+const { normalizeTimestamp, resolveMessageDate } = globalThis.Timestamps;
+
+// ── Test Runner ──
+
+let passed = 0;
+let failed = 0;
+
+function assertEqual(actual, expected, message) {
+  if (actual === expected) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+    console.error(`    Expected: ${JSON.stringify(expected)}`);
+    console.error(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+function local(year, month, day, h = 0, m = 0, s = 0) {
+  return new Date(year, month - 1, day, h, m, s).toISOString();
+}
+
+// ── Tests ──
+
+function runTests() {
+  console.log('=== Timestamp Normalization Tests ===\n');
+
+  // Capture time: Wednesday, 12 March 2025, 18:00 local
+  const now = new Date(2025, 2, 12, 18, 0);
+  const en = { now, locale: 'en-US' };
+
+  console.log('-- Time only --');
+  assertEqual(normalizeTimestamp('3:42 PM', en), local(2025, 3, 12, 15, 42), 'Bare time is on the capture day');
+  assertEqual(normalizeTimestamp('12:05 AM', en), local(2025, 3, 12, 0, 5), '12 AM is midnight hour');
+  assertEqual(normalizeTimestamp('3:42 PM', { ...en, dayLabel: 'Yesterday' }), local(2025, 3, 11, 15, 42),
+    'Time under a "Yesterday" separator');
+  assertEqual(normalizeTimestamp('09:15', { ...en, dayLabel: 'Mar 4' }), local(2025, 3, 4, 9, 15),
+    'Time under a "Mar 4" separator');
+  assertEqual(normalizeTimestamp('3:42 PM', { ...en, captureDay: false }), null, 'captureDay: false leaves a bare time undated');
+  assertEqual(resolveMessageDate('3:42 PM', en).dayAssumed, true, 'A bare time\'s day is marked as assumed');
+  assertEqual(resolveMessageDate('3:42 PM', { ...en, dayLabel: 'Today' }).dayAssumed, false, 'A day separator is a real date');
+
+  console.log('\n-- Relative days --');
+  assertEqual(normalizeTimestamp('Today', en), local(2025, 3, 12), 'Today');
+  assertEqual(normalizeTimestamp('YESTERDAY', en), local(2025, 3, 11), 'Yesterday (upper case)');
+  assertEqual(normalizeTimestamp('Mon', en), local(2025, 3, 10), 'Short weekday is the most recent past one');
+  assertEqual(normalizeTimestamp('Wednesday', en), local(2025, 3, 5), 'Same weekday as today means a week ago');
+
+  console.log('\n-- Month and day --');
+  assertEqual(normalizeTimestamp('Mar 4', en), local(2025, 3, 4), 'Month/day in the capture year');
+  assertEqual(normalizeTimestamp('Dec 30', en), local(2024, 12, 30), 'Future month/day rolls back a year');
+  assertEqual(normalizeTimestamp('Mar 4, 2024, 3:42 PM', en), local(2024, 3, 4, 15, 42), 'Full US date and time');
+  assertEqual(normalizeTimestamp('4 March 2024, 10:32:05', en), local(2024, 3, 4, 10, 32, 5),
+    'Day-first date with seconds (Telegram title)');
+
+  console.log('\n-- Numeric dates and locale --');
+  assertEqual(normalizeTimestamp('10:32, 3/4/2024', en), local(2024, 3, 4, 10, 32), 'en-US reads M/D/Y');
+  assertEqual(normalizeTimestamp('10:32, 3/4/2024', { now, locale: 'en-GB' }), local(2024, 4, 3, 10, 32),
+    'en-GB reads D/M/Y');
+  assertEqual(normalizeTimestamp('25/12/2024', en), local(2024, 12, 25), 'Day > 12 is unambiguous');
+  assertEqual(normalizeTimestamp('2024-03-04', en), local(2024, 3, 4), 'Year-first numeric date');
+  assertEqual(normalizeTimestamp('04.03.24', { now, locale: 'de-DE' }), local(2024, 3, 4), 'Two-digit year');
+
+  console.log('\n-- Localized names --');
+  assertEqual(normalizeTimestamp('15:42', { now, locale: 'de-DE', dayLabel: 'Gestern' }), local(2025, 3, 11, 15, 42),
+    'German "Gestern" separator');
+  assertEqual(normalizeTimestamp('4. März 2024', { now, locale: 'de-DE' }), local(2024, 3, 4), 'German month name');
+
+  console.log('\n-- Absolute and undatable --');
+  assertEqual(normalizeTimestamp('2024-03-04T15:42:00.000Z', en), '2024-03-04T15:42:00.000Z', 'ISO passes through');
+  assertEqual(normalizeTimestamp('', en), null, 'Empty text');
+  assertEqual(normalizeTimestamp('Sent', en), null, 'Text without a date');
+  assertEqual(normalizeTimestamp('Seen by Alice 3:42 PM', en), null, 'Time mixed with unknown words');
+
+  // Summary
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,149 @@
+/**
+ * test_transcripts.js — Unit tests for the per-chat Markdown / text transcript ZIP.
+ *
+ * Run with: node tests/test_transcripts.js
+ */
+
+require('../utils/exporters.js');
+require('../utils/csv.js');
+require('../utils/zip.js');
+require('../utils/html.js');
+require('../utils/transcripts.js');
+
+const { transcriptFilename, buildTranscriptZip } = globalThis.Transcripts;
+const { getExporter, exportFilename } = globalThis.Exporters;
+
+// ── Test Runner ──
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual === expected) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+    console.error(`    Expected: ${JSON.stringify(expected)}`);
+    console.error(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+/**
+ * Read a stored (uncompressed) ZIP back through its central directory.
+ * @returns {Map<string, string>} name → UTF-8 content
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder('utf-8', { ignoreBOM: true });
+  const end = bytes.length - 22;
+  let pos = view.getUint32(end + 16, true);
+  const files = new Map();
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    const size = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const offset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+    files.set(name, decoder.decode(bytes.subarray(dataStart, dataStart + size)));
+    pos += 46 + nameLength;
+  }
+  return files;
+}
+
+// ── Fixtures ──
+
+const local = (y, m, d, h, min) => new Date(y, m - 1, d, h, min).toISOString();
+
+const messages = [
+  {
+    platform: 'Linkedin', chatKey: 'thread_z', conversationName: 'Zoe Park',
+    messageDate: local(2025, 3, 11, 9, 5), sender: 'Zoe Park', receiver: 'Kate',
+    text: 'Hi Kate,\nquick question', direction: 'in',
+  },
+  {
+    platform: 'Linkedin', chatKey: 'thread_z', conversationName: 'Zoe Park',
+    messageDate: local(2025, 3, 12, 15, 42), sender: 'Kate', receiver: 'Zoe Park',
+    text: 'Deck attached', direction: 'out', edited: true,
+    quote: { author: 'Zoe Park', text: 'Can you send it?' },
+    attachments: [{ kind: 'file', filename: 'deck.pdf', mime: 'application/pdf' }],
+  },
+  {
+    platform: 'Linkedin', chatKey: 'thread_q', conversationName: 'Q/A: "Team"',
+    messageDate: '', messageDateRaw: '9:00 AM', dayLabel: 'Monday', sender: 'Bob', receiver: 'Q/A: "Team"',
+    text: 'Hello, all', direction: 'in',
+  },
+];
+
+// ── Tests ──
+
+function runTests() {
+  console.log('=== Transcript ZIP Tests ===\n');
+
+  console.log('-- transcriptFilename --');
+  const used = new Set();
+  assertEqual(transcriptFilename('Q/A: "Team"', 'md', used), 'Q A Team.md', 'Path and reserved characters are removed');
+  assertEqual(transcriptFilename('q a team', 'md', used), 'q a team (2).md', 'Names are unique ignoring case');
+  assertEqual(transcriptFilename('...', 'txt', used), 'chat.txt', 'Empty names fall back to "chat"');
+
+  console.log('\n-- Text --');
+  const txtZip = readZip(buildTranscriptZip(messages, {}, 'txt'));
+  assertEqual([...txtZip.keys()].join(','), 'index.csv,Q A Team.txt,Zoe Park.txt', 'One transcript per chat, plus the manifest');
+  const zoe = txtZip.get('Zoe Park.txt').split('\n');
+  assertEqual(zoe[3], '[2025-03-11 09:05] Zoe Park: Hi Kate,', 'Lines read "[date] Sender: text"');
+  assertEqual(zoe[4], '  quick question', 'Continuation lines are indented');
+  assertEqual(zoe[5], '[2025-03-12 15:42] Kate: Deck attached [file: deck.pdf (application/pdf)] (edited)',
+    'Attachments and markers follow the text');
+  assertEqual(zoe[6], '  > Zoe Park: Can you send it?', 'Quoted replies are indented under the message');
+  assert(txtZip.get('Q A Team.txt').includes('[Monday 9:00 AM] Bob: Hello, all'), 'Undated messages use the raw date');
+
+  console.log('\n-- Markdown --');
+  const md = readZip(buildTranscriptZip(messages, { chats: [{ chatKey: 'thread_z', displayName: 'Zoe Park (CRM)' }] }, 'md'));
+  const zoeMd = md.get('Zoe Park (CRM).md');
+  assert(zoeMd.startsWith('# Zoe Park (CRM)\n'), 'Markdown starts with the chat title');
+  assert(zoeMd.includes('**[2025-03-11 09:05] Zoe Park:** Hi Kate,  \nquick question'), 'Line breaks are kept');
+  assert(zoeMd.includes('> **Zoe Park:** Can you send it?'), 'Quotes are blockquotes');
+
+  console.log('\n-- index.csv --');
+  const index = md.get('index.csv');
+  assert(index.startsWith('\uFEFFFile,Chat,Chat Key,Platform,Messages,First Message,Last Message\n'), 'Manifest header with BOM');
+  assert(index.includes(`Zoe Park (CRM).md,Zoe Park (CRM),thread_z,Linkedin,2,${messages[0].messageDate},${messages[1].messageDate}`),
+    'One row per transcript with counts and date range');
+  assert(index.includes('"Q/A: ""Team"""'), 'Manifest fields are CSV-escaped');
+
+  console.log('\n-- Anonymized --');
+  const anon = readZip(buildTranscriptZip(
+    [{ ...messages[0], conversationName: 'CONTACT_1a2b3c4d' }],
+    { anonymized: true, chats: [{ chatKey: 'thread_z', displayName: 'Zoe Park' }] }, 'txt'));
+  assertEqual([...anon.keys()].join(','), 'index.csv,CONTACT_1a2b3c4d.txt', 'Anonymized transcripts are named after the anon ID');
+  // WhatsApp and name-fallback chat keys are built from the contact's name
+  const named = [{ ...messages[0], chatKey: 'chat_zoe_park', conversationName: 'CONTACT_1a2b3c4d' }];
+  for (const format of ['md', 'txt']) {
+    const files = readZip(getExporter(`${format}_zip_anon`).build(named, { anonymized: true }));
+    assert([...files.values()].every(data => !data.includes('chat_zoe_park')), `${format}_zip_anon leaves out name-derived chat keys`);
+  }
+  assert(readZip(buildTranscriptZip(named, { anonymized: true }, 'md')).get('index.csv').startsWith('\uFEFFFile,Chat,Platform,'),
+    'The anonymized manifest has no Chat Key column');
+
+  console.log('\n-- Registry --');
+  assertEqual(getExporter('md_zip_anon').anonymize, true, 'Anonymized Markdown ZIP is registered');
+  assertEqual(exportFilename(getExporter('txt_zip'), messages, '20250312'), 'linkedin_export_20250312.txt.zip',
+    'Download name shows the transcript format');
+
+  // Summary
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
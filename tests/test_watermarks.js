@@ -0,0 +1,100 @@
+/**
+ * test_watermarks.js — Unit tests for delta-export watermarks.
+ *
+ * Run with: node tests/test_watermarks.js
+ */
+
+require('../utils/watermarks.js');
+
+const { isNewSince, newSince, advanceWatermarks, deltaSummary } = globalThis.Watermarks;
+
+// ── Test Runner ──
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual === expected) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+    console.error(`    Expected: ${JSON.stringify(expected)}`);
+    console.error(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+// ── Fixtures ──
+
+const monday = [
+  { id: 'a1', chatKey: 'alice', messageDate: '2025-03-10T09:00:00.000Z' },
+  { id: 'a2', chatKey: 'alice', messageDate: '2025-03-10T09:05:00.000Z' },
+  { id: 'b1', chatKey: 'bob', messageDate: '2025-03-09T18:00:00.000Z' },
+  { id: 'u1', chatKey: 'bob', messageDate: '' },
+];
+
+// ── Tests ──
+
+function runTests() {
+  console.log('=== Watermark Tests ===\n');
+
+  console.log('-- advanceWatermarks --');
+  const marks = advanceWatermarks({}, monday, '2025-03-10T10:00:00.000Z');
+  assertEqual(marks.alice.lastDate, '2025-03-10T09:05:00.000Z', 'Watermark is the newest exported message');
+  assertEqual(marks.alice.lastIds.join(','), 'a2', 'Ids at the newest date are remembered');
+  assertEqual(marks.bob.lastDate, '2025-03-09T18:00:00.000Z', 'Undated messages do not move the watermark');
+  assertEqual(marks.bob.undatedIds.join(','), 'u1', 'Exported undated messages are remembered by id');
+  const sameMinute = advanceWatermarks(marks, [{ id: 'a3', chatKey: 'alice', messageDate: '2025-03-10T09:05:00.000Z' }]);
+  assertEqual(sameMinute.alice.lastIds.join(','), 'a2,a3', 'Messages in the same minute are added to the ids');
+  const older = advanceWatermarks(marks, [{ id: 'a0', chatKey: 'alice', messageDate: '2025-03-01T09:00:00.000Z' }]);
+  assertEqual(older.alice.lastDate, marks.alice.lastDate, 'Watermarks never move back');
+  assertEqual(marks === advanceWatermarks(marks, []), false, 'Returns a copy');
+
+  console.log('\n-- isNewSince / newSince --');
+  assert(isNewSince({ id: 'x', messageDate: '2025-03-10T09:06:00.000Z' }, marks.alice), 'Later messages are new');
+  assert(!isNewSince({ id: 'a1', messageDate: '2025-03-10T09:00:00.000Z' }, marks.alice), 'Earlier messages are not');
+  assert(!isNewSince({ id: 'a2', messageDate: '2025-03-10T09:05:00.000Z' }, marks.alice), 'The exported newest message is not');
+  assert(isNewSince({ id: 'a3', messageDate: '2025-03-10T09:05:00.000Z' }, marks.alice), 'Another message in the same minute is');
+  assert(isNewSince({ id: 'u2', messageDate: '' }, marks.alice), 'Undated messages not exported yet are kept');
+  assert(!isNewSince({ id: 'u1', messageDate: '' }, marks.bob), 'Undated messages already exported are not');
+  assert(isNewSince({ id: 'c1', messageDate: '2020-01-01T00:00:00.000Z' }, undefined), 'Chats never exported are new');
+
+  const nextMonday = [
+    ...monday,
+    { id: 'a4', chatKey: 'alice', messageDate: '2025-03-16T11:00:00.000Z' },
+    { id: 'c1', chatKey: 'carol', messageDate: '2025-03-15T08:00:00.000Z' },
+  ];
+  const delta = newSince(nextMonday, marks);
+  assertEqual(delta.map(m => m.id).join(','), 'a4,c1', 'Only new messages are exported');
+
+  // Two runs on different days: a bare "3:42 PM" is put on each run's capture day
+  const bareTime = day => ({ id: 'bare', chatKey: 'alice', messageDate: `2025-03-${day}T15:42:00.000Z`, dayAssumed: true });
+  const afterFirst = advanceWatermarks(marks, [bareTime(10)]);
+  assertEqual(afterFirst.alice.lastDate, marks.alice.lastDate, 'Assumed days do not move the watermark');
+  assert(!isNewSince(bareTime(14), afterFirst.alice), 'A bare-time message is not new again on a later day');
+  const undated = { id: 'u3', chatKey: 'carol', messageDate: '' };
+  const secondRun = newSince([undated], advanceWatermarks({}, [undated]));
+  assertEqual(secondRun.length, 0, 'An undated message is exported once, not on every run');
+
+  console.log('\n-- deltaSummary --');
+  const summary = deltaSummary(['alice', 'bob', 'dave'], newSince(nextMonday.filter(m => m.messageDate), marks));
+  assertEqual(summary.newChatKeys.join(','), 'alice,carol', 'Chats with new messages');
+  assertEqual(summary.unchangedChatKeys.join(','), 'bob,dave', 'Processed chats without new messages');
+
+  // Summary
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,156 @@
+/**
+ * test_xlsx.js — Unit tests for the ZIP writer and the XLSX exporter.
+ *
+ * Run with: node tests/test_xlsx.js
+ */
+
+require('../utils/exporters.js');
+require('../utils/csv.js');
+require('../utils/zip.js');
+require('../utils/xlsx.js');
+
+const { crc32, createZip } = globalThis.Zip;
+const { columnName, excelSerial, sheetName, buildXLSX } = globalThis.XLSXBuilder;
+const { getExporter } = globalThis.Exporters;
+
+// ── Test Runner ──
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual === expected) {
+    passed++;
+    console.log(`  PASS: ${message}`);
+  } else {
+    failed++;
+    console.error(`  FAIL: ${message}`);
+    console.error(`    Expected: ${JSON.stringify(expected)}`);
+    console.error(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+/**
+ * Read a stored (uncompressed) ZIP back through its central directory.
+ * @returns {Map<string, string>} name → UTF-8 content
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const end = bytes.length - 22;
+  const count = view.getUint16(end + 10, true);
+  let pos = view.getUint32(end + 16, true);
+  const files = new Map();
+  for (let i = 0; i < count; i++) {
+    const size = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const offset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+    files.set(name, { text: decoder.decode(data), crcOk: crc32(data) === view.getUint32(pos + 16, true) });
+    pos += 46 + nameLength;
+  }
+  return files;
+}
+
+// ── Fixtures ──
+
+const messages = [
+  {
+    platform: 'Linkedin', chatKey: 'thread_1', messageDateRaw: '3:42 PM',
+    messageDate: '2025-03-12T15:42:00.000Z', sender: 'Kate', receiver: 'Alice Smith',
+    text: 'y'.repeat(600), direction: 'out', id: 'a1',
+  },
+  {
+    platform: 'Linkedin', chatKey: 'thread_1', messageDateRaw: '3:45 PM',
+    messageDate: '2025-03-12T15:45:00.000Z', sender: 'Alice Smith', receiver: 'Kate',
+    text: '007 & <co>', direction: 'in', id: 'a2',
+  },
+  {
+    platform: 'Linkedin', chatKey: 'thread_2', messageDateRaw: 'yesterday',
+    messageDate: '', sender: 'Kate', receiver: 'Bob: [Sales]', text: 'Hi', direction: 'out', id: 'b1',
+  },
+];
+const context = {
+  runState: {
+    failures: [{ chatKey: 'thread_3', reason: 'Could not open chat' }],
+    history: { thread_1: { complete: true, stopReason: 'top-reached' } },
+  },
+  chats: [{ chatKey: 'thread_1', displayName: 'Alice Smith' }],
+};
+
+// ── Tests ──
+
+function runTests() {
+  console.log('=== XLSX Export Tests ===\n');
+
+  console.log('-- Zip --');
+  assertEqual(crc32(new TextEncoder().encode('123456789')), 0xcbf43926, 'CRC-32 check value');
+  const zip = createZip([{ name: 'a.txt', data: 'hello' }, { name: 'dir/ü.txt', data: new Uint8Array([1, 2]) }]);
+  assertEqual(new DataView(zip.buffer).getUint32(0, true), 0x04034b50, 'Starts with a local file header');
+  const entries = readZip(zip);
+  assertEqual([...entries.keys()].join(','), 'a.txt,dir/ü.txt', 'Central directory lists every entry with UTF-8 names');
+  assertEqual(entries.get('a.txt').text, 'hello', 'Stored content round-trips');
+  assert([...entries.values()].every(e => e.crcOk), 'Checksums match the stored data');
+
+  console.log('\n-- Helpers --');
+  assertEqual(columnName(0), 'A', 'Column 0 is A');
+  assertEqual(columnName(26), 'AA', 'Column 26 is AA');
+  assertEqual(excelSerial(new Date(2025, 0, 1, 12).toISOString()), 45658.5, 'Date serial uses local wall-clock time');
+  assertEqual(excelSerial('yesterday'), null, 'Unparseable dates have no serial');
+  const used = new Set();
+  assertEqual(sheetName('Bob: [Sales]', used), 'Bob   Sales', 'Invalid sheet name characters are replaced');
+  assertEqual(sheetName('bob   sales', used), 'bob   sales (2)', 'Sheet names are unique ignoring case');
+  assertEqual(sheetName('x'.repeat(40), used).length, 31, 'Sheet names are at most 31 characters');
+
+  console.log('\n-- buildXLSX --');
+  const book = readZip(buildXLSX(messages, context));
+  for (const part of ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml']) {
+    assert(book.has(part), `Has ${part}`);
+  }
+  const workbook = book.get('xl/workbook.xml').text;
+  assert(/name="Summary".*name="Linkedin"/.test(workbook), 'Summary sheet first, then one sheet per platform');
+  const sheet = book.get('xl/worksheets/sheet2.xml').text;
+  assert(sheet.includes('state="frozen"'), 'Header row is frozen');
+  assert(/<c r="C2" s="3"><v>[\d.]+<\/v><\/c>/.test(sheet), 'ISO date is a typed date cell');
+  assert(sheet.includes('y'.repeat(600)), 'Message text is not truncated');
+  assert(sheet.includes('007 &amp; &lt;co&gt;'), 'Text is escaped and kept as a string');
+  assert(sheet.includes('<t xml:space="preserve">yesterday</t>'), 'Undated rows keep the raw date');
+  const oddText = [{ ...messages[0], text: 'a\uFFFEb\uFFFFc\uD800d\uDC00e\uD83D\uDE00' }];
+  const oddSheet = readZip(buildXLSX(oddText, context)).get('xl/worksheets/sheet2.xml').text;
+  assert(oddSheet.includes('>abcde\u{1F600}<'), 'Non-characters and lone surrogates are dropped, emoji kept');
+
+  const summary = book.get('xl/worksheets/sheet1.xml').text;
+  assert(summary.includes('>Alice Smith<'), 'Summary uses scanned chat names');
+  assert(/<c r="D2" s="4"><v>2<\/v><\/c>/.test(summary), 'Summary counts are numeric cells in General format');
+  assert(book.get('xl/styles.xml').text.includes('<xf numFmtId="0"'), 'The count style is not the text format');
+  assert(summary.includes('Could not open chat'), 'Summary lists failed chats');
+
+  const delta = { newChatKeys: ['thread_1', 'thread_2'], unchangedChatKeys: ['thread_4'] };
+  const deltaSummary = readZip(buildXLSX(messages, { ...context, delta })).get('xl/worksheets/sheet1.xml').text;
+  assert(/>thread_4<.*>unchanged</.test(deltaSummary), 'Delta exports list unchanged chats in the summary');
+
+  const perChat = readZip(buildXLSX(messages, context, 'chat')).get('xl/workbook.xml').text;
+  assert(/name="Alice Smith".*name="thread_2"/.test(perChat), 'Sheet per chat is named after the chat');
+
+  console.log('\n-- Registry --');
+  assertEqual(getExporter('xlsx').extension, 'xlsx', 'XLSX is registered');
+  assertEqual(getExporter('xlsx_chats').tabular, true, 'XLSX honours the conversation row mode');
+
+  // Summary
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
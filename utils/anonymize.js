@@ -2,9 +2,23 @@
  * anonymize.js — HMAC-SHA256 based contact anonymization.
  *
  * Generates deterministic anonymous IDs from display names using a local salt.
- * Salt is stored in chrome.storage.local and never exported.
+ * Salts are managed per project by salts.js and never exported.
+ *
+ * Anonymized exports replace every person with a CONTACT_ id and every group
+ * thread with a GROUP_ id. The user (settings.senderName, and whoever sent
+ * outgoing messages) becomes SELF. Names in message and quote text — full
+ * names, first names and @handles of anyone known from the export — are
+ * replaced with the same ids, so "Thanks Alice" reads "Thanks CONTACT_1A2B3C4D".
  */
 
+const SELF_TOKEN = 'SELF';
+
+// Letters, digits and "_" continue a word: "Al" must not match inside "Alice"
+const NAME_CHAR = '[\\p{L}\\p{N}_]';
+
+// First names shorter than this are too likely to be ordinary words
+const MIN_FIRST_NAME_LENGTH = 3;
+
 /**
  * Generate a cryptographically random salt (hex string).
  * @returns {string} 64-char hex salt
@@ -17,11 +31,12 @@ function generateSalt() {
 
 /**
  * Derive an anonymous ID from a display name using HMAC-SHA256.
- * @param {string} displayName - The contact's display name
+ * @param {string} displayName - The contact's (or group's) display name
  * @param {string} saltHex - Hex-encoded salt
+ * @param {string} [prefix] - "CONTACT_" for people, "GROUP_" for group threads
  * @returns {Promise<string>} Anonymous ID like "CONTACT_A1B2C3D4"
  */
-async function anonymizeContact(displayName, saltHex) {
+async function anonymizeContact(displayName, saltHex, prefix = 'CONTACT_') {
   const encoder = new TextEncoder();
   const keyData = encoder.encode(saltHex);
   const messageData = encoder.encode(displayName.trim().toLowerCase());
@@ -38,27 +53,205 @@ async function anonymizeContact(displayName, saltHex) {
   const hashArray = Array.from(new Uint8Array(signature));
   const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 
-  return 'CONTACT_' + hashHex.substring(0, 8).toUpperCase();
+  return prefix + hashHex.substring(0, 8).toUpperCase();
+}
+
+// ── Names in exports ──
+
+/**
+ * Comparison key for a display name: trimmed, single-spaced, lower case.
+ * @param {string} name
+ * @returns {string}
+ */
+function nameKey(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
 }
 
 /**
- * Get or create the local anonymization salt.
- * @returns {Promise<string>} The salt hex string
+ * The ways a person's name shows up in message text: the full name, @handles
+ * built from it ("@alice", "@alicesmith", "@alice.smith", "@alice_smith") and
+ * the first name. First names only match with their capital ("Will", not
+ * "will"); everything else matches in any case.
+ * @param {string} name
+ * @returns {{ text: string, exact: boolean }[]}
  */
-async function getOrCreateSalt() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['anonSalt'], (result) => {
-      if (result.anonSalt) {
-        resolve(result.anonSalt);
-      } else {
-        const salt = generateSalt();
-        chrome.storage.local.set({ anonSalt: salt }, () => resolve(salt));
+function nameVariants(name) {
+  const full = String(name || '').trim().replace(/\s+/g, ' ');
+  if (!full) return [];
+  const words = full.split(' ');
+  const variants = [{ text: full, exact: false }];
+  for (const handle of new Set([words[0], words.join(''), words.join('.'), words.join('_')])) {
+    variants.push({ text: `@${handle}`, exact: false });
+  }
+  if (words.length > 1 && words[0].length >= MIN_FIRST_NAME_LENGTH) {
+    variants.push({ text: words[0], exact: true });
+  }
+  return variants;
+}
+
+/**
+ * One regular expression matching every name variant of the given people.
+ * When two people share a variant (two Alices), the earlier one in the list
+ * gets it; full names and handles always win over first names.
+ * @param {string[]} names - Most relevant first
+ * @param {(name: string) => string} idOf
+ * @returns {{ regex: RegExp, lookup: Map<string, object> }|null}
+ */
+function namePattern(names, idOf) {
+  const lookup = new Map();
+  for (const firstNames of [false, true]) {
+    for (const name of names) {
+      for (const variant of nameVariants(name)) {
+        const key = variant.text.toLowerCase();
+        if (variant.exact === firstNames && !lookup.has(key)) lookup.set(key, { ...variant, id: idOf(name) });
       }
+    }
+  }
+  if (lookup.size === 0) return null;
+  const alternatives = [...lookup.values()]
+    .map(variant => variant.text)
+    .sort((a, b) => b.length - a.length)
+    .map(text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const regex = new RegExp(`(?<!${NAME_CHAR})(?:${alternatives.join('|')})(?!${NAME_CHAR})`, 'giu');
+  return { regex, lookup };
+}
+
+/**
+ * Anonymizer for one export. Ids are derived once for every name in the
+ * messages; the returned functions then rewrite messages synchronously.
+ *
+ * - Senders, receivers, participants and quoted authors become CONTACT_ ids,
+ *   or SELF for the user.
+ * - Group receivers and conversation names become GROUP_ ids.
+ * - Names in text are looked up among the chat's own people (and the user)
+ *   first, then everyone else in the export.
+ *
+ * @param {object[]} messages - ExtractedMessage[] being exported
+ * @param {string} saltHex
+ * @param {string} [selfName] - The user's own name (settings.senderName)
+ * @returns {Promise<{ name: Function, text: Function, message: Function, entries: Function }>}
+ */
+async function createAnonymizer(messages, saltHex, selfName = '') {
+  const self = new Map();     // key → name as written
+  const people = new Map();
+  const groups = new Map();
+  const chatPeople = new Map(); // chatKey → Set of keys
+  const addTo = (map, name) => {
+    const key = nameKey(name);
+    if (key && !map.has(key)) map.set(key, String(name).trim());
+    return key;
+  };
+
+  addTo(self, selfName);
+  for (const msg of messages) {
+    // Content scripts write the user as sender of outgoing messages and as
+    // receiver of incoming 1:1 messages
+    if (msg.direction === 'out') addTo(self, msg.sender);
+    if (msg.direction === 'in' && !msg.isGroup) addTo(self, msg.receiver);
+
+    const members = chatPeople.get(msg.chatKey) || new Set();
+    chatPeople.set(msg.chatKey, members);
+    const threadNames = msg.isGroup ? [] : [msg.receiver, msg.conversationName];
+    if (msg.isGroup) [msg.receiver, msg.conversationName].forEach(name => addTo(groups, name));
+    for (const name of [msg.sender, ...threadNames, ...(msg.participants || [])]) {
+      const key = addTo(people, name);
+      if (key) members.add(key);
+    }
+    addTo(people, msg.quote?.author);
+  }
+  for (const key of self.keys()) people.delete(key);
+
+  const ids = new Map();
+  await Promise.all([
+    ...[...people.values()].map(async name => ids.set(`CONTACT_${nameKey(name)}`, await anonymizeContact(name, saltHex))),
+    ...[...groups.values()].map(async name => ids.set(`GROUP_${nameKey(name)}`, await anonymizeContact(name, saltHex, 'GROUP_'))),
+  ]);
+
+  /**
+   * The id for a name: SELF for the user, otherwise its CONTACT_/GROUP_ id.
+   * @param {string} value
+   * @param {string} [prefix]
+   * @returns {string}
+   */
+  const name = (value, prefix = 'CONTACT_') => {
+    const key = nameKey(value);
+    if (!key) return '';
+    if (prefix === 'CONTACT_' && self.has(key)) return SELF_TOKEN;
+    return ids.get(prefix + key) || value;
+  };
+
+  const patterns = new Map(); // chatKey → namePattern
+  const patternFor = chatKey => {
+    if (!patterns.has(chatKey)) {
+      const members = chatPeople.get(chatKey) || new Set();
+      const ordered = [
+        ...self.values(),
+        ...[...members].filter(key => people.has(key)).map(key => people.get(key)),
+        ...[...people.keys()].filter(key => !members.has(key)).map(key => people.get(key)),
+      ];
+      patterns.set(chatKey, namePattern(ordered, name));
+    }
+    return patterns.get(chatKey);
+  };
+
+  /**
+   * Replace known names in a piece of text from the given message's chat.
+   * @param {string} value
+   * @param {object} msg
+   * @returns {string}
+   */
+  const text = (value, msg) => {
+    const pattern = value ? patternFor(msg.chatKey) : null;
+    if (!pattern) return value;
+    return value.replace(pattern.regex, match => {
+      const variant = pattern.lookup.get(match.toLowerCase());
+      return !variant || (variant.exact && variant.text !== match) ? match : variant.id;
     });
-  });
+  };
+
+  /**
+   * Anonymized copy of an ExtractedMessage.
+   * @param {object} msg
+   * @returns {object}
+   */
+  const message = msg => {
+    const threadPrefix = msg.isGroup ? 'GROUP_' : 'CONTACT_';
+    const out = {
+      ...msg,
+      sender: name(msg.sender),
+      receiver: name(msg.receiver, threadPrefix),
+      conversationName: name(msg.conversationName, threadPrefix),
+      participants: (msg.participants || []).map(participant => name(participant)),
+      text: text(msg.text, msg),
+    };
+    if (msg.quote) out.quote = { ...msg.quote, author: name(msg.quote.author), text: text(msg.quote.text, msg) };
+    if (msg.attachments?.length) {
+      out.attachments = msg.attachments.map(att => (att.title ? { ...att, title: text(att.title, msg) } : att));
+    }
+    return out;
+  };
+
+  /**
+   * Every id this anonymizer hands out with the name behind it — the content
+   * of a re-identification key (see reid_key.js).
+   * @returns {{ id: string, name: string, kind: 'self'|'contact'|'group' }[]}
+   */
+  const entries = () => [
+    ...[...self.values()].map(value => ({ id: SELF_TOKEN, name: value, kind: 'self' })),
+    ...[...people.values()].map(value => ({ id: name(value), name: value, kind: 'contact' })),
+    ...[...groups.values()].map(value => ({ id: name(value, 'GROUP_'), name: value, kind: 'group' })),
+  ];
+
+  return { name, text, message, entries };
 }
 
 // Export for module and non-module contexts
 if (typeof globalThis !== 'undefined') {
-  globalThis.Anonymize = { generateSalt, anonymizeContact, getOrCreateSalt };
+  globalThis.Anonymize = {
+    SELF_TOKEN,
+    generateSalt,
+    anonymizeContact,
+    nameVariants,
+    createAnonymizer,
+  };
 }
@@ -1,10 +1,28 @@
 /**
  * csv.js — RFC 4180 compliant CSV builder for chat export.
  *
- * Columns (strict order): Platform | Message Date | Sender | Receiver | Message Text
+ * Columns (strict order):
+ *   Platform | Message Date | Message Date (ISO) | Sender | Receiver | Message Text |
+ *   Message Type | Attachments | Reply To Author | Reply To Text | Edited | Deleted | Reactions |
+ *   Participants | Message ID | Part | Truncated
+ *
+ * "Message Date" is the text shown on the page; "Message Date (ISO)" is the
+ * normalized absolute datetime (empty when the raw text could not be dated).
+ * "Attachments" summarizes attachment metadata, one entry per attachment.
+ * Quoted replies go in the "Reply To" columns, never into "Message Text".
+ * In group threads "Receiver" is the group name and "Participants" lists its members.
+ * "Message ID" is stable across runs (see message_ids.js), so exports can be diffed.
+ *
+ * Message Text and Reply To Text are limited to settings.maxTextLength characters
+ * (MAX_TEXT_LENGTH by default, 0 = no limit). Longer text is cut and the row
+ * flagged in "Truncated", or — with settings.longText = 'split' — continued on
+ * extra rows that repeat the message's other columns, "Part" numbering them "1/3".
+ *
+ * That is the default layout. A column mapping (settings.csvColumns) picks, orders
+ * and renames columns from CSV_FIELDS instead, e.g. to match a CRM import template:
+ *   [{ field: 'sender', header: 'Contact' }, { field: 'text', header: 'Note Body' }, ...]
  */
 
-const CSV_COLUMNS = ['Platform', 'Message Date', 'Sender', 'Receiver', 'Message Text'];
 const MAX_TEXT_LENGTH = 500;
 const UTF8_BOM = '\uFEFF';
 
@@ -24,63 +42,232 @@ function escapeCSVField(value) {
 /**
  * Truncate text to maxLength, adding ellipsis if truncated.
  * @param {string} text
- * @param {number} maxLength
+ * @param {number} maxLength - 0 for no limit
  * @returns {string}
  */
 function truncateText(text, maxLength = MAX_TEXT_LENGTH) {
   if (!text) return '';
   const trimmed = text.trim();
-  if (trimmed.length <= maxLength) return trimmed;
+  if (!maxLength || trimmed.length <= maxLength) return trimmed;
+  // No room for the ellipsis: a plain cut, so the result never exceeds the limit
+  if (maxLength < 3) return trimmed.substring(0, maxLength);
   return trimmed.substring(0, maxLength - 3) + '...';
 }
 
 /**
- * Build a CSV row from an ExtractedMessage object.
- * @param {object} msg - { platform, messageDateRaw, sender, receiver, text }
+ * Split text into parts of at most maxLength characters, breaking after
+ * whitespace where possible. The parts concatenate back to the trimmed text.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string[]}
+ */
+function splitText(text, maxLength) {
+  let rest = (text || '').trim();
+  const parts = [];
+  while (rest.length > maxLength) {
+    let cut = rest.lastIndexOf(' ', maxLength - 1) + 1;
+    const newline = rest.lastIndexOf('\n', maxLength - 1) + 1;
+    cut = Math.max(cut, newline);
+    // No whitespace in the second half: cut the word, but not inside a surrogate pair
+    if (cut < maxLength / 2) cut = /[\uDC00-\uDFFF]/.test(rest[maxLength]) ? maxLength - 1 : maxLength;
+    parts.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  parts.push(rest);
+  return parts;
+}
+
+/**
+ * The configured text limit: settings.maxTextLength, or MAX_TEXT_LENGTH when
+ * it is not set. 0 means no limit.
+ * @param {object} [settings]
+ * @returns {number}
+ */
+function textLimit(settings) {
+  const limit = settings?.maxTextLength;
+  return Number.isInteger(limit) && limit >= 0 ? limit : MAX_TEXT_LENGTH;
+}
+
+/**
+ * Apply the text limit to rows: cut text and flag the row (`truncated`), or
+ * in split mode turn a long message into several rows numbered by `part`.
+ * Quoted text is always cut, never split. A message already cut by an earlier
+ * export (re-imported with `truncated`) stays flagged.
+ * @param {object[]} messages - ExtractedMessage[] or merged conversation rows
+ * @param {object} [settings] - { maxTextLength, longText: 'truncate'|'split' }
+ * @returns {object[]} Row copies with text, quote, part and truncated set
+ */
+function limitRows(messages, settings = {}) {
+  const limit = textLimit(settings);
+  return messages.flatMap(msg => {
+    const quoteText = truncateText(msg.quote?.text, limit);
+    const quote = msg.quote ? { ...msg.quote, text: quoteText } : msg.quote;
+    const quoteCut = quoteText !== (msg.quote?.text || '').trim();
+    const text = (msg.text || '').trim();
+
+    if (settings.longText === 'split' && limit && text.length > limit) {
+      const parts = splitText(text, limit);
+      return parts.map((part, i) => ({ ...msg, text: part, quote, part: `${i + 1}/${parts.length}`, truncated: !!msg.truncated || quoteCut }));
+    }
+    const cut = truncateText(text, limit);
+    return [{ ...msg, text: cut, quote, part: '', truncated: !!msg.truncated || quoteCut || cut !== text }];
+  });
+}
+
+/**
+ * Summarize one attachment, e.g. 'file: deck.pdf (application/pdf)',
+ * 'link: https://x.co "Title"', 'voice (0:42)'.
+ * @param {object} att - { kind, filename, mime, url, title, duration }
+ * @returns {string}
+ */
+function formatAttachment(att) {
+  let out = att.kind || 'file';
+  const name = att.filename || att.url;
+  if (name) out += ': ' + name;
+  if (att.filename && att.url) out += ' <' + att.url + '>';
+  if (att.title) out += ' "' + att.title + '"';
+  const details = [att.kind === 'file' ? att.mime : '', att.duration].filter(Boolean);
+  if (details.length) out += ' (' + details.join(', ') + ')';
+  return out;
+}
+
+/**
+ * Summarize a message's attachments for the Attachments column.
+ * @param {object[]} [attachments]
+ * @returns {string} Entries joined with '; '
+ */
+function formatAttachments(attachments) {
+  return (attachments || []).map(formatAttachment).join('; ');
+}
+
+/**
+ * Summarize reactions for the Reactions column, e.g. '❤️ 3; 👍 1'.
+ * @param {{ emoji: string, count: number }[]} [reactions]
+ * @returns {string}
+ */
+function formatReactions(reactions) {
+  return (reactions || []).map(r => `${r.emoji} ${r.count || 1}`).join('; ');
+}
+
+// ── Columns ──
+
+/**
+ * Every field a column can show: id (stored in mappings), default header and
+ * value(msg, chat), where chat is the message's ChatIndexItem from the last
+ * scan. The default layout is the fields without `extra`, in this order.
+ * `identifying` fields name the contact — the chat key can be built from a
+ * name or username — and are left empty in anonymized exports.
+ */
+const CSV_FIELDS = [
+  { id: 'platform', header: 'Platform', value: msg => msg.platform || '' },
+  { id: 'messageDateRaw', header: 'Message Date', value: msg => msg.messageDateRaw || '' },
+  { id: 'messageDate', header: 'Message Date (ISO)', value: msg => msg.messageDate || '' },
+  { id: 'sender', header: 'Sender', value: msg => msg.sender || '' },
+  { id: 'receiver', header: 'Receiver', value: msg => msg.receiver || '' },
+  { id: 'text', header: 'Message Text', value: msg => msg.text || '' },
+  { id: 'type', header: 'Message Type', value: msg => msg.type || 'text' },
+  { id: 'attachments', header: 'Attachments', value: msg => formatAttachments(msg.attachments) },
+  { id: 'quoteAuthor', header: 'Reply To Author', value: msg => msg.quote?.author || '' },
+  { id: 'quoteText', header: 'Reply To Text', value: msg => msg.quote?.text || '' },
+  { id: 'edited', header: 'Edited', value: msg => (msg.edited ? 'yes' : '') },
+  { id: 'deleted', header: 'Deleted', value: msg => (msg.deleted ? 'yes' : '') },
+  { id: 'reactions', header: 'Reactions', value: msg => formatReactions(msg.reactions) },
+  { id: 'participants', header: 'Participants', value: msg => (msg.isGroup ? (msg.participants || []).join('; ') : '') },
+  { id: 'id', header: 'Message ID', value: msg => msg.id || '' },
+  { id: 'part', header: 'Part', value: msg => msg.part || '' },
+  { id: 'truncated', header: 'Truncated', value: msg => (msg.truncated ? 'yes' : '') },
+  { id: 'chatKey', header: 'Chat Key', value: msg => msg.chatKey || '', extra: true, identifying: true },
+  { id: 'conversationName', header: 'Conversation', value: msg => msg.conversationName || '', extra: true },
+  { id: 'direction', header: 'Direction', value: msg => msg.direction || '', extra: true },
+  { id: 'isGroup', header: 'Group Chat', value: msg => (msg.isGroup ? 'yes' : ''), extra: true },
+  { id: 'chatName', header: 'Chat Name', value: (msg, chat) => chat?.displayName || '', extra: true, identifying: true },
+  { id: 'profileUrl', header: 'Profile URL', value: (msg, chat) => chat?.profileUrl || '', extra: true, identifying: true },
+];
+const FIELDS_BY_ID = new Map(CSV_FIELDS.map(field => [field.id, field]));
+const DEFAULT_CSV_COLUMNS = CSV_FIELDS.filter(field => !field.extra).map(({ id, header }) => ({ field: id, header }));
+const CSV_COLUMNS = DEFAULT_CSV_COLUMNS.map(column => column.header);
+
+/**
+ * The columns of an export: a mapping's known fields with their headers (a
+ * blank header falls back to the field's default), or the default layout
+ * when there is no usable mapping.
+ * @param {{ field: string, header?: string }[]} [mapping] - settings.csvColumns
+ * @returns {{ field: string, header: string }[]}
+ */
+function resolveColumns(mapping) {
+  const columns = (Array.isArray(mapping) ? mapping : [])
+    .filter(column => FIELDS_BY_ID.has(column?.field))
+    .map(column => ({ field: column.field, header: String(column.header || '').trim() || FIELDS_BY_ID.get(column.field).header }));
+  return columns.length > 0 ? columns : DEFAULT_CSV_COLUMNS;
+}
+
+/**
+ * Column values for one row, unescaped. Text is used as it is; see limitRows.
+ * @param {object} msg - ExtractedMessage or a row from limitRows
+ * @param {{ field: string }[]} [columns] - Defaults to the CSV_COLUMNS layout
+ * @param {object} [chat] - The message's ChatIndexItem
+ * @returns {string[]}
+ */
+function rowValues(msg, columns = DEFAULT_CSV_COLUMNS, chat = null) {
+  return columns.map(column => FIELDS_BY_ID.get(column.field).value(msg, chat));
+}
+
+/**
+ * Header and rows of a CSV/TSV export, using the column mapping and text
+ * limit in context.settings.
+ * @param {object[]} messages
+ * @param {object} [context] - { settings, chats, anonymized }
+ * @returns {{ header: string[], rows: string[][] }}
+ */
+function tableRows(messages, context = {}) {
+  const columns = resolveColumns(context.settings?.csvColumns);
+  const chats = new Map((context.chats || []).map(chat => [chat.chatKey, chat]));
+  const hidden = columns.map(column => !!context.anonymized && !!FIELDS_BY_ID.get(column.field).identifying);
+  return {
+    header: columns.map(column => column.header),
+    rows: limitRows(messages, context.settings)
+      .map(row => rowValues(row, columns, chats.get(row.chatKey)).map((value, i) => (hidden[i] ? '' : value))),
+  };
+}
+
+/**
+ * Build a CSV row from an ExtractedMessage object, in the default layout with
+ * the default text limit.
+ * @param {object} msg - { platform, messageDateRaw, messageDate, sender, receiver, text, type, attachments, quote, edited, deleted, reactions }
  * @returns {string} CSV row
  */
 function buildCSVRow(msg) {
-  const fields = [
-    escapeCSVField(msg.platform || 'Linkedin'),
-    escapeCSVField(msg.messageDateRaw || ''),
-    escapeCSVField(msg.sender || ''),
-    escapeCSVField(msg.receiver || ''),
-    escapeCSVField(truncateText(msg.text)),
-  ];
-  return fields.join(',');
+  return rowValues(limitRows([msg])[0]).map(escapeCSVField).join(',');
 }
 
 /**
  * Build a complete CSV string from an array of ExtractedMessage objects.
  * @param {object[]} messages
+ * @param {object} [context] - Exporter context; see tableRows
  * @returns {string} Full CSV with BOM header
  */
-function buildCSV(messages) {
-  const header = CSV_COLUMNS.map(escapeCSVField).join(',');
-  const rows = messages.map(buildCSVRow);
-  return UTF8_BOM + header + '\n' + rows.join('\n');
+function buildCSV(messages, context = {}) {
+  const { header, rows } = tableRows(messages, context);
+  const toLine = values => values.map(escapeCSVField).join(',');
+  return UTF8_BOM + toLine(header) + '\n' + rows.map(toLine).join('\n');
 }
 
 /**
  * Build a TSV string from an array of ExtractedMessage objects.
  * @param {object[]} messages
+ * @param {object} [context] - Exporter context; see tableRows
  * @returns {string}
  */
-function buildTSV(messages) {
+function buildTSV(messages, context = {}) {
   const escapeTSV = (val) => String(val ?? '').replace(/[\t\n\r]/g, ' ');
-  const header = CSV_COLUMNS.map(escapeTSV).join('\t');
-  const rows = messages.map(msg => [
-    escapeTSV(msg.platform || 'Linkedin'),
-    escapeTSV(msg.messageDateRaw || ''),
-    escapeTSV(msg.sender || ''),
-    escapeTSV(msg.receiver || ''),
-    escapeTSV(truncateText(msg.text)),
-  ].join('\t'));
-  return header + '\n' + rows.join('\n');
+  const { header, rows } = tableRows(messages, context);
+  const toLine = values => values.map(escapeTSV).join('\t');
+  return toLine(header) + '\n' + rows.map(toLine).join('\n');
 }
 
 /**
- * Merge messages into one-row-per-conversation format.
+ * Merge messages into one-row-per-conversation format. The combined text is
+ * not cut here; the CSV/TSV builders apply the text limit like on any row.
  * @param {object[]} messages - Array of ExtractedMessage
  * @returns {object[]} One entry per chatKey with combined text
  */
@@ -91,31 +278,82 @@ function mergeByConversation(messages) {
       grouped.set(msg.chatKey, {
         platform: msg.platform,
         messageDateRaw: msg.messageDateRaw,
+        messageDate: msg.messageDate || '',
         sender: msg.sender,
         receiver: msg.receiver,
         text: msg.text,
         chatKey: msg.chatKey,
-        _texts: [msg.text],
+        conversationName: msg.conversationName,
+        isGroup: !!msg.isGroup,
+        participants: msg.participants || [],
+        attachments: [],
+        edited: false,
+        deleted: false,
+        _texts: [],
+        _types: new Set(),
+        _reactions: new Map(),
       });
     } else {
       const entry = grouped.get(msg.chatKey);
-      entry._texts.push(msg.text);
       entry.messageDateRaw += '; ' + msg.messageDateRaw;
+      entry.messageDate += '; ' + (msg.messageDate || '');
+    }
+    const entry = grouped.get(msg.chatKey);
+    entry._texts.push(msg.text);
+    entry._types.add(msg.type || 'text');
+    entry.attachments.push(...(msg.attachments || []));
+    entry.edited = entry.edited || !!msg.edited;
+    entry.deleted = entry.deleted || !!msg.deleted;
+    // Reaction counts are summed per emoji across the conversation
+    for (const r of msg.reactions || []) {
+      entry._reactions.set(r.emoji, (entry._reactions.get(r.emoji) || 0) + (r.count || 1));
     }
   }
   for (const [, entry] of grouped) {
-    entry.text = truncateText(entry._texts.join(' | '), MAX_TEXT_LENGTH);
+    entry.text = entry._texts.filter(Boolean).join(' | ');
+    entry.type = [...entry._types].join(', ');
+    entry.reactions = Array.from(entry._reactions, ([emoji, count]) => ({ emoji, count }));
     delete entry._texts;
+    delete entry._types;
+    delete entry._reactions;
   }
   return Array.from(grouped.values());
 }
 
+// ── Exporters ──
+// Registered when exporters.js is loaded first (side panel, service worker)
+
+if (globalThis.Exporters) {
+  const csvFormat = { mimeType: 'text/csv;charset=utf-8', extension: 'csv', tabular: true, build: buildCSV };
+  globalThis.Exporters.registerExporter({ id: 'csv', label: 'Chats in CSV', ...csvFormat });
+  globalThis.Exporters.registerExporter({ id: 'csv_anon', label: 'Chats in CSV (anonymized)', anonymize: true, ...csvFormat });
+  globalThis.Exporters.registerExporter({
+    id: 'tsv',
+    label: 'Chats in TSV',
+    mimeType: 'text/tab-separated-values;charset=utf-8',
+    extension: 'tsv',
+    tabular: true,
+    build: buildTSV,
+  });
+}
+
 if (typeof globalThis !== 'undefined') {
   globalThis.CSVBuilder = {
+    CSV_FIELDS,
+    DEFAULT_CSV_COLUMNS,
     CSV_COLUMNS,
     MAX_TEXT_LENGTH,
     escapeCSVField,
     truncateText,
+    splitText,
+    textLimit,
+    limitRows,
+    formatAttachment,
+    formatAttachments,
+    formatReactions,
+    resolveColumns,
+    rowValues,
+    tableRows,
     buildCSVRow,
     buildCSV,
     buildTSV,
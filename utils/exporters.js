@@ -0,0 +1,73 @@
+/**
+ * exporters.js — Registry of export formats.
+ *
+ * Each format module (csv.js, ...) registers its exporters here. The side
+ * panel builds the Export dropdown from the registry and the service worker
+ * looks the chosen format up by id, so adding a format means registering it —
+ * nothing in the message router or the UI changes.
+ *
+ * Exporter shape:
+ *   id         - value sent from the dropdown ("csv", "csv_anon", ...)
+ *   label      - dropdown text
+ *   mimeType   - download MIME type
+ *   extension  - file extension without the dot
+ *   anonymize  - run the anonymization step before building (default false)
+ *   tabular    - honors the "One row per conversation" setting (default false)
+ *   build      - (messages, context) => string | Uint8Array
+ *                context = { settings, runState, chats, anonymized, delta }
+ *                (chats = ChatIndexItem[] from the last scan; delta =
+ *                { newChatKeys, unchangedChatKeys } in delta mode, else null)
+ */
+
+const EXPORTERS = new Map();
+
+const REQUIRED_EXPORTER_FIELDS = ['id', 'label', 'mimeType', 'extension', 'build'];
+
+/**
+ * Register an export format. Registering an existing id replaces it.
+ * @param {object} exporter - See the shape above
+ */
+function registerExporter(exporter) {
+  const missing = REQUIRED_EXPORTER_FIELDS.filter(field => !exporter?.[field]);
+  if (missing.length > 0) {
+    throw new Error(`Exporter is missing ${missing.join(', ')}`);
+  }
+  EXPORTERS.set(exporter.id, { anonymize: false, tabular: false, ...exporter });
+}
+
+/**
+ * Get a registered exporter.
+ * @param {string} id
+ * @returns {object|null}
+ */
+function getExporter(id) {
+  return EXPORTERS.get(id) || null;
+}
+
+/**
+ * All exporters, in registration order (the dropdown order).
+ * @returns {object[]}
+ */
+function listExporters() {
+  return Array.from(EXPORTERS.values());
+}
+
+/**
+ * Download filename for an export, e.g. "linkedin_export_anon_20250312.csv".
+ * @param {object} exporter
+ * @param {object[]} messages - Used to name the file after a single platform
+ * @param {string} dateStamp - YYYYMMDD
+ * @returns {string}
+ */
+function exportFilename(exporter, messages, dateStamp) {
+  const platforms = new Set(messages.map(msg => msg.platform).filter(Boolean));
+  const prefix = platforms.size === 1
+    ? [...platforms][0].toLowerCase().replace(/[^a-z0-9]+/g, '_')
+    : 'chat';
+  const anon = exporter.anonymize ? '_anon' : '';
+  return `${prefix}_export${anon}_${dateStamp}.${exporter.extension}`;
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.Exporters = { registerExporter, getExporter, listExporters, exportFilename };
+}
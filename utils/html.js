@@ -0,0 +1,245 @@
+/**
+ * html.js — Self-contained HTML transcript export.
+ *
+ * One offline file per run for reading, not analysis: a table of contents by
+ * contact, then each conversation as chat bubbles with sender, time, day
+ * separators, quoted replies, attachment placeholders and reactions. A small
+ * inline script filters messages as you type in the search box. No external
+ * stylesheets, fonts, images or scripts — the file opens anywhere, offline.
+ *
+ * Anonymization and PII redaction happen before build() like every other
+ * exporter (see exportToFile in service_worker.js); the anonymized variant
+ * titles chats with their anonymized names, never the scanned display names.
+ *
+ * Depends on csv.js (attachment summaries).
+ */
+
+/* global CSVBuilder */
+
+const TRANSCRIPT_STYLE = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.45 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1d2129; background: #f0f2f5; }
+  header { position: sticky; top: 0; z-index: 1; padding: 12px 24px; background: #fff; border-bottom: 1px solid #dadde1; }
+  header h1 { margin: 0 0 4px; font-size: 20px; }
+  header .summary { margin: 0 0 8px; color: #65676b; }
+  #search { width: 100%; max-width: 420px; padding: 6px 10px; font: inherit; border: 1px solid #ccd0d5; border-radius: 6px; }
+  #search-count { margin-left: 8px; color: #65676b; }
+  .layout { display: flex; align-items: flex-start; gap: 24px; padding: 24px; }
+  nav { position: sticky; top: 110px; flex: 0 0 240px; max-height: calc(100vh - 140px); overflow-y: auto; padding: 12px; background: #fff; border-radius: 8px; }
+  nav h2 { margin: 0 0 8px; font-size: 15px; }
+  nav ol { margin: 0; padding-left: 20px; }
+  nav a { color: #0a66c2; text-decoration: none; }
+  nav .count, .chat h2 small { color: #65676b; font-weight: normal; }
+  main { flex: 1; min-width: 0; }
+  .chat { margin-bottom: 24px; padding: 16px; background: #fff; border-radius: 8px; }
+  .chat h2 { margin: 0 0 12px; font-size: 17px; }
+  .day { margin: 16px 0 8px; text-align: center; color: #65676b; font-size: 12px; font-weight: 600; }
+  .msg { display: flex; margin: 4px 0; }
+  .msg.out { justify-content: flex-end; }
+  .msg.service { justify-content: center; color: #65676b; font-size: 12px; font-style: italic; }
+  .bubble { max-width: 70%; padding: 6px 10px; border-radius: 12px; background: #e4e6eb; overflow-wrap: anywhere; }
+  .msg.out .bubble { background: #d3e7fd; }
+  .sender { font-size: 12px; font-weight: 600; color: #385898; }
+  .text { white-space: pre-wrap; }
+  .deleted { color: #65676b; font-style: italic; }
+  .quote { margin: 2px 0 4px; padding: 2px 8px; border-left: 3px solid #8d949e; color: #4b4f56; font-size: 13px; white-space: pre-wrap; }
+  .quote cite { display: block; font-style: normal; font-weight: 600; }
+  .attachments { margin: 4px 0 0; padding: 0; list-style: none; font-size: 13px; }
+  .attachment { color: #4b4f56; }
+  .meta { margin-top: 2px; font-size: 11px; color: #65676b; text-align: right; }
+  .reactions { font-size: 12px; }
+  [hidden] { display: none !important; }
+`;
+
+// Matching is on each message's text content; chats and day separators
+// without a visible message are hidden with them.
+const TRANSCRIPT_SEARCH_SCRIPT = `
+  (function () {
+    var input = document.getElementById('search');
+    var count = document.getElementById('search-count');
+    input.addEventListener('input', function () {
+      var query = input.value.trim().toLowerCase();
+      var matches = 0;
+      document.querySelectorAll('.chat').forEach(function (chat) {
+        var visible = 0;
+        chat.querySelectorAll('.msg').forEach(function (msg) {
+          var hit = !query || msg.textContent.toLowerCase().indexOf(query) !== -1;
+          msg.hidden = !hit;
+          if (hit) visible++;
+        });
+        chat.querySelectorAll('.day').forEach(function (day) { day.hidden = !!query; });
+        chat.hidden = visible === 0;
+        var entry = document.querySelector('nav a[href="#' + chat.id + '"]');
+        if (entry) entry.parentNode.hidden = chat.hidden;
+        matches += visible;
+      });
+      count.textContent = query ? matches + ' matching' : '';
+    });
+  })();
+`;
+
+function escapeMarkup(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const pad2 = n => String(n).padStart(2, '0');
+
+/**
+ * Local day and time of a message, falling back to what the platform showed.
+ * @param {object} msg - ExtractedMessage
+ * @returns {{ day: string, time: string }}
+ */
+function messageMoment(msg) {
+  const date = msg.messageDate ? new Date(msg.messageDate) : null;
+  if (!date || isNaN(date.getTime())) {
+    return { day: msg.dayLabel || '', time: msg.messageDateRaw || '' };
+  }
+  return {
+    day: `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`,
+    time: `${pad2(date.getHours())}:${pad2(date.getMinutes())}`,
+  };
+}
+
+/**
+ * Conversations in the export, each with its messages in extraction order,
+ * sorted by title for the table of contents.
+ * @param {object[]} messages
+ * @param {object} context - { chats, anonymized }
+ * @returns {{ chatKey: string, title: string, platform: string, messages: object[] }[]}
+ */
+function transcriptChats(messages, context) {
+  // Scanned display names are real names — never use them in anonymized files
+  const names = context.anonymized ? new Map() : new Map((context.chats || []).map(c => [c.chatKey, c.displayName]));
+  const chats = new Map();
+  for (const msg of messages) {
+    if (!chats.has(msg.chatKey)) chats.set(msg.chatKey, { chatKey: msg.chatKey, title: '', platform: msg.platform || '', messages: [] });
+    const chat = chats.get(msg.chatKey);
+    chat.messages.push(msg);
+    chat.title = chat.title || names.get(msg.chatKey) || msg.conversationName
+      || (msg.direction === 'out' ? msg.receiver : '');
+  }
+  // Chat keys can be built from a name or username, so anonymized files number untitled chats
+  return Array.from(chats.values(), (chat, i) => ({ ...chat, title: chat.title || (context.anonymized ? `Chat ${i + 1}` : chat.chatKey) }))
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+function attachmentHTML(att) {
+  const label = escapeMarkup(CSVBuilder.formatAttachment({ ...att, url: att.filename || att.title ? '' : att.url }));
+  const link = /^https?:\/\//i.test(att.url || '')
+    ? `<a href="${escapeMarkup(att.url)}" rel="noopener noreferrer">${label}</a>`
+    : label;
+  return `<li class="attachment">[${link}]</li>`;
+}
+
+function messageHTML(msg, isGroup) {
+  const { time } = messageMoment(msg);
+  if (msg.direction === 'service') {
+    return `<div class="msg service"><span>${escapeMarkup(msg.text)}</span></div>`;
+  }
+
+  const parts = [];
+  // Your own bubbles are on the right; name the other side only when it can vary
+  if (msg.direction === 'in' || isGroup) parts.push(`<div class="sender">${escapeMarkup(msg.sender)}</div>`);
+  if (msg.quote?.text || msg.quote?.author) {
+    const cite = msg.quote.author ? `<cite>${escapeMarkup(msg.quote.author)}</cite>` : '';
+    parts.push(`<blockquote class="quote">${cite}${escapeMarkup(msg.quote.text)}</blockquote>`);
+  }
+  if (msg.text) parts.push(`<div class="text">${escapeMarkup(msg.text)}</div>`);
+  if (msg.deleted && !msg.text) parts.push('<div class="deleted">This message was deleted</div>');
+  if (msg.attachments?.length) {
+    parts.push(`<ul class="attachments">${msg.attachments.map(attachmentHTML).join('')}</ul>`);
+  }
+  if (msg.reactions?.length) {
+    parts.push(`<div class="reactions">${escapeMarkup(CSVBuilder.formatReactions(msg.reactions))}</div>`);
+  }
+  const flags = [msg.edited ? 'edited' : '', msg.deleted && msg.text ? 'deleted' : ''].filter(Boolean);
+  const stamp = msg.messageDate
+    ? `<time datetime="${escapeMarkup(msg.messageDate)}">${escapeMarkup(time)}</time>`
+    : escapeMarkup(time);
+  parts.push(`<div class="meta">${[stamp, ...flags].filter(Boolean).join(' · ')}</div>`);
+
+  return `<div class="msg ${msg.direction === 'out' ? 'out' : 'in'}"><div class="bubble">${parts.join('')}</div></div>`;
+}
+
+function chatHTML(chat, index) {
+  const isGroup = chat.messages.some(msg => msg.isGroup);
+  const body = [];
+  let lastDay = null;
+  for (const msg of chat.messages) {
+    const { day } = messageMoment(msg);
+    if (day && day !== lastDay) body.push(`<div class="day">${escapeMarkup(day)}</div>`);
+    if (day) lastDay = day;
+    body.push(messageHTML(msg, isGroup));
+  }
+  const details = [chat.platform, `${chat.messages.length} messages`].filter(Boolean).join(' · ');
+  return `<section class="chat" id="chat-${index + 1}">`
+    + `<h2>${escapeMarkup(chat.title)} <small>${escapeMarkup(details)}</small></h2>`
+    + body.join('\n')
+    + '</section>';
+}
+
+/**
+ * Build a self-contained HTML transcript.
+ * @param {object[]} messages - ExtractedMessage[]
+ * @param {object} [context] - { chats, anonymized, exportedAt }
+ * @returns {string}
+ */
+function buildHTML(messages, context = {}) {
+  const chats = transcriptChats(messages, context);
+  const exportedAt = context.exportedAt || new Date().toISOString();
+  const platforms = [...new Set(messages.map(msg => msg.platform).filter(Boolean))].join(', ');
+  const summary = [
+    `${messages.length} messages in ${chats.length} chats`,
+    platforms,
+    `exported ${exportedAt.slice(0, 10)}`,
+    context.delta ? `new since the last export (${context.delta.unchangedChatKeys.length} chats unchanged)` : '',
+    context.anonymized ? 'anonymized' : '',
+  ].filter(Boolean).join(' · ');
+
+  const toc = chats.map((chat, i) =>
+    `<li><a href="#chat-${i + 1}">${escapeMarkup(chat.title)}</a> <span class="count">${chat.messages.length}</span></li>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Chat transcript${platforms ? ' — ' + escapeMarkup(platforms) : ''}</title>
+<style>${TRANSCRIPT_STYLE}</style>
+</head>
+<body>
+<header>
+<h1>Chat transcript</h1>
+<p class="summary">${escapeMarkup(summary)}</p>
+<input type="search" id="search" placeholder="Search messages" aria-label="Search messages"><span id="search-count"></span>
+</header>
+<div class="layout">
+<nav><h2>Contacts</h2><ol>
+${toc}
+</ol></nav>
+<main>
+${chats.map(chatHTML).join('\n')}
+</main>
+</div>
+<script>${TRANSCRIPT_SEARCH_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// ── Exporters ──
+
+if (globalThis.Exporters) {
+  const htmlFormat = { mimeType: 'text/html', extension: 'html', build: buildHTML };
+  globalThis.Exporters.registerExporter({ id: 'html', label: 'Transcript in HTML', ...htmlFormat });
+  globalThis.Exporters.registerExporter({ id: 'html_anon', label: 'Transcript in HTML (anonymized)', anonymize: true, ...htmlFormat });
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.HTMLTranscript = { escapeMarkup, messageMoment, transcriptChats, buildHTML };
+}
@@ -0,0 +1,279 @@
+/**
+ * importer.js — Read our own CSV and JSON exports back into ExtractedMessages.
+ *
+ * Imported messages merge with fresh extractions by message id, so a running
+ * archive can be carried across weeks: import last week's export, process the
+ * chats again, download one combined file.
+ *
+ * - JSON / NDJSON exports are lossless and restore every field.
+ * - CSV exports restore what the columns hold; split long messages are joined
+ *   back from their Part rows. The CSV has no chat key or direction: direction
+ *   comes from the configured sender name, and chats get an
+ *   "imported:<platform>:<name>" key until a fresh extraction of the same
+ *   conversation supplies the real one (see relinkImportedChats).
+ *
+ * Anonymized files and "one row per conversation" CSVs are rejected — they
+ * cannot be merged with real, per-message data.
+ *
+ * Depends on json.js (schema name and version).
+ */
+
+/* global JSONExport */
+
+const IMPORTED_CHAT_PREFIX = 'imported:';
+const REQUIRED_IMPORT_COLUMNS = ['Platform', 'Message Date', 'Sender', 'Receiver', 'Message Text'];
+const ANONYMIZED_NAME = /^((CONTACT|GROUP)_[0-9a-f]{8,}|SELF)$/i;
+
+/**
+ * Parse RFC 4180 CSV: quoted fields, doubled quotes, line breaks inside
+ * quotes, CRLF or LF rows, optional UTF-8 BOM.
+ * @param {string} text
+ * @returns {string[][]} Rows of fields (blank lines skipped)
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return rows;
+}
+
+/**
+ * Reverse of CSVBuilder.formatAttachment: 'file: deck.pdf <url> "Title" (application/pdf)'.
+ * @param {string} value - Attachments column
+ * @returns {object[]}
+ */
+function parseAttachmentList(value) {
+  if (!value) return [];
+  return value.split('; ').map(entry => {
+    const m = entry.match(/^([a-z_]+)(?:: (.*?))?(?: <(\S+)>)?(?: "(.*)")?(?: \(([^()]*)\))?$/);
+    if (!m) return { kind: 'file', filename: entry };
+    const [, kind, name, url, title, details] = m;
+    const att = { kind };
+    if (url) {
+      att.filename = name || '';
+      att.url = url;
+    } else if (name) {
+      att[/^https?:\/\//i.test(name) ? 'url' : 'filename'] = name;
+    }
+    if (title) att.title = title;
+    for (const detail of (details || '').split(', ').filter(Boolean)) {
+      att[detail.includes('/') ? 'mime' : 'duration'] = detail;
+    }
+    return att;
+  });
+}
+
+/**
+ * Reverse of CSVBuilder.formatReactions: '❤️ 3; 👍 1'.
+ * @param {string} value - Reactions column
+ * @returns {{ emoji: string, count: number }[]}
+ */
+function parseReactionList(value) {
+  if (!value) return [];
+  return value.split('; ').map(entry => {
+    const m = entry.match(/^(.*) (\d+)$/);
+    return m ? { emoji: m[1], count: parseInt(m[2], 10) } : { emoji: entry, count: 1 };
+  });
+}
+
+/**
+ * Messages from one of our CSV exports (any version — columns are matched by
+ * header name; only the original five are required).
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.senderName] - Rows by this sender are outgoing
+ * @returns {object[]} ExtractedMessage[] (ids kept when the file has them)
+ */
+function messagesFromCSV(text, options = {}) {
+  const [header, ...rows] = parseCSV(text);
+  const col = new Map((header || []).map((name, i) => [name.trim(), i]));
+  const missing = REQUIRED_IMPORT_COLUMNS.filter(name => !col.has(name));
+  if (missing.length > 0) {
+    throw new Error(`Not a chat export CSV (missing ${missing.join(', ')})`);
+  }
+  const get = (row, name) => (col.has(name) ? row[col.get(name)] || '' : '');
+  const self = (options.senderName || '').trim().toLowerCase();
+
+  const messages = [];
+  rows.forEach((row, i) => {
+    // Merged rows hold every date of the conversation, joined with "; "
+    if (get(row, 'Message Date (ISO)').includes('; ')) {
+      throw new Error('CSVs exported with "One row per conversation" cannot be imported');
+    }
+    const platform = get(row, 'Platform');
+    const sender = get(row, 'Sender');
+    const receiver = get(row, 'Receiver');
+    const type = get(row, 'Message Type') || 'text';
+    const participants = get(row, 'Participants').split('; ').filter(Boolean);
+    const isGroup = participants.length > 0;
+    const direction = type === 'service' ? 'service'
+      : self && sender.trim().toLowerCase() === self ? 'out' : 'in';
+    const conversationName = isGroup || direction !== 'in' ? receiver || sender : sender;
+    if (ANONYMIZED_NAME.test(sender) || ANONYMIZED_NAME.test(receiver)) {
+      throw new Error(`Row ${i + 2} is anonymized — only regular exports can be imported`);
+    }
+    const quoteAuthor = get(row, 'Reply To Author');
+    const quoteText = get(row, 'Reply To Text');
+
+    const msg = {
+      platform,
+      chatKey: `${IMPORTED_CHAT_PREFIX}${platform}:${conversationName}`,
+      messageDateRaw: get(row, 'Message Date'),
+      messageDate: get(row, 'Message Date (ISO)'),
+      sender,
+      receiver,
+      text: get(row, 'Message Text'),
+      direction,
+      type,
+      attachments: parseAttachmentList(get(row, 'Attachments')),
+      quote: quoteAuthor || quoteText ? { text: quoteText, author: quoteAuthor } : null,
+      edited: get(row, 'Edited') === 'yes',
+      deleted: get(row, 'Deleted') === 'yes',
+      reactions: parseReactionList(get(row, 'Reactions')),
+      // Text cut at the export's limit stays marked, so a re-export does not pass it off as complete
+      ...(get(row, 'Truncated') === 'yes' ? { truncated: true } : {}),
+      conversationName,
+      isGroup,
+      participants: isGroup ? participants : [conversationName],
+    };
+    const id = get(row, 'Message ID');
+    if (id) msg.id = id;
+
+    // Continuation rows of a split message ("2/3", "3/3") carry the rest of its text
+    const previous = messages[messages.length - 1];
+    const part = get(row, 'Part');
+    if (part && !part.startsWith('1/') && msg.id && previous?.id === msg.id) {
+      previous.text += msg.text;
+      if (msg.truncated) previous.truncated = true;
+      return;
+    }
+    messages.push(msg);
+  });
+  return messages;
+}
+
+/**
+ * Messages from one of our JSON or NDJSON exports.
+ * @param {string} text
+ * @returns {object[]} ExtractedMessage[]
+ */
+function messagesFromJSON(text) {
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  let header;
+  let messages;
+  try {
+    const doc = JSON.parse(src);
+    header = doc;
+    messages = doc.messages;
+  } catch {
+    // NDJSON: one record per line
+    try {
+      const records = src.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+      header = records.find(r => r.record === 'header') || {};
+      messages = records.filter(r => r.record === 'message').map(({ record, ...msg }) => msg);
+    } catch {
+      throw new Error('Not a chat export JSON file (invalid JSON)');
+    }
+  }
+
+  if (header.schema !== JSONExport.EXPORT_SCHEMA_NAME || !Array.isArray(messages)) {
+    throw new Error('Not a chat export JSON file');
+  }
+  if (header.schemaVersion > JSONExport.EXPORT_SCHEMA_VERSION) {
+    throw new Error(`Export schema version ${header.schemaVersion} is newer than this extension supports`);
+  }
+  if (header.anonymized) {
+    throw new Error('Anonymized exports cannot be imported — only regular exports can');
+  }
+  return messages;
+}
+
+/**
+ * Parse an export file by extension (or content when the name is unknown).
+ * @param {string} text
+ * @param {string} [filename]
+ * @param {object} [options] - Passed to messagesFromCSV
+ * @returns {{ format: 'csv'|'json', messages: object[] }}
+ */
+function parseImport(text, filename = '', options = {}) {
+  const ext = (filename.match(/\.([a-z]+)$/i)?.[1] || '').toLowerCase();
+  const isJSON = ext === 'json' || ext === 'ndjson' || (!ext && text.replace(/^\uFEFF/, '').trimStart().startsWith('{'));
+  return isJSON
+    ? { format: 'json', messages: messagesFromJSON(text) }
+    : { format: 'csv', messages: messagesFromCSV(text, options) };
+}
+
+/**
+ * Move imported CSV messages onto the real chat key once a message with a
+ * real key exists for the same conversation (same platform and name).
+ * @param {object[]} messages
+ * @returns {object[]}
+ */
+function relinkImportedChats(messages) {
+  const ref = msg => `${msg.platform}\u0000${msg.conversationName}`;
+  const realKeys = new Map();
+  for (const msg of messages) {
+    if (msg.conversationName && !msg.chatKey?.startsWith(IMPORTED_CHAT_PREFIX)) realKeys.set(ref(msg), msg.chatKey);
+  }
+  if (realKeys.size === 0) return messages;
+  return messages.map(msg => {
+    const chatKey = msg.chatKey?.startsWith(IMPORTED_CHAT_PREFIX) && realKeys.get(ref(msg));
+    return chatKey ? { ...msg, chatKey } : msg;
+  });
+}
+
+/**
+ * The messages a new Process run starts from: only the imported ones. Chats
+ * collected by an earlier run, maybe with another selection or date filter,
+ * must not flow into this run's export. A resumed run keeps what it had.
+ * @param {object[]} messages - Messages held so far
+ * @param {Iterable<string>} importedIds - Ids of the messages brought in by imports
+ * @returns {object[]}
+ */
+function runStartMessages(messages, importedIds) {
+  const ids = new Set(importedIds);
+  return messages.filter(msg => ids.has(msg.id));
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.Importer = {
+    IMPORTED_CHAT_PREFIX,
+    parseCSV,
+    messagesFromCSV,
+    messagesFromJSON,
+    parseImport,
+    relinkImportedChats,
+    runStartMessages,
+  };
+}
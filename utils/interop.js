@@ -0,0 +1,301 @@
+/**
+ * interop.js — Exports in WhatsApp's and Telegram Desktop's own formats.
+ *
+ * Analysis tools that already read WhatsApp "Export chat" .txt files or
+ * Telegram Desktop's result.json can ingest chats from any platform we
+ * extract, without a custom converter.
+ *
+ * - WhatsApp: a ZIP with one "WhatsApp Chat with <name>.txt" per chat, in the
+ *   Android layout "12/03/2025, 15:42 - Sender: text" (day first, 24-hour,
+ *   local time). Media become "<Media omitted>" or "name (file attached)".
+ * - Telegram: result.json as Telegram Desktop writes it — a single chat
+ *   ({ name, type, id, messages }) when one chat is exported, otherwise the
+ *   full-export layout ({ chats: { list } }). Ids are numbers derived from
+ *   chat keys and names, stable across exports.
+ *
+ * Both formats need a date on every message. An undated message takes the
+ * time of the dated message before it (or after it, at the top of a chat).
+ *
+ * Depends on html.js (chat grouping and titles), transcripts.js (file names),
+ * zip.js and message_ids.js (hashString).
+ */
+
+/* global HTMLTranscript, Transcripts, Zip, MessageIds */
+
+const WHATSAPP_MEDIA_OMITTED = '<Media omitted>';
+const TELEGRAM_FILE_NOT_INCLUDED = '(File not included. Change data exporting settings to download.)';
+const TELEGRAM_MEDIA_TYPES = { video: 'video_file', gif: 'animation', sticker: 'sticker', voice: 'voice_message' };
+const LINK_KINDS = new Set(['link', 'shared_post']);
+
+const twoDigits = n => String(n).padStart(2, '0');
+
+/**
+ * A date for every message of a chat, filling gaps from the neighbours.
+ * @param {object[]} messages - One chat, in order
+ * @returns {Date[]}
+ */
+function interopDates(messages) {
+  const dates = messages.map(msg => {
+    const date = msg.messageDate ? new Date(msg.messageDate) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+  });
+  let last = dates.find(Boolean) || new Date();
+  return dates.map(date => (last = date || last));
+}
+
+/**
+ * Link attachment URLs that the message text does not already contain.
+ * @param {object} msg - ExtractedMessage
+ * @returns {string[]}
+ */
+function missingLinks(msg) {
+  return (msg.attachments || [])
+    .filter(att => LINK_KINDS.has(att.kind) && att.url && !(msg.text || '').includes(att.url))
+    .map(att => att.url);
+}
+
+// ── WhatsApp ──
+
+/**
+ * "12/03/2025, 15:42" in local time.
+ * @param {Date} date
+ * @returns {string}
+ */
+function whatsappDate(date) {
+  return `${twoDigits(date.getDate())}/${twoDigits(date.getMonth() + 1)}/${date.getFullYear()}, `
+    + `${twoDigits(date.getHours())}:${twoDigits(date.getMinutes())}`;
+}
+
+/**
+ * Message body as WhatsApp writes it: media lines, then the caption/text.
+ * @param {object} msg - ExtractedMessage
+ * @returns {string}
+ */
+function whatsappBody(msg) {
+  if (msg.deleted) return msg.direction === 'out' ? 'You deleted this message' : 'This message was deleted';
+  const lines = (msg.attachments || [])
+    .filter(att => !LINK_KINDS.has(att.kind))
+    .map(att => (att.filename ? `${att.filename} (file attached)` : WHATSAPP_MEDIA_OMITTED));
+  const text = [msg.text, ...missingLinks(msg)].filter(Boolean).join(' ');
+  if (text) lines.push(text);
+  const body = lines.join('\n');
+  return msg.edited ? `${body} <This message was edited>` : body;
+}
+
+/**
+ * One chat as a WhatsApp "Export chat" text file.
+ * @param {{ messages: object[] }} chat
+ * @returns {string}
+ */
+function buildWhatsAppChat(chat) {
+  const dates = interopDates(chat.messages);
+  return chat.messages.map((msg, i) => {
+    const who = msg.direction === 'service' ? '' : `${msg.sender}: `;
+    return `${whatsappDate(dates[i])} - ${who}${whatsappBody(msg)}`;
+  }).join('\n') + '\n';
+}
+
+/**
+ * Build a ZIP with one WhatsApp-format text file per chat.
+ * @param {object[]} messages - ExtractedMessage[]
+ * @param {object} [context] - { chats, anonymized }
+ * @returns {Uint8Array}
+ */
+function buildWhatsAppZip(messages, context = {}) {
+  const used = new Set();
+  const files = HTMLTranscript.transcriptChats(messages, context).map(chat => ({
+    name: Transcripts.transcriptFilename(`WhatsApp Chat with ${chat.title}`, 'txt', used),
+    data: buildWhatsAppChat(chat),
+  }));
+  return Zip.createZip(files);
+}
+
+// ── Telegram ──
+
+/**
+ * Numeric id for a name or chat key, like Telegram's user and chat ids.
+ * @param {string} value
+ * @returns {number}
+ */
+function telegramId(value) {
+  return parseInt(MessageIds.hashString(String(value)).slice(-8), 16);
+}
+
+/**
+ * "2025-03-12T15:42:00" in local time, as Telegram Desktop writes dates.
+ * @param {Date} date
+ * @returns {string}
+ */
+function telegramDate(date) {
+  return `${date.getFullYear()}-${twoDigits(date.getMonth() + 1)}-${twoDigits(date.getDate())}`
+    + `T${twoDigits(date.getHours())}:${twoDigits(date.getMinutes())}:${twoDigits(date.getSeconds())}`;
+}
+
+/**
+ * Telegram's text_entities for plain text with bare links.
+ * @param {string} text
+ * @returns {{ type: string, text: string }[]}
+ */
+function textEntities(text) {
+  const entities = [];
+  let pos = 0;
+  for (const match of text.matchAll(/https?:\/\/\S+/g)) {
+    if (match.index > pos) entities.push({ type: 'plain', text: text.slice(pos, match.index) });
+    entities.push({ type: 'link', text: match[0] });
+    pos = match.index + match[0].length;
+  }
+  if (pos < text.length) entities.push({ type: 'plain', text: text.slice(pos) });
+  return entities;
+}
+
+/**
+ * "1:05" → 65; null when the duration is not shown.
+ * @param {string} [duration]
+ * @returns {number|null}
+ */
+function durationSeconds(duration) {
+  if (!/^\d+(:\d{1,2}){1,2}$/.test(duration || '')) return null;
+  return duration.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Telegram media fields for the first non-link attachment (Telegram messages
+ * carry at most one).
+ * @param {object[]} [attachments]
+ * @returns {object}
+ */
+function telegramMedia(attachments) {
+  const att = (attachments || []).find(a => !LINK_KINDS.has(a.kind));
+  if (!att) return {};
+  if (att.kind === 'image') return { photo: TELEGRAM_FILE_NOT_INCLUDED };
+  const media = { file: TELEGRAM_FILE_NOT_INCLUDED };
+  if (att.filename) media.file_name = att.filename;
+  if (TELEGRAM_MEDIA_TYPES[att.kind]) media.media_type = TELEGRAM_MEDIA_TYPES[att.kind];
+  if (att.mime && !att.mime.endsWith('/*')) media.mime_type = att.mime;
+  const seconds = durationSeconds(att.duration);
+  if (seconds !== null) media.duration_seconds = seconds;
+  return media;
+}
+
+/**
+ * The earlier message a quote points to: same author, text starting with the
+ * quoted snippet (platforms shorten long quotes).
+ * @param {{ text: string, author: string }} quote
+ * @param {{ msg: object, id: number }[]} earlier - Most recent last
+ * @returns {number|null}
+ */
+function findReplyTarget(quote, earlier) {
+  const snippet = text => (text || '').replace(/\s+/g, ' ').trim().replace(/\s*(…|\.\.\.)$/, '');
+  const quoted = snippet(quote.text);
+  if (!quoted) return null;
+  for (let i = earlier.length - 1; i >= 0; i--) {
+    const { msg, id } = earlier[i];
+    if ((!quote.author || msg.sender === quote.author) && snippet(msg.text).startsWith(quoted)) return id;
+  }
+  return null;
+}
+
+/**
+ * One chat as a Telegram Desktop chat export. Deleted-message placeholders
+ * are left out: Telegram exports never contain deleted messages.
+ * @param {{ chatKey: string, title: string, messages: object[] }} chat
+ * @param {{ anonymized?: boolean }} [context]
+ * @returns {object}
+ */
+function buildTelegramChat(chat, context = {}) {
+  const dates = interopDates(chat.messages);
+  const earlier = [];
+  const records = [];
+
+  chat.messages.forEach((msg, i) => {
+    if (msg.deleted) return;
+    const id = records.length + 1;
+    const date = telegramDate(dates[i]);
+    const unixtime = String(Math.floor(dates[i].getTime() / 1000));
+    const record = { id, type: msg.direction === 'service' ? 'service' : 'message', date, date_unixtime: unixtime };
+    // Telegram records when a message was edited; only the fact is known here
+    if (msg.edited) Object.assign(record, { edited: date, edited_unixtime: unixtime });
+    if (record.type === 'service') {
+      record.actor = msg.sender || '';
+      if (msg.sender) record.actor_id = `user${telegramId(msg.sender)}`;
+    } else {
+      record.from = msg.sender;
+      record.from_id = `user${telegramId(msg.sender)}`;
+    }
+    const replyTo = msg.quote ? findReplyTarget(msg.quote, earlier) : null;
+    if (replyTo) record.reply_to_message_id = replyTo;
+    Object.assign(record, telegramMedia(msg.attachments));
+
+    const text = [msg.text, ...missingLinks(msg)].filter(Boolean).join(' ');
+    const entities = textEntities(text);
+    // Plain text is a string; text with links is a mixed array, like Telegram's
+    record.text = entities.every(e => e.type === 'plain') ? text : entities.map(e => (e.type === 'plain' ? e.text : e));
+    record.text_entities = entities;
+    if (msg.reactions?.length) {
+      record.reactions = msg.reactions.map(r => ({ type: 'emoji', count: r.count || 1, emoji: r.emoji }));
+    }
+    records.push(record);
+    earlier.push({ msg, id });
+  });
+
+  return {
+    name: chat.title,
+    type: chat.messages.some(msg => msg.isGroup) ? 'private_group' : 'personal_chat',
+    // Chat keys can be built from a name, and this hash is unsalted: anonymized
+    // chats are numbered from their title (the GROUP_/CONTACT_ id, or "Chat N")
+    id: telegramId(context.anonymized ? chat.title : chat.chatKey),
+    messages: records,
+  };
+}
+
+/**
+ * Build Telegram Desktop's result.json.
+ * @param {object[]} messages - ExtractedMessage[]
+ * @param {object} [context] - { chats, anonymized }
+ * @returns {string}
+ */
+function buildTelegramJSON(messages, context = {}) {
+  const chats = HTMLTranscript.transcriptChats(messages, context).map(chat => buildTelegramChat(chat, context));
+  const doc = chats.length === 1
+    ? chats[0]
+    : { about: 'Here is the data you requested.', chats: { about: 'This page lists all chats from this export.', list: chats } };
+  // Telegram Desktop indents result.json with a single space
+  return JSON.stringify(doc, null, 1);
+}
+
+// ── Exporters ──
+
+if (globalThis.Exporters) {
+  for (const anonymize of [false, true]) {
+    const suffix = anonymize ? '_anon' : '';
+    globalThis.Exporters.registerExporter({
+      id: `whatsapp_txt${suffix}`,
+      label: `WhatsApp chat export (ZIP of .txt${anonymize ? ', anonymized' : ''})`,
+      mimeType: 'application/zip',
+      extension: 'whatsapp.zip',
+      anonymize,
+      build: buildWhatsAppZip,
+    });
+    globalThis.Exporters.registerExporter({
+      id: `telegram_json${suffix}`,
+      label: `Telegram Desktop result.json${anonymize ? ' (anonymized)' : ''}`,
+      mimeType: 'application/json',
+      extension: 'telegram.json',
+      anonymize,
+      build: buildTelegramJSON,
+    });
+  }
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.Interop = {
+    interopDates,
+    whatsappDate,
+    buildWhatsAppChat,
+    buildWhatsAppZip,
+    telegramId,
+    textEntities,
+    buildTelegramChat,
+    buildTelegramJSON,
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * json.js — Lossless JSON and NDJSON exports of the full data model.
+ *
+ * Unlike CSV, nothing is dropped or truncated: every ExtractedMessage field,
+ * the ChatIndexItem metadata of the chats involved, the run settings, per-chat
+ * coverage and failures. Files carry a schema name and version; the matching
+ * JSON Schema is schema/chat_export.v<version>.schema.json.
+ *
+ * JSON document:
+ *   { schema, schemaVersion, exportedAt, anonymized, settings, run, chats, messages }
+ * Delta exports add run.delta = { newChatKeys, unchangedChatKeys }; anonymized
+ * exports with PII redaction add redactions = { [ruleId]: count }.
+ *
+ * NDJSON stream — one record per line, each with a `record` discriminator:
+ *   { record: "header", schema, schemaVersion, exportedAt, anonymized, settings, run }
+ *   { record: "chat", ...ChatIndexItem }        (one per chat)
+ *   { record: "message", ...ExtractedMessage }  (one per message)
+ */
+
+const EXPORT_SCHEMA_NAME = 'chat-export';
+const EXPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Chats that appear in the export — with messages or with a failure.
+ * @param {object[]} chats - ChatIndexItem[] from the last scan
+ * @param {object[]} messages
+ * @param {object} runState
+ * @returns {object[]}
+ */
+function exportedChats(chats, messages, runState) {
+  const keys = new Set(messages.map(msg => msg.chatKey));
+  for (const failure of runState?.failures || []) keys.add(failure.chatKey);
+  const known = (chats || []).filter(chat => keys.has(chat.chatKey));
+  // Chats processed in an earlier scan may be missing from the current one
+  const missing = [...keys]
+    .filter(key => !known.some(chat => chat.chatKey === key))
+    .map(chatKey => ({ chatKey, displayName: '', lastPreview: '', lastActivityHint: '' }));
+  return [...known, ...missing];
+}
+
+/**
+ * Header fields shared by both formats.
+ * @param {object} context - { settings, runState, anonymized, delta?, redactions?, exportedAt? }
+ * @returns {object}
+ */
+function exportHeader(context) {
+  const runState = context.runState || {};
+  return {
+    schema: EXPORT_SCHEMA_NAME,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: context.exportedAt || new Date().toISOString(),
+    anonymized: !!context.anonymized,
+    ...(context.redactions ? { redactions: context.redactions } : {}),
+    settings: context.settings || {},
+    run: {
+      platform: runState.platform || null,
+      selectedChatKeys: runState.selectedChatKeys || [],
+      excludedChatKeys: runState.excludedChatKeys || [],
+      processedChatKeys: runState.processedChatKeys || [],
+      failures: runState.failures || [],
+      undatedCount: runState.undatedCount || 0,
+      history: runState.history || {},
+      ...(context.delta ? { delta: context.delta } : {}),
+    },
+  };
+}
+
+/**
+ * Anonymized exports must not carry the scanned display names and previews.
+ */
+function chatRecords(context, messages) {
+  const chats = exportedChats(context.chats, messages, context.runState);
+  if (!context.anonymized) return chats;
+  return chats.map(({ chatKey }) => ({ chatKey, displayName: '', lastPreview: '', lastActivityHint: '' }));
+}
+
+/**
+ * Build a JSON export document.
+ * @param {object[]} messages - ExtractedMessage[]
+ * @param {object} [context] - { settings, runState, chats, anonymized, exportedAt }
+ * @returns {string}
+ */
+function buildJSON(messages, context = {}) {
+  return JSON.stringify({
+    ...exportHeader(context),
+    chats: chatRecords(context, messages),
+    messages,
+  }, null, 2);
+}
+
+/**
+ * Build an NDJSON export: a header line, then one line per chat and per message.
+ * @param {object[]} messages - ExtractedMessage[]
+ * @param {object} [context] - { settings, runState, chats, anonymized, exportedAt }
+ * @returns {string}
+ */
+function buildNDJSON(messages, context = {}) {
+  const lines = [JSON.stringify({ record: 'header', ...exportHeader(context) })];
+  for (const chat of chatRecords(context, messages)) {
+    lines.push(JSON.stringify({ record: 'chat', ...chat }));
+  }
+  for (const msg of messages) {
+    lines.push(JSON.stringify({ record: 'message', ...msg }));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ── Exporters ──
+
+if (globalThis.Exporters) {
+  globalThis.Exporters.registerExporter({
+    id: 'json',
+    label: 'Full data in JSON',
+    mimeType: 'application/json',
+    extension: 'json',
+    build: buildJSON,
+  });
+  globalThis.Exporters.registerExporter({
+    id: 'ndjson',
+    label: 'Full data in NDJSON',
+    mimeType: 'application/x-ndjson',
+    extension: 'ndjson',
+    build: buildNDJSON,
+  });
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.JSONExport = {
+    EXPORT_SCHEMA_NAME,
+    EXPORT_SCHEMA_VERSION,
+    buildJSON,
+    buildNDJSON,
+  };
+}
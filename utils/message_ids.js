@@ -0,0 +1,105 @@
+/**
+ * message_ids.js — Stable identifiers for extracted messages.
+ *
+ * A message's id is a hash of the platform's own message id when the DOM
+ * exposes one, otherwise of its chatKey, author, normalized time and content.
+ * A bare time whose day was assumed from the capture date (`dayAssumed`) is
+ * dated by the nearest earlier message with a real date instead.
+ * The same message therefore gets the same id on every run, so re-processing
+ * a chat updates rows instead of duplicating them. Hashing also keeps raw
+ * platform ids (WhatsApp's embed phone numbers) out of exports.
+ */
+
+/**
+ * cyrb53 — fast, well-distributed 53-bit string hash. Not cryptographic;
+ * ids only need to be stable and collision-free within a user's exports.
+ * @param {string} str
+ * @param {number} [seed]
+ * @returns {string} 14 hex chars
+ */
+function hashString(str, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  return hash.toString(16).padStart(14, '0');
+}
+
+/**
+ * The parts of a message that identify it across runs.
+ * @param {object} msg - ExtractedMessage
+ * @param {string} [anchorDate] - For `dayAssumed` messages: messageDate of the
+ *   nearest earlier message with a real date ("" if none)
+ * @returns {string}
+ */
+function messageFingerprint(msg, anchorDate = '') {
+  if (msg.platformMessageId) {
+    return ['platform', msg.platform, msg.chatKey, msg.platformMessageId].join('\u0000');
+  }
+  const media = (msg.attachments || []).map(a => a.kind + ':' + (a.filename || a.url || '')).join(',');
+  return [
+    'content',
+    msg.platform,
+    msg.chatKey,
+    msg.sender,
+    msg.dayAssumed ? `${anchorDate}+${msg.messageDateRaw}` : msg.messageDate || msg.messageDateRaw,
+    msg.text,
+    media,
+  ].join('\u0000');
+}
+
+/**
+ * Give every message without an id a stable one. Messages with identical
+ * fingerprints in one batch (two "ok" replies in the same minute) get an
+ * occurrence suffix: "<hash>", "<hash>-2", ...
+ * @param {object[]} messages - One chat's messages, in thread order
+ * @returns {object[]} Copies with `id` set
+ */
+function assignMessageIds(messages) {
+  const seen = new Map();
+  const anchors = new Map(); // chatKey → messageDate of the last message with a real date
+  return messages.map(msg => {
+    if (msg.messageDate && !msg.dayAssumed) anchors.set(msg.chatKey, msg.messageDate);
+    if (msg.id) return msg;
+    const base = hashString(messageFingerprint(msg, anchors.get(msg.chatKey) || ''));
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return { ...msg, id: n > 1 ? `${base}-${n}` : base };
+  });
+}
+
+/**
+ * Merge newly extracted messages into a stored list, de-duplicating on id.
+ * A re-extracted message replaces its stored copy in place (it may have been
+ * edited or gained reactions); new messages are appended.
+ * @param {object[]} existing
+ * @param {object[]} incoming
+ * @returns {{ messages: object[], added: number, updated: number }}
+ */
+function mergeMessages(existing, incoming) {
+  const messages = [...existing];
+  const indexById = new Map(messages.map((msg, i) => [msg.id, i]));
+  let added = 0;
+  let updated = 0;
+  for (const msg of incoming) {
+    if (indexById.has(msg.id)) {
+      messages[indexById.get(msg.id)] = msg;
+      updated++;
+    } else {
+      indexById.set(msg.id, messages.length);
+      messages.push(msg);
+      added++;
+    }
+  }
+  return { messages, added, updated };
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.MessageIds = { hashString, messageFingerprint, assignMessageIds, mergeMessages };
+}
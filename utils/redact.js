@@ -1,45 +1,387 @@
 /**
- * redact.js — PII pattern redaction for message text.
+ * redact.js — PII redaction engine for message text.
  *
- * Replaces emails, phone numbers, and URLs with placeholder tokens.
+ * Built-in rules (PII_RULES) replace matches with placeholder tokens. A rule
+ * has one or more patterns; a pattern's optional `validate(match, text, offset)`
+ * returns false to leave a match alone — checksums weed out look-alike numbers,
+ * and the phone rule looks at the words around a number.
+ * Rules run in order, so an email is gone before the @handle rule looks at
+ * it and card numbers are gone before the looser phone rule.
+ *
+ * Settings:
+ *   piiRules       - { [ruleId]: boolean }, missing ids use the rule's default
+ *   customPiiRules - [{ type: 'regex' | 'keyword', pattern, replacement? }]
+ *                    keyword patterns are comma-separated words or phrases
+ *
+ * redactText() counts replacements per rule id, so exports can report them.
+ */
+
+const CUSTOM_REPLACEMENT = '[REDACTED]';
+
+// ── Validators ──
+
+/**
+ * Luhn checksum of a card number (spaces and dashes ignored).
+ * @param {string} value
+ * @returns {boolean}
  */
+function luhnValid(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * ISO 13616 IBAN check: country code and check digits moved to the end,
+ * letters as numbers (A = 10), the whole number mod 97 must be 1.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function ibanValid(value) {
+  const iban = value.replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  const numeric = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, c => String(c.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of numeric) remainder = (remainder * 10 + Number(digit)) % 97;
+  return remainder === 1;
+}
+
+function ipv4Valid(value) {
+  return value.split('.').every(part => Number(part) <= 255 && !(part.length > 1 && part[0] === '0'));
+}
+
+/**
+ * Full (eight groups) or "::"-compressed IPv6 addresses. Clock times like
+ * "10:30:00" have too few groups.
+ */
+function ipv6Valid(value) {
+  const groups = value.split(':');
+  if (!/[0-9a-f]/i.test(value) || groups.length > 8) return false;
+  return value.includes('::') ? groups.length >= 3 && (value.match(/::/g) || []).length === 1 : groups.length === 8;
+}
+
+// US Social Security numbers never start with 000, 666 or 9, nor have 00 or 0000 parts
+function ssnValid(value) {
+  const [area, group, serial] = value.split('-');
+  return area !== '000' && area !== '666' && area[0] !== '9' && group !== '00' && serial !== '0000';
+}
+
+// Spanish DNI: the letter is a checksum of the number
+function dniValid(value) {
+  const digits = value.replace(/\D/g, '');
+  return 'TRWAGMYFPDXBNJZSQVHLCKE'[Number(digits) % 23] === value.slice(-1).toUpperCase();
+}
+
+// ── Phone numbers ──
+
+// National significant number lengths (digits after the country code)
+const COUNTRY_NUMBER_LENGTHS = {
+  1: [10, 10], 7: [10, 10], 20: [9, 10], 27: [9, 9], 30: [10, 10], 31: [9, 9], 32: [8, 9],
+  33: [9, 9], 34: [9, 9], 36: [8, 9], 39: [6, 11], 40: [9, 9], 41: [9, 9], 43: [4, 13],
+  44: [9, 10], 45: [8, 8], 46: [7, 13], 47: [8, 8], 48: [9, 9], 49: [6, 13], 52: [10, 10],
+  54: [10, 11], 55: [10, 11], 61: [9, 9], 62: [8, 12], 65: [8, 8], 81: [9, 10], 82: [8, 10],
+  86: [10, 11], 90: [10, 10], 91: [10, 10], 234: [8, 10], 351: [9, 9], 353: [7, 9],
+  380: [9, 9], 420: [9, 9], 971: [8, 9], 972: [8, 9],
+};
+
+// Candidates: digits with spaces, dots, dashes, slashes and parentheses between
+const PHONE_CANDIDATE = /(?<![\w+@.\/-])(?:\+|00)?\(?\d[\d \t().\/-]{4,}\d(?![\w@])/g;
+
+// Shapes that are something else
+const NOT_PHONE_SHAPES = [
+  /^\d{4}[-./]\d{1,2}[-./]\d{1,2}(?!\d)/,        // 2024-05-17
+  /^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}(?!\d)/,      // 17/05/2024
+  /^\d{5}-\d{4}$/,                                // ZIP+4
+  /^(?:19|20)\d{2}[-\/](?:19|20)\d{2}$/,           // 2024-2025
+  /^\d{1,3}(?:[., ]\d{3})+(?:[.,]\d{1,2})?$/,      // 1.299.000 or 12 345 678
+  /^\d+[.,]\d{1,2}$/,                             // 1234.56
+];
+
+// Words somewhere in the 30 characters before a number that make it a phone number
+const PHONE_WORDS = /\b(?:phone|tel|call|mobile|cell|whats ?app|viber|signal|sms|text me|fax|ring|dial|number|reach me|contact me)\b|[☎📞📱]|telefon|téléphone|tél|móvil|celular|номер|тел/iu;
+// Words right before a number that make it something else ("Order no. 12345")
+const OTHER_NUMBER_WORDS = /(?:\b(?:order|invoice|inv|ref|reference|ticket|tracking|account|acct|iban|id|zip|postcode|serial|isbn|case|booking|confirmation|policy|version|total|price|amount|paid|cost|balance)|#)(?:\s*(?:no\.?|nr\.?|num|number|#|:))*[\s:#]*$/i;
+const CURRENCY_BEFORE = /(?:[$€£¥₹₽]|usd|eur|gbp|rs\.?|inr)\s*$/i;
+const CURRENCY_AFTER = /^\s*(?:[$€£¥₹₽]|usd|eur|gbp|rub|inr|dollars?|euros?|pounds?|k\b)/i;
+
+/**
+ * Whether the digits after an international prefix fit a known country's
+ * number length (E.164's 8–15 digits for other codes).
+ * @param {string} digits - Without the + or 00
+ * @returns {boolean}
+ */
+function internationalLengthOk(digits) {
+  for (const length of [1, 2, 3]) {
+    const lengths = COUNTRY_NUMBER_LENGTHS[digits.slice(0, length)];
+    if (lengths) {
+      const national = digits.length - length;
+      return national >= lengths[0] && national <= lengths[1];
+    }
+  }
+  return digits.length >= 8 && digits.length <= 15;
+}
+
+// North American number: area code 2–9 and ten digits
+const isNanp = digits => digits.length === 10 && /^[2-9]/.test(digits);
+
+/**
+ * Numbers without a country code: North American (optional leading 1) or
+ * trunk-prefixed national numbers (0 + 9–10 digits).
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function nationalLengthOk(digits) {
+  if (isNanp(digits.length === 11 && digits[0] === '1' ? digits.slice(1) : digits)) return true;
+  return /^0[1-9]/.test(digits) && digits.length >= 10 && digits.length <= 11;
+}
+
+/**
+ * Decide whether a phone candidate is a phone number, from its shape, its
+ * digit count and the words right before and after it:
+ * - dates, ZIP+4 codes, grouped amounts, prices and the tails of
+ *   letter-and-digit codes are never phones;
+ * - a + or 00 prefix needs a country-valid length;
+ * - "order", "invoice", "#", "total"... right before a number mark it as
+ *   something else; otherwise "call", "phone", "tel", "WhatsApp"... shortly
+ *   before it mark it as a phone;
+ * - other numbers need a national phone length and separators ("020 7946
+ *   0958"), or phone words before them (local numbers like "555-1234"); a
+ *   bare ten-digit North American number ("5551234567") needs neither.
+ * @param {string} match
+ * @param {string} text - The whole text
+ * @param {number} offset - Where the match starts
+ * @returns {boolean}
+ */
+function phoneValid(match, text = match, offset = 0) {
+  const candidate = match.trim();
+  const before = text.slice(Math.max(0, offset - 30), offset);
+  const after = text.slice(offset + match.length, offset + match.length + 12);
+  if (NOT_PHONE_SHAPES.some(shape => shape.test(candidate))) return false;
+  // "2024-05-17 10" of "2024-05-17 10:30", "12.5" of "12.5%"
+  if (/^[:%]|^[.,]\d/.test(after)) return false;
+  if (CURRENCY_BEFORE.test(before) || CURRENCY_AFTER.test(after)) return false;
+  // "1Z 999 AA1 0123 4567" — the tail of a code that mixes letters and digits
+  if (/\b(?=[a-z]*\d)(?=\d*[a-z])[a-z\d]+\s$/i.test(before)) return false;
+
+  const international = /^(?:\+|00)/.test(candidate);
+  // "+44 (0)20 ..." — the trunk 0 is not dialled after a country code
+  const digits = candidate.replace(/\(0\)/, '').replace(/\D/g, '').replace(/^00/, '');
+  if (international) return internationalLengthOk(digits);
 
-const PII_PATTERNS = [
+  if (OTHER_NUMBER_WORDS.test(before)) return false;
+  const phoneContext = PHONE_WORDS.test(before);
+  if (phoneContext) return digits.length >= 7 && digits.length <= 12;
+  return (/[\s().\/-]/.test(candidate) || isNanp(digits)) && nationalLengthOk(digits);
+}
+
+// ── Rules ──
+
+const PII_RULES = [
   {
-    name: 'email',
-    regex: /[a-zA-Z0-9._%+\-]+@[a-zA-Z0-9.\-]+\.[a-zA-Z]{2,}/g,
+    id: 'email',
+    label: 'Emails',
     replacement: '[EMAIL]',
+    defaultOn: true,
+    patterns: [{ regex: /[a-zA-Z0-9._%+\-]+@[a-zA-Z0-9.\-]+\.[a-zA-Z]{2,}/g }],
   },
   {
-    name: 'phone',
-    // Matches common phone formats: +1-234-567-8901, (234) 567-8901, 234.567.8901, etc.
-    regex: /(?:\+?\d{1,3}[-.\s]?)?\(?\d{2,4}\)?[-.\s]?\d{3,4}[-.\s]?\d{3,4}/g,
-    replacement: '[PHONE]',
+    id: 'url',
+    label: 'URLs',
+    replacement: '[URL]',
+    defaultOn: true,
+    patterns: [{ regex: /https?:\/\/[^\s<>"{}|\\^`\[\]]+/gi }],
   },
   {
-    name: 'url',
-    regex: /https?:\/\/[^\s<>"{}|\\^`\[\]]+/gi,
+    id: 'domain',
+    label: 'Bare www. domains',
     replacement: '[URL]',
+    defaultOn: true,
+    patterns: [{ regex: /\bwww\.[a-z0-9-]+(?:\.[a-z0-9-]+)+(?:\/[^\s<>"]*)?/gi }],
+  },
+  {
+    id: 'iban',
+    label: 'IBANs (checksum-validated)',
+    replacement: '[IBAN]',
+    defaultOn: true,
+    // Printed in groups of four ("GB82 WEST 1234 ...") or without spaces
+    patterns: [{ regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g, validate: ibanValid }],
+  },
+  {
+    id: 'card',
+    label: 'Card numbers (Luhn-checked)',
+    replacement: '[CARD]',
+    defaultOn: true,
+    patterns: [{ regex: /\b\d(?:[ -]?\d){12,18}\b/g, validate: luhnValid }],
+  },
+  {
+    id: 'ip',
+    label: 'IP addresses',
+    replacement: '[IP]',
+    defaultOn: true,
+    patterns: [
+      { regex: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g, validate: ipv4Valid },
+      { regex: /(?<![\w:])(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4}(?![\w:])/gi, validate: ipv6Valid },
+    ],
+  },
+  {
+    id: 'nationalId',
+    label: 'National IDs (US SSN, UK NI number, Spanish DNI)',
+    replacement: '[ID]',
+    defaultOn: true,
+    patterns: [
+      { regex: /\b\d{3}-\d{2}-\d{4}\b/g, validate: ssnValid },
+      { regex: /\b[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g },
+      { regex: /\b\d{8}-?[A-Za-z]\b/g, validate: dniValid },
+    ],
+  },
+  {
+    id: 'postcode',
+    label: 'Postal codes (UK, US ZIP+4, Canada, Netherlands)',
+    replacement: '[POSTCODE]',
+    defaultOn: false,
+    patterns: [
+      { regex: /\b[A-Z]{1,2}\d[A-Z\d]? ?\d[ABD-HJLNP-UW-Z]{2}\b/g },
+      { regex: /\b\d{5}-\d{4}\b/g },
+      { regex: /\b[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d\b/g },
+      { regex: /\b[1-9]\d{3} ?(?!SA|SD|SS)[A-Z]{2}\b/g },
+    ],
+  },
+  {
+    id: 'phone',
+    label: 'Phone numbers',
+    replacement: '[PHONE]',
+    defaultOn: true,
+    // +1-234-567-8901, (234) 567-8901, 020 7946 0958, "call 555-1234" — see phoneValid
+    patterns: [{ regex: PHONE_CANDIDATE, validate: phoneValid }],
+  },
+  {
+    id: 'handle',
+    label: '@handles',
+    replacement: '[HANDLE]',
+    defaultOn: false,
+    patterns: [{ regex: /(?<![\w.@])@[A-Za-z0-9_](?:[A-Za-z0-9_.]*[A-Za-z0-9_])?/g }],
   },
 ];
 
 /**
- * Redact PII patterns from text.
+ * Compile a custom rule from settings.
+ * @param {{ type: string, pattern: string, replacement?: string }} custom
+ * @param {number} index
+ * @returns {object} Rule
+ * @throws {Error} When the pattern is empty or not a valid regular expression
+ */
+function compileCustomRule(custom, index) {
+  const pattern = (custom.pattern || '').trim();
+  if (!pattern) throw new Error('The pattern is empty');
+  let regex;
+  if (custom.type === 'keyword') {
+    const words = pattern.split(',').map(word => word.trim()).filter(Boolean)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+    regex = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+  } else {
+    try {
+      regex = new RegExp(pattern, 'gu');
+    } catch (err) {
+      throw new Error(`Invalid regular expression: ${err.message}`);
+    }
+    // A pattern that matches "" would insert the replacement between every character
+    if (regex.test('')) throw new Error('The pattern matches empty text');
+  }
+  return {
+    id: `custom${index + 1}`,
+    label: `${custom.type === 'keyword' ? 'Keywords' : 'Pattern'} "${pattern}"`,
+    replacement: (custom.replacement || '').trim() || CUSTOM_REPLACEMENT,
+    patterns: [{ regex }],
+  };
+}
+
+/**
+ * The rules to apply for the given settings: custom rules first, so they win
+ * over a built-in that would match the same text, then the enabled built-ins
+ * in order. Custom rules that do not compile are skipped (the side panel
+ * flags them).
+ * @param {object} [settings] - { piiRules, customPiiRules }
+ * @returns {object[]}
+ */
+function compileRules(settings = {}) {
+  const toggles = settings.piiRules || {};
+  const rules = [];
+  (settings.customPiiRules || []).forEach((custom, i) => {
+    try {
+      rules.push(compileCustomRule(custom, i));
+    } catch {
+      // Invalid rules are reported when they are edited, not at export time
+    }
+  });
+  return [...rules, ...PII_RULES.filter(rule => toggles[rule.id] ?? rule.defaultOn)];
+}
+
+/**
+ * Apply rules to text.
  * @param {string} text
- * @param {string[]} patternsToRedact - Which patterns to apply: ['email','phone','url'] or subset
+ * @param {object[]} rules - From compileRules()
+ * @param {Object<string, number>} [counts] - Incremented per rule id
  * @returns {string} Redacted text
  */
-function redactPII(text, patternsToRedact = ['email', 'phone', 'url']) {
+function redactText(text, rules, counts = null) {
   if (!text) return '';
   let result = text;
-  for (const pattern of PII_PATTERNS) {
-    if (patternsToRedact.includes(pattern.name)) {
-      result = result.replace(pattern.regex, pattern.replacement);
+  for (const rule of rules) {
+    for (const { regex, validate } of rule.patterns) {
+      result = result.replace(regex, (match, ...args) => {
+        // replace() passes capture groups, then the offset, then the whole string
+        const offset = args.find(arg => typeof arg === 'number');
+        if (validate && !validate(match, args[args.indexOf(offset) + 1], offset)) return match;
+        if (counts) counts[rule.id] = (counts[rule.id] || 0) + 1;
+        return rule.replacement;
+      });
     }
   }
   return result;
 }
 
+/**
+ * Redact PII patterns from text.
+ * @param {string} text
+ * @param {string[]} patternsToRedact - Built-in rule ids to apply; defaults to email, phone and URL
+ * @returns {string} Redacted text
+ */
+function redactPII(text, patternsToRedact = ['email', 'phone', 'url']) {
+  return redactText(text, PII_RULES.filter(rule => patternsToRedact.includes(rule.id)));
+}
+
+/**
+ * "3 × Emails, 1 × Card numbers (Luhn-checked)" — for status lines.
+ * @param {Object<string, number>} counts
+ * @param {object[]} rules
+ * @returns {string}
+ */
+function redactionSummary(counts, rules) {
+  return rules
+    .filter(rule => counts[rule.id])
+    .map(rule => `${counts[rule.id]} × ${rule.label}`)
+    .join(', ');
+}
+
 if (typeof globalThis !== 'undefined') {
-  globalThis.Redact = { redactPII, PII_PATTERNS };
+  globalThis.Redact = {
+    PII_RULES,
+    luhnValid,
+    ibanValid,
+    phoneValid,
+    compileCustomRule,
+    compileRules,
+    redactText,
+    redactPII,
+    redactionSummary,
+  };
 }
@@ -0,0 +1,94 @@
+/**
+ * reid_key.js — Encrypted re-identification keys for anonymized exports.
+ *
+ * HMAC ids cannot be reversed. When "Save a re-identification key" is on, an
+ * anonymized export is followed by a key file mapping every id in it back to
+ * the display name (and profile URL, when the inbox scan knows it), sealed
+ * with a passphrase (see sealed.js). The side panel's Key File tab opens it
+ * locally; nothing is sent anywhere.
+ *
+ * Secret: { entries: [{ id, name, kind, profileUrl? }] }, kind 'self' | 'contact' | 'group'
+ * Plain file fields: { createdAt, exportFile, saltProject, count }
+ *
+ * Depends on sealed.js.
+ */
+
+/* global Sealed */
+
+const REID_KEY_TYPE = 'chat-export-reid-key';
+const KIND_ORDER = { self: 0, contact: 1, group: 2 };
+
+/**
+ * Key entries for an export: the anonymizer's ids with profile URLs added.
+ * A 1:1 chat's profile URL belongs to its contact.
+ * @param {object[]} entries - anonymizer.entries()
+ * @param {object[]} messages - The exported (not anonymized) messages
+ * @param {object[]} [chats] - ChatIndexItem[] from the last scan
+ * @returns {object[]} Sorted by kind, then id
+ */
+function reidEntries(entries, messages, chats = []) {
+  const key = name => String(name || '').trim().toLowerCase();
+  const chatsByKey = new Map(chats.map(chat => [chat.chatKey, chat]));
+  const profileUrls = new Map();
+  for (const msg of messages) {
+    const url = chatsByKey.get(msg.chatKey)?.profileUrl;
+    if (url && !msg.isGroup && msg.conversationName) profileUrls.set(key(msg.conversationName), url);
+  }
+
+  return entries
+    .map(entry => {
+      const url = entry.kind === 'contact' ? profileUrls.get(key(entry.name)) : null;
+      return url ? { ...entry, profileUrl: url } : { ...entry };
+    })
+    .sort((a, b) => KIND_ORDER[a.kind] - KIND_ORDER[b.kind] || a.id.localeCompare(b.id) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Seal key entries into a key file.
+ * @param {object[]} entries
+ * @param {string} passphrase
+ * @param {object} meta - { createdAt, exportFile, saltProject }
+ * @returns {Promise<string>}
+ */
+async function sealReidKey(entries, passphrase, meta) {
+  return Sealed.sealJSON(REID_KEY_TYPE, { entries }, passphrase, { ...meta, count: entries.length });
+}
+
+/**
+ * Open a key file.
+ * @param {string} text
+ * @param {string} passphrase
+ * @returns {Promise<{ entries: object[], meta: object }>}
+ */
+async function openReidKey(text, passphrase) {
+  const { value, meta } = await Sealed.openSealed(REID_KEY_TYPE, text, passphrase);
+  if (!Array.isArray(value?.entries)) throw new Error('The key file holds no entries');
+  return { entries: value.entries, meta };
+}
+
+/**
+ * Entries whose id, name or profile URL contains the query (any case).
+ * @param {object[]} entries
+ * @param {string} query
+ * @returns {object[]}
+ */
+function searchReidKey(entries, query) {
+  const q = (query || '').trim().toLowerCase();
+  if (!q) return entries;
+  return entries.filter(entry => [entry.id, entry.name, entry.profileUrl].some(value => (value || '').toLowerCase().includes(q)));
+}
+
+/**
+ * "linkedin_export_anon_20250312.csv" → "linkedin_export_anon_20250312.reid-key.json"
+ * @param {string} exportFile
+ * @param {string} extension - The exporter's extension (may contain dots)
+ * @returns {string}
+ */
+function reidKeyFilename(exportFile, extension) {
+  const base = exportFile.endsWith(`.${extension}`) ? exportFile.slice(0, -extension.length - 1) : exportFile;
+  return `${base}.reid-key.json`;
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.ReidKey = { reidEntries, sealReidKey, openReidKey, searchReidKey, reidKeyFilename };
+}
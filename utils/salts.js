@@ -0,0 +1,172 @@
+/**
+ * salts.js — Named anonymization salts ("projects").
+ *
+ * CONTACT_/GROUP_ ids depend only on the name and the salt, so:
+ * - teammates who import the same salt file produce matching ids for the
+ *   same people;
+ * - a new project (or a rotated salt) gives ids that cannot be linked to
+ *   earlier exports.
+ *
+ * Salt store: { active, projects: { [name]: { salt, createdAt, rotatedAt?, importedAt? } } }
+ * Stored in chrome.storage.local under SALT_STORAGE_KEY and never part of an
+ * export. Salt files are sealed with a passphrase (see sealed.js).
+ *
+ * Depends on anonymize.js (generateSalt) and sealed.js.
+ */
+
+/* global Anonymize, Sealed */
+
+const SALT_STORAGE_KEY = 'anonSalts';
+const LEGACY_SALT_KEY = 'anonSalt'; // The single salt of earlier versions
+const DEFAULT_PROJECT = 'Default';
+const SALT_FILE_TYPE = 'chat-export-salt';
+
+/**
+ * A store with one project. An existing salt keeps earlier ids valid.
+ * @param {string} [salt]
+ * @param {string} [now] - ISO date
+ * @returns {object}
+ */
+function createSaltStore(salt = Anonymize.generateSalt(), now = new Date().toISOString()) {
+  return { active: DEFAULT_PROJECT, projects: { [DEFAULT_PROJECT]: { salt, createdAt: now } } };
+}
+
+function activeSalt(store) {
+  return store.projects[store.active].salt;
+}
+
+/**
+ * Add a project with a new (or given) salt and make it active.
+ * @param {object} store
+ * @param {string} name
+ * @param {string} [salt]
+ * @param {string} [now]
+ * @returns {object} Updated copy
+ */
+function addProject(store, name, salt = Anonymize.generateSalt(), now = new Date().toISOString()) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) throw new Error('Enter a project name');
+  if (store.projects[trimmed]) throw new Error(`Project "${trimmed}" already exists`);
+  return { active: trimmed, projects: { ...store.projects, [trimmed]: { salt, createdAt: now } } };
+}
+
+function selectProject(store, name) {
+  if (!store.projects[name]) throw new Error(`Unknown project "${name}"`);
+  return { ...store, active: name };
+}
+
+/**
+ * Replace a project's salt. Ids in earlier exports no longer match new ones.
+ * @param {object} store
+ * @param {string} [name] - Defaults to the active project
+ * @param {string} [now]
+ * @returns {object} Updated copy
+ */
+function rotateSalt(store, name = store.active, now = new Date().toISOString()) {
+  const project = store.projects[name];
+  if (!project) throw new Error(`Unknown project "${name}"`);
+  return {
+    ...store,
+    projects: { ...store.projects, [name]: { ...project, salt: Anonymize.generateSalt(), rotatedAt: now } },
+  };
+}
+
+/**
+ * Remove a project. Removing the active one activates the first left.
+ * @param {object} store
+ * @param {string} name
+ * @returns {object} Updated copy
+ */
+function removeProject(store, name) {
+  if (!store.projects[name]) throw new Error(`Unknown project "${name}"`);
+  const projects = { ...store.projects };
+  delete projects[name];
+  const names = Object.keys(projects);
+  if (names.length === 0) throw new Error('The last project cannot be deleted');
+  return { active: store.active === name ? names[0] : store.active, projects };
+}
+
+// ── Salt files ──
+
+/**
+ * A project's salt as a passphrase-protected file.
+ * @param {object} store
+ * @param {string} name
+ * @param {string} passphrase
+ * @returns {Promise<string>}
+ */
+async function exportSaltFile(store, name, passphrase) {
+  const project = store.projects[name];
+  if (!project) throw new Error(`Unknown project "${name}"`);
+  return Sealed.sealJSON(SALT_FILE_TYPE, { salt: project.salt }, passphrase, { name, createdAt: project.createdAt });
+}
+
+/**
+ * Add the salt from a salt file and make it active. A salt the store already
+ * has just activates its project; a new one is added under the file's
+ * project name, numbered if that name is taken.
+ * @param {object} store
+ * @param {string} text - File content
+ * @param {string} passphrase
+ * @param {string} [now]
+ * @returns {Promise<{ store: object, name: string, added: boolean }>}
+ */
+async function importSaltFile(store, text, passphrase, now = new Date().toISOString()) {
+  const { value, meta } = await Sealed.openSealed(SALT_FILE_TYPE, text, passphrase);
+  if (!/^[0-9a-f]{32,}$/.test(value?.salt || '')) throw new Error('The file holds no valid salt');
+
+  const existing = Object.keys(store.projects).find(name => store.projects[name].salt === value.salt);
+  if (existing) return { store: selectProject(store, existing), name: existing, added: false };
+
+  const base = (meta.name || '').trim() || 'Imported';
+  let name = base;
+  for (let n = 2; store.projects[name]; n++) name = `${base} (${n})`;
+  const project = { salt: value.salt, createdAt: meta.createdAt || now, importedAt: now };
+  return { store: { active: name, projects: { ...store.projects, [name]: project } }, name, added: true };
+}
+
+// ── Storage ──
+
+/**
+ * The stored salt store, created on first use. The single salt of earlier
+ * versions becomes the Default project, so existing ids stay the same.
+ * @returns {Promise<object>}
+ */
+async function loadSaltStore() {
+  const data = await chrome.storage.local.get([SALT_STORAGE_KEY, LEGACY_SALT_KEY]);
+  if (data[SALT_STORAGE_KEY]) return data[SALT_STORAGE_KEY];
+  const store = createSaltStore(data[LEGACY_SALT_KEY] || undefined);
+  await saveSaltStore(store);
+  await chrome.storage.local.remove(LEGACY_SALT_KEY);
+  return store;
+}
+
+async function saveSaltStore(store) {
+  await chrome.storage.local.set({ [SALT_STORAGE_KEY]: store });
+}
+
+/**
+ * The active project's salt.
+ * @returns {Promise<string>}
+ */
+async function getActiveSalt() {
+  return activeSalt(await loadSaltStore());
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.Salts = {
+    SALT_STORAGE_KEY,
+    DEFAULT_PROJECT,
+    createSaltStore,
+    activeSalt,
+    addProject,
+    selectProject,
+    rotateSalt,
+    removeProject,
+    exportSaltFile,
+    importSaltFile,
+    loadSaltStore,
+    saveSaltStore,
+    getActiveSalt,
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * sealed.js — Passphrase-protected JSON files.
+ *
+ * Secrets that leave the browser (salt files, re-identification keys) are
+ * encrypted with AES-256-GCM under a key derived from a passphrase with
+ * PBKDF2-SHA-256. The file is JSON, so it says what it holds and how to open
+ * it; only `data` is secret:
+ *
+ *   { type, version, kdf: { name, hash, iterations, salt }, cipher: { name, iv }, data, ...meta }
+ *
+ * `type` is bound to the ciphertext as GCM additional data, so a file of one
+ * kind cannot be passed off as another. Meta fields (names, dates) are plain
+ * labels and are not authenticated.
+ */
+
+const SEALED_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * AES-GCM key for a passphrase and PBKDF2 salt.
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a JSON value into a sealed file.
+ * @param {string} type - What the file holds, e.g. "chat-export-salt"
+ * @param {*} value - JSON-serializable secret
+ * @param {string} passphrase
+ * @param {object} [meta] - Plain fields to add to the file
+ * @returns {Promise<string>} File content
+ */
+async function sealJSON(type, value, passphrase, meta = {}) {
+  if ((passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(type) },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return JSON.stringify({
+    type,
+    version: SEALED_VERSION,
+    ...meta,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    data: bytesToBase64(new Uint8Array(data)),
+  }, null, 2);
+}
+
+/**
+ * Decrypt a sealed file.
+ * @param {string} type - Expected file type
+ * @param {string} text - File content
+ * @param {string} passphrase
+ * @returns {Promise<{ value: *, meta: object }>} The secret and the file's plain fields
+ */
+async function openSealed(type, text, passphrase) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('Not a sealed file');
+  }
+  if (file?.type !== type) throw new Error(`Not a ${type} file`);
+  if (file.version !== SEALED_VERSION) throw new Error(`Unsupported ${type} version ${file.version}`);
+
+  const { kdf, cipher, data, ...meta } = file;
+  let plain;
+  try {
+    const key = await deriveKey(passphrase || '', base64ToBytes(kdf.salt), kdf.iterations);
+    plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(cipher.iv), additionalData: new TextEncoder().encode(type) },
+      key,
+      base64ToBytes(data)
+    );
+  } catch {
+    // GCM cannot tell a wrong passphrase from a damaged file
+    throw new Error('Wrong passphrase or damaged file');
+  }
+  delete meta.type;
+  delete meta.version;
+  return { value: JSON.parse(new TextDecoder().decode(plain)), meta };
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.Sealed = { MIN_PASSPHRASE_LENGTH, sealJSON, openSealed };
+}
@@ -0,0 +1,213 @@
+/**
+ * timestamps.js — Normalize platform timestamp text into ISO 8601 datetimes.
+ *
+ * Messaging UIs show relative, partial and locale-formatted times ("3:42 PM",
+ * "Yesterday", "Mon", "Mar 4", "10:32, 3/4/2024"). The normalizer combines the
+ * message's own text with the nearest day separator above it and the capture
+ * time, and resolves names and numeric order using the page locale.
+ */
+
+const TIME_PATTERN = /(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?(?![a-z])/i;
+const ISO_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+const NUMERIC_DATE_PATTERN = /(\d{1,4})[./-](\d{1,2})(?:[./-](\d{2,4}))?/;
+
+const nameCache = new Map();
+
+/**
+ * Build lookup tables of month/weekday names and today/yesterday words for a
+ * locale. English names are always included as a fallback.
+ * @param {string} locale
+ * @returns {{ months: Map<string, number>, weekdays: Map<string, number>, today: Set<string>, yesterday: Set<string>, monthFirst: boolean }}
+ */
+function getLocaleNames(locale) {
+  const key = locale || 'en-US';
+  if (nameCache.has(key)) return nameCache.get(key);
+
+  const months = new Map();
+  const weekdays = new Map();
+  const today = new Set(['today']);
+  const yesterday = new Set(['yesterday']);
+
+  for (const loc of new Set([key, 'en-US'])) {
+    for (const style of ['long', 'short']) {
+      const monthFmt = new Intl.DateTimeFormat(loc, { month: style, timeZone: 'UTC' });
+      for (let m = 0; m < 12; m++) {
+        months.set(stripDots(monthFmt.format(Date.UTC(2000, m, 15)).toLowerCase()), m);
+      }
+      const weekdayFmt = new Intl.DateTimeFormat(loc, { weekday: style, timeZone: 'UTC' });
+      for (let d = 0; d < 7; d++) {
+        // 2000-01-02 was a Sunday
+        weekdays.set(stripDots(weekdayFmt.format(Date.UTC(2000, 0, 2 + d)).toLowerCase()), d);
+      }
+    }
+    const relative = new Intl.RelativeTimeFormat(loc, { numeric: 'auto' });
+    today.add(relative.format(0, 'day').toLowerCase());
+    yesterday.add(relative.format(-1, 'day').toLowerCase());
+  }
+
+  // Numeric dates: does the locale write the month before the day?
+  const parts = new Intl.DateTimeFormat(key).formatToParts(new Date(2000, 10, 22));
+  const order = parts.filter(p => p.type === 'month' || p.type === 'day').map(p => p.type);
+  const names = { months, weekdays, today, yesterday, monthFirst: order[0] === 'month' };
+
+  nameCache.set(key, names);
+  return names;
+}
+
+function stripDots(str) {
+  return str.replace(/\./g, '');
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Pick the year for a day/month without one: the capture year, unless that
+ * lands in the future, in which case the previous year.
+ */
+function inferYear(month, day, now) {
+  const candidate = new Date(now.getFullYear(), month, day);
+  return candidate > now ? now.getFullYear() - 1 : now.getFullYear();
+}
+
+function expandYear(year) {
+  return year < 100 ? 2000 + year : year;
+}
+
+/**
+ * Resolve a date-only fragment ("Yesterday", "Mon", "Mar 4", "3/4/2024") to
+ * local midnight of that day.
+ * @param {string} text
+ * @param {Date} now - Capture time
+ * @param {object} names - From getLocaleNames()
+ * @returns {Date|null}
+ */
+function parseDatePart(text, now, names) {
+  const lower = String(text || '').toLowerCase();
+  // Dots separate numeric dates ("04.03.24") but only abbreviate names ("Mo.", "März.")
+  const str = stripDots(lower)
+    .replace(/[,·•|]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!str) return null;
+
+  if (names.today.has(str)) return startOfDay(now);
+  if (names.yesterday.has(str)) return addDays(startOfDay(now), -1);
+
+  const numeric = NUMERIC_DATE_PATTERN.exec(lower);
+  if (numeric) {
+    const [a, b, c] = [numeric[1], numeric[2], numeric[3]].map(v => (v === undefined ? null : parseInt(v, 10)));
+    let year; let month; let day;
+    if (numeric[1].length === 4) {
+      [year, month, day] = [a, b, c];
+    } else {
+      // Unambiguous when one side exceeds 12; otherwise follow the locale
+      const monthFirst = a > 12 ? false : b > 12 ? true : names.monthFirst;
+      [month, day] = monthFirst ? [a, b] : [b, a];
+      year = c;
+    }
+    if (!day || month < 1 || month > 12 || day > 31) return null;
+    month -= 1;
+    year = year ? expandYear(year) : inferYear(month, day, now);
+    return new Date(year, month, day);
+  }
+
+  let month = null;
+  let day = null;
+  let year = null;
+  let weekday = null;
+  for (const token of str.split(' ')) {
+    if (/^\d{4}$/.test(token)) {
+      year = parseInt(token, 10);
+    } else if (/^\d{1,2}(st|nd|rd|th)?$/.test(token)) {
+      day = parseInt(token, 10);
+    } else if (names.months.has(token)) {
+      month = names.months.get(token);
+    } else if (names.weekdays.has(token)) {
+      weekday = names.weekdays.get(token);
+    }
+  }
+
+  if (month !== null && day) {
+    return new Date(year ?? inferYear(month, day, now), month, day);
+  }
+  if (weekday !== null) {
+    // Weekday labels cover the past week; the same weekday as today means a week ago
+    const back = (now.getDay() - weekday + 7) % 7 || 7;
+    return addDays(startOfDay(now), -back);
+  }
+  return null;
+}
+
+/**
+ * Normalize a raw platform timestamp into an ISO 8601 datetime (UTC).
+ * @param {string} raw - Timestamp text as shown on the page
+ * @param {object} [options]
+ * @param {string} [options.dayLabel] - Nearest day separator above the message
+ * @param {Date|string|number} [options.now] - Capture time (defaults to now)
+ * @param {string} [options.locale] - Page locale, e.g. "en-US", "de-DE"
+ * @param {boolean} [options.captureDay=true] - Put a bare time with no day on the capture day
+ * @returns {string|null} ISO string, or null if the text cannot be dated
+ */
+function normalizeTimestamp(raw, options = {}) {
+  const now = options.now ? new Date(options.now) : new Date();
+  const names = getLocaleNames(options.locale);
+  const text = String(raw || '').trim();
+
+  if (ISO_PATTERN.test(text)) {
+    const d = new Date(text);
+    return isNaN(d.getTime()) ? null : d.toISOString();
+  }
+
+  let hours = null;
+  let minutes = 0;
+  let seconds = 0;
+  let rest = text;
+  const time = TIME_PATTERN.exec(text);
+  if (time) {
+    hours = parseInt(time[1], 10);
+    minutes = parseInt(time[2], 10);
+    seconds = time[3] ? parseInt(time[3], 10) : 0;
+    const meridiem = (time[4] || '').toLowerCase();
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+    rest = text.slice(0, time.index) + ' ' + text.slice(time.index + time[0].length);
+  }
+  rest = rest.replace(/\bat\b/i, ' ').trim();
+
+  let day = parseDatePart(rest, now, names);
+  if (!day && options.dayLabel) day = parseDatePart(options.dayLabel, now, names);
+  if (!day) {
+    // A bare time with no separator above it is from the capture day
+    if (hours === null || rest.replace(/[\s,·•|]/g, '') || options.captureDay === false) return null;
+    day = startOfDay(now);
+  }
+
+  const result = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours ?? 0, minutes, seconds);
+  return isNaN(result.getTime()) ? null : result.toISOString();
+}
+
+/**
+ * Date of a scraped message, and whether its day was only assumed: a bare time
+ * with no separator above it goes on the capture day, which a run on another
+ * day would see differently.
+ * @param {string} raw - Timestamp text as shown on the page
+ * @param {object} [options] - As for normalizeTimestamp
+ * @returns {{ messageDate: string, dayAssumed: boolean }} messageDate is "" if undatable
+ */
+function resolveMessageDate(raw, options = {}) {
+  const dated = normalizeTimestamp(raw, { ...options, captureDay: false });
+  if (dated) return { messageDate: dated, dayAssumed: false };
+  const assumed = normalizeTimestamp(raw, options);
+  return { messageDate: assumed || '', dayAssumed: !!assumed };
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.Timestamps = { normalizeTimestamp, resolveMessageDate, parseDatePart, getLocaleNames };
+}
@@ -0,0 +1,156 @@
+/**
+ * transcripts.js — One Markdown or plain-text transcript per chat, in a ZIP.
+ *
+ * Each processed chat becomes its own file, named after the contact (or the
+ * anonymized id), so conversations can be filed one by one into CRM records
+ * or fed to local tools. Lines read "[date] Sender: text". The archive also
+ * holds index.csv, a manifest with one row per transcript. Chat keys can be
+ * built from a contact's name or username, so anonymized archives leave them
+ * out.
+ *
+ * Depends on csv.js (CSV escaping, attachment summaries), html.js (chat
+ * grouping and titles) and zip.js.
+ */
+
+/* global CSVBuilder, HTMLTranscript, Zip */
+
+const INDEX_COLUMNS = ['File', 'Chat', 'Chat Key', 'Platform', 'Messages', 'First Message', 'Last Message'];
+const MAX_TRANSCRIPT_NAME = 80;
+
+/**
+ * File name for a chat's transcript: no path or reserved characters, unique
+ * ignoring case.
+ * @param {string} title
+ * @param {string} extension - 'md' or 'txt'
+ * @param {Set<string>} used - Lower-cased names already taken (updated)
+ * @returns {string}
+ */
+function transcriptFilename(title, extension, used) {
+  const base = String(title || '')
+    .replace(/[\u0000-\u001F<>:"/\\|?*]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, MAX_TRANSCRIPT_NAME) || 'chat';
+  let name = `${base}.${extension}`;
+  for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base} (${n}).${extension}`;
+  used.add(name.toLowerCase());
+  return name;
+}
+
+function transcriptDate(msg) {
+  const { day, time } = HTMLTranscript.messageMoment(msg);
+  // Undated messages: messageMoment returns the platform's day label and raw time
+  return msg.messageDate ? `${day} ${time}` : [day, time].filter(Boolean).join(' ');
+}
+
+/**
+ * Body of one transcript line: text, then attachments and markers.
+ * @param {object} msg - ExtractedMessage
+ * @returns {string}
+ */
+function transcriptBody(msg) {
+  const parts = [];
+  if (msg.text) parts.push(msg.text);
+  if (msg.deleted && !msg.text) parts.push('[deleted]');
+  for (const att of msg.attachments || []) parts.push(`[${CSVBuilder.formatAttachment(att)}]`);
+  if (msg.reactions?.length) parts.push(`(reactions: ${CSVBuilder.formatReactions(msg.reactions)})`);
+  if (msg.edited) parts.push('(edited)');
+  if (msg.deleted && msg.text) parts.push('(deleted)');
+  return parts.join(' ');
+}
+
+/**
+ * Plain-text transcript. Continuation lines are indented so every message
+ * starts a line with "[".
+ * @param {{ title: string, chatKey: string, platform: string, messages: object[] }} chat
+ * @returns {string}
+ */
+function buildTextTranscript(chat) {
+  const lines = [chat.title, `${chat.platform} · ${chat.messages.length} messages`, ''];
+  for (const msg of chat.messages) {
+    const [first, ...rest] = transcriptBody(msg).split(/\r?\n/);
+    const who = msg.direction === 'service' ? '' : `${msg.sender}: `;
+    lines.push(`[${transcriptDate(msg)}] ${who}${first}`);
+    for (const line of rest) lines.push(`  ${line}`);
+    if (msg.quote?.text) lines.push(`  > ${msg.quote.author ? msg.quote.author + ': ' : ''}${msg.quote.text.replace(/\s*\n\s*/g, ' ')}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Markdown transcript: a title, chat details, then one paragraph per message.
+ * @param {{ title: string, chatKey: string, platform: string, messages: object[] }} chat
+ * @param {{ anonymized?: boolean }} [context]
+ * @returns {string}
+ */
+function buildMarkdownTranscript(chat, context = {}) {
+  const lines = [
+    `# ${chat.title}`,
+    '',
+    `- Platform: ${chat.platform}`,
+    ...(context.anonymized ? [] : [`- Chat key: \`${chat.chatKey}\``]),
+    `- Messages: ${chat.messages.length}`,
+    '',
+  ];
+  for (const msg of chat.messages) {
+    const who = msg.direction === 'service' ? '' : ` ${msg.sender}:`;
+    if (msg.quote?.text) {
+      lines.push(`> ${msg.quote.author ? `**${msg.quote.author}:** ` : ''}${msg.quote.text.replace(/\s*\n\s*/g, ' ')}`, '');
+    }
+    // Trailing double spaces keep the message's own line breaks
+    lines.push(`**[${transcriptDate(msg)}]${who}** ${transcriptBody(msg).split(/\r?\n/).join('  \n')}`, '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build a ZIP of per-chat transcripts plus index.csv.
+ * @param {object[]} messages - ExtractedMessage[]
+ * @param {object} [context] - { chats, anonymized }; anonymized drops the Chat Key column
+ * @param {'md'|'txt'} [format]
+ * @returns {Uint8Array}
+ */
+function buildTranscriptZip(messages, context = {}, format = 'md') {
+  const used = new Set(['index.csv']);
+  const build = format === 'md' ? buildMarkdownTranscript : buildTextTranscript;
+  const files = [];
+  const keep = (value, i) => !context.anonymized || INDEX_COLUMNS[i] !== 'Chat Key';
+  const index = [INDEX_COLUMNS.filter(keep).map(CSVBuilder.escapeCSVField).join(',')];
+
+  for (const chat of HTMLTranscript.transcriptChats(messages, context)) {
+    const name = transcriptFilename(chat.title, format, used);
+    files.push({ name, data: build(chat, context) });
+    const dates = chat.messages.map(msg => msg.messageDate).filter(Boolean).sort();
+    index.push([
+      name, chat.title, chat.chatKey, chat.platform, chat.messages.length,
+      dates[0] || '', dates[dates.length - 1] || '',
+    ].filter(keep).map(CSVBuilder.escapeCSVField).join(','));
+  }
+
+  // BOM so Excel opens the manifest as UTF-8, like buildCSV
+  return Zip.createZip([{ name: 'index.csv', data: '\uFEFF' + index.join('\n') }, ...files]);
+}
+
+// ── Exporters ──
+
+if (globalThis.Exporters) {
+  const zipFormat = { mimeType: 'application/zip' };
+  for (const [format, label] of [['md', 'Markdown'], ['txt', 'plain text']]) {
+    const build = (messages, context) => buildTranscriptZip(messages, context, format);
+    const extension = `${format}.zip`;
+    globalThis.Exporters.registerExporter({ id: `${format}_zip`, label: `Transcripts in ${label} (ZIP)`, extension, build, ...zipFormat });
+    globalThis.Exporters.registerExporter({
+      id: `${format}_zip_anon`, label: `Transcripts in ${label} (ZIP, anonymized)`, anonymize: true, extension, build, ...zipFormat,
+    });
+  }
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.Transcripts = {
+    INDEX_COLUMNS,
+    transcriptFilename,
+    buildTextTranscript,
+    buildMarkdownTranscript,
+    buildTranscriptZip,
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * watermarks.js — Per-chat "last exported message" marks for delta exports.
+ *
+ * After every download the service worker advances each exported chat's
+ * watermark to its newest dated message. In delta mode a run snapshots the
+ * watermarks when it starts (runState.deltaBase), extracts only messages
+ * newer than them and exports only those, so several downloads of one run
+ * (CSV, then XLSX) hold the same delta.
+ *
+ * Watermark: { lastDate, lastIds, undatedIds, exportedAt }
+ *   lastDate   - ISO date of the newest exported message
+ *   lastIds    - ids of exported messages at exactly lastDate; platforms show
+ *                minutes, so a later message can share the newest timestamp
+ *   undatedIds - ids of exported messages without a reliable date: undated, or
+ *                a bare time put on the capture day (dayAssumed), which a run
+ *                on a later day would date later. These are new by id only.
+ *   exportedAt - when the watermark last moved
+ *
+ * Stored in chrome.storage.local under WATERMARK_STORAGE_KEY as { [chatKey]: Watermark }.
+ */
+
+const WATERMARK_STORAGE_KEY = 'exportWatermarks';
+
+// Undated messages and assumed days cannot be placed against a date
+const hasReliableDate = msg => !!msg.messageDate && !msg.dayAssumed;
+
+/**
+ * Whether a message is newer than its chat's watermark. Messages without a
+ * reliable date are new until their id has been exported once.
+ * @param {object} msg - ExtractedMessage with id
+ * @param {object|null} watermark
+ * @returns {boolean}
+ */
+function isNewSince(msg, watermark) {
+  if (!hasReliableDate(msg)) return !(watermark?.undatedIds || []).includes(msg.id);
+  if (!watermark?.lastDate) return true;
+  if (msg.messageDate > watermark.lastDate) return true;
+  return msg.messageDate === watermark.lastDate && !(watermark.lastIds || []).includes(msg.id);
+}
+
+/**
+ * Messages newer than their chat's watermark.
+ * @param {object[]} messages
+ * @param {Object<string, object>} watermarks - chatKey → Watermark
+ * @returns {object[]}
+ */
+function newSince(messages, watermarks) {
+  return messages.filter(msg => isNewSince(msg, watermarks?.[msg.chatKey]));
+}
+
+/**
+ * Move watermarks forward to the newest of the exported messages. A watermark
+ * never moves back, so exporting an older selection changes nothing. Messages
+ * without a reliable date only add their id to undatedIds.
+ * @param {Object<string, object>} watermarks
+ * @param {object[]} messages - The exported messages
+ * @param {string} [exportedAt] - ISO date
+ * @returns {Object<string, object>} Updated copy
+ */
+function advanceWatermarks(watermarks, messages, exportedAt = new Date().toISOString()) {
+  const next = { ...watermarks };
+  for (const msg of messages) {
+    if (!msg.chatKey) continue;
+    const mark = next[msg.chatKey];
+    if (!hasReliableDate(msg)) {
+      const undatedIds = mark?.undatedIds || [];
+      if (!undatedIds.includes(msg.id)) next[msg.chatKey] = { ...mark, undatedIds: [...undatedIds, msg.id], exportedAt };
+    } else if (!mark?.lastDate || msg.messageDate > mark.lastDate) {
+      next[msg.chatKey] = { ...mark, lastDate: msg.messageDate, lastIds: [msg.id], exportedAt };
+    } else if (msg.messageDate === mark.lastDate && !mark.lastIds.includes(msg.id)) {
+      next[msg.chatKey] = { ...mark, lastIds: [...mark.lastIds, msg.id], exportedAt };
+    }
+  }
+  return next;
+}
+
+/**
+ * Split the chats a run processed into those with new messages and those
+ * without.
+ * @param {string[]} chatKeys - Processed chats
+ * @param {object[]} messages - Delta messages being exported
+ * @returns {{ newChatKeys: string[], unchangedChatKeys: string[] }}
+ */
+function deltaSummary(chatKeys, messages) {
+  const withNew = new Set(messages.map(msg => msg.chatKey));
+  return {
+    newChatKeys: [...withNew],
+    unchangedChatKeys: chatKeys.filter(chatKey => !withNew.has(chatKey)),
+  };
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.Watermarks = { WATERMARK_STORAGE_KEY, isNewSince, newSince, advanceWatermarks, deltaSummary };
+}
@@ -0,0 +1,306 @@
+/**
+ * xlsx.js — Excel workbook (.xlsx) export, generated entirely in the browser.
+ *
+ * Writes SpreadsheetML by hand and packs it with zip.js — no library, no
+ * network. The workbook opens with a Summary sheet (per-chat counts, coverage
+ * and failures), followed by one message sheet per platform or per chat.
+ * Message sheets use the CSV columns, but:
+ *   - every text cell is an inline string, so leading zeros and "+49..." survive
+ *   - "Message Date (ISO)" is a real date cell (local time) Excel can sort and filter
+ *   - text is never cut (the CSV text limit does not apply) and wraps inside its
+ *     cell, so the CSV's Part and Truncated columns are left out
+ *   - the header row is frozen
+ *
+ * Depends on csv.js (columns and row values) and zip.js.
+ */
+
+/* global CSVBuilder, Zip */
+
+const XLSX_MAX_CELL_TEXT = 32767; // Excel's per-cell limit
+const XLSX_MAX_SHEET_NAME = 31;
+
+// Indexes into cellXfs in styles.xml
+const XLSX_STYLE = { text: 0, header: 1, wrap: 2, date: 3, number: 4 };
+
+// The default CSV layout minus the columns that describe cut or split text
+const XLSX_MESSAGE_COLUMNS = CSVBuilder.DEFAULT_CSV_COLUMNS.filter(column => !['part', 'truncated'].includes(column.field));
+const XLSX_WRAPPED_COLUMNS = new Set(['Message Text', 'Attachments', 'Reply To Text', 'Participants']);
+const XLSX_COLUMN_WIDTHS = { 'Message Text': 60, 'Attachments': 40, 'Reply To Text': 40, 'Participants': 30 };
+
+const SUMMARY_COLUMNS = [
+  'Chat', 'Chat Key', 'Platform', 'Messages', 'Sent', 'Received', 'Complete', 'Stop Reason', 'Failure', 'Since Last Export',
+];
+
+function escapeXML(value) {
+  return String(value ?? '')
+    // Control characters are not allowed in XML 1.0, even escaped
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    // So are lone surrogates, e.g. left by cutting a string inside an emoji
+    .replace(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column letters: 0 → "A", 25 → "Z", 26 → "AA".
+ * @param {number} index - Zero-based column index
+ * @returns {string}
+ */
+function columnName(index) {
+  let n = index + 1;
+  let name = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    name = String.fromCharCode(65 + rem) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * Excel date serial for an ISO datetime, in the exporting machine's local
+ * time (Excel dates carry no time zone).
+ * @param {string} iso
+ * @returns {number|null} Days since 1899-12-30, or null if not a date
+ */
+function excelSerial(iso) {
+  if (!iso || !/^\d{4}-\d{2}-\d{2}T/.test(iso)) return null;
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return null;
+  const wallClock = Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds());
+  return (wallClock - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+/**
+ * Make sheet names valid and unique: at most 31 chars, none of []:*?/\,
+ * no leading/trailing apostrophe, unique ignoring case.
+ * @param {string} name
+ * @param {Set<string>} used - Lower-cased names already taken (updated)
+ * @returns {string}
+ */
+function sheetName(name, used) {
+  const base = String(name || '').replace(/[[\]:*?/\\]/g, ' ').replace(/^'+|'+$/g, '').trim() || 'Sheet';
+  let candidate = base.slice(0, XLSX_MAX_SHEET_NAME);
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, XLSX_MAX_SHEET_NAME - suffix.length) + suffix;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function cellXML(ref, cell) {
+  const { value, style } = cell;
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number') return `<c r="${ref}" s="${style}"><v>${value}</v></c>`;
+  const text = escapeXML(String(value).slice(0, XLSX_MAX_CELL_TEXT));
+  return `<c r="${ref}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+/**
+ * One worksheet: a frozen, bold header row and the given rows.
+ * @param {string[]} header
+ * @param {{ value: string|number|null, style: number }[][]} rows
+ * @returns {string}
+ */
+function sheetXML(header, rows) {
+  const all = [header.map(title => ({ value: title, style: XLSX_STYLE.header })), ...rows];
+  const rowsXML = all.map((cells, r) => {
+    const cellsXML = cells.map((cell, c) => cellXML(columnName(c) + (r + 1), cell)).join('');
+    return `<row r="${r + 1}">${cellsXML}</row>`;
+  }).join('');
+  const cols = header.map((title, i) => {
+    const width = XLSX_COLUMN_WIDTHS[title] || 18;
+    return `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0">'
+    + '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+    + '</sheetView></sheetViews>'
+    + `<cols>${cols}</cols>`
+    + `<sheetData>${rowsXML}</sheetData>`
+    + '</worksheet>';
+}
+
+/**
+ * Cells for one message, in CSV column order.
+ */
+function messageCells(msg) {
+  const values = CSVBuilder.rowValues(msg, XLSX_MESSAGE_COLUMNS);
+  return XLSX_MESSAGE_COLUMNS.map(({ header: column }, i) => {
+    if (column === 'Message Date (ISO)') {
+      const serial = excelSerial(msg.messageDate);
+      // Merged conversation rows hold several dates — keep those as text
+      return serial === null ? { value: values[i], style: XLSX_STYLE.text } : { value: serial, style: XLSX_STYLE.date };
+    }
+    return { value: values[i], style: XLSX_WRAPPED_COLUMNS.has(column) ? XLSX_STYLE.wrap : XLSX_STYLE.text };
+  });
+}
+
+/**
+ * Summary rows: one per chat with messages or a failure.
+ */
+function summaryRows(messages, context) {
+  const runState = context.runState || {};
+  const names = new Map((context.chats || []).map(chat => [chat.chatKey, chat.displayName]));
+  const chats = new Map();
+  const chatFor = (chatKey) => {
+    if (!chats.has(chatKey)) chats.set(chatKey, { chatKey, name: names.get(chatKey) || '', platform: '', total: 0, sent: 0, received: 0 });
+    return chats.get(chatKey);
+  };
+
+  for (const msg of messages) {
+    const chat = chatFor(msg.chatKey);
+    chat.name = chat.name || msg.conversationName || '';
+    chat.platform = chat.platform || msg.platform || '';
+    chat.total++;
+    if (msg.direction === 'out') chat.sent++;
+    if (msg.direction === 'in') chat.received++;
+  }
+  const failures = new Map((runState.failures || []).map(f => [f.chatKey, f.reason]));
+  for (const chatKey of failures.keys()) chatFor(chatKey);
+  // Delta exports list the processed chats that had nothing new, too
+  const unchanged = new Set(context.delta?.unchangedChatKeys || []);
+  for (const chatKey of unchanged) chatFor(chatKey);
+
+  const text = value => ({ value, style: XLSX_STYLE.text });
+  // General format, not the text format (@), so counts sort and sum as numbers
+  const count = value => ({ value, style: XLSX_STYLE.number });
+  return Array.from(chats.values(), chat => {
+    const history = runState.history?.[chat.chatKey];
+    return [
+      text(chat.name || chat.chatKey),
+      text(chat.chatKey),
+      text(chat.platform),
+      count(chat.total),
+      count(chat.sent),
+      count(chat.received),
+      text(history ? (history.complete ? 'yes' : 'no') : ''),
+      text(history?.stopReason || ''),
+      text(failures.get(chat.chatKey) || ''),
+      text(!context.delta ? '' : unchanged.has(chat.chatKey) ? 'unchanged' : 'new messages'),
+    ];
+  });
+}
+
+const XLSX_STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+  + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>'
+  + '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="5">'
+  + '<xf numFmtId="49" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="49" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyNumberFormat="1"/>'
+  + '<xf numFmtId="49" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyAlignment="1">'
+  + '<alignment wrapText="1" vertical="top"/></xf>'
+  + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '</cellXfs>'
+  + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+  + '</styleSheet>';
+
+/**
+ * Package named sheets into an .xlsx file.
+ * @param {{ name: string, xml: string }[]} sheets
+ * @returns {Uint8Array}
+ */
+function packWorkbook(sheets) {
+  const ns = 'http://schemas.openxmlformats.org';
+  const xmlHead = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const sheetEntries = sheets.map((sheet, i) =>
+    `<sheet name="${escapeXML(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('');
+  const sheetRels = sheets.map((sheet, i) =>
+    `<Relationship Id="rId${i + 1}" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('');
+  const sheetTypes = sheets.map((sheet, i) =>
+    `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('');
+
+  return Zip.createZip([
+    {
+      name: '[Content_Types].xml',
+      data: xmlHead + `<Types xmlns="${ns}/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheetTypes + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data: xmlHead + `<Relationships xmlns="${ns}/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: xmlHead + `<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships">`
+        + `<sheets>${sheetEntries}</sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: xmlHead + `<Relationships xmlns="${ns}/package/2006/relationships">` + sheetRels
+        + `<Relationship Id="rId${sheets.length + 1}" Type="${ns}/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + '</Relationships>',
+    },
+    { name: 'xl/styles.xml', data: XLSX_STYLES_XML },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheet.xml })),
+  ]);
+}
+
+/**
+ * Build an .xlsx workbook: a Summary sheet, then message sheets.
+ * @param {object[]} messages
+ * @param {object} [context] - { runState, chats }
+ * @param {'platform'|'chat'} [groupBy] - One message sheet per platform or per chat
+ * @returns {Uint8Array}
+ */
+function buildXLSX(messages, context = {}, groupBy = 'platform') {
+  const used = new Set();
+  const sheets = [{ name: sheetName('Summary', used), xml: sheetXML(SUMMARY_COLUMNS, summaryRows(messages, context)) }];
+
+  const names = new Map((context.chats || []).map(chat => [chat.chatKey, chat.displayName]));
+  const groups = new Map();
+  for (const msg of messages) {
+    const key = groupBy === 'chat' ? msg.chatKey : msg.platform || 'Messages';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(msg);
+  }
+  for (const [key, group] of groups) {
+    const title = groupBy === 'chat' ? names.get(key) || group[0].conversationName || key : key;
+    sheets.push({ name: sheetName(title, used), xml: sheetXML(XLSX_MESSAGE_COLUMNS.map(column => column.header), group.map(messageCells)) });
+  }
+
+  return packWorkbook(sheets);
+}
+
+// ── Exporters ──
+
+if (globalThis.Exporters) {
+  const xlsxFormat = {
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    tabular: true,
+  };
+  globalThis.Exporters.registerExporter({
+    id: 'xlsx',
+    label: 'Workbook in XLSX (sheet per platform)',
+    build: (messages, context) => buildXLSX(messages, context, 'platform'),
+    ...xlsxFormat,
+  });
+  globalThis.Exporters.registerExporter({
+    id: 'xlsx_chats',
+    label: 'Workbook in XLSX (sheet per chat)',
+    build: (messages, context) => buildXLSX(messages, context, 'chat'),
+    ...xlsxFormat,
+  });
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.XLSXBuilder = { columnName, excelSerial, sheetName, buildXLSX };
+}